@@ -2,7 +2,10 @@
 
 const fs = require('fs');
 const path = require('path');
-const matter = require('gray-matter');
+const api = require('./lib/api');
+const { colorizeDiff } = require('./lib/diff');
+const { loadCliConfig } = require('./lib/config');
+const { createProgress } = require('./lib/progress');
 
 // Import chalk based on availability
 let chalk;
@@ -20,27 +23,23 @@ try {
   };
 }
 
-// Parse command line arguments
-const args = parseArguments();
+// Commands that work on the run history or cache instead of a content directory
+const HISTORY_COMMANDS = ['history', 'undo', 'cache'];
 
-// Check if directory path is provided when not in interactive mode
-if (!args.directory && !args.interactive && !args.sourceFrontmatterDir) {
-  showHelp();
-  process.exit(1);
-}
-
-// Function to parse command line arguments
-function parseArguments() {
+// Function to parse command line arguments.
+// `defaults` (usually from .frontmatterrc) replace the built-in defaults; flags override both.
+function parseArguments(argv = process.argv, defaults = {}) {
   const args = {
     directory: null,
     fields: ['aiKeywords'],
     delimiter: ',',
     dryRun: false,
+    check: false,
     recursive: true,
     verbose: false,
     interactive: false,
     mode: 'to-array',
-    extension: '.md,.markdown',
+    extension: api.fileTypes.DEFAULT_EXTENSIONS,
     addField: null,
     addValue: null,
     removeField: null,
@@ -49,29 +48,62 @@ function parseArguments() {
     sortArrays: false,
     uniqueValues: false,
     pattern: null,
-    outputFormat: 'yaml',
+    where: null,
+    include: [],
+    exclude: [],
+    maxDepth: null,
+    ignoreFiles: true,
+    outputFormat: null,
     stats: false,
+    diff: false,
     sourceFrontmatterDir: null,
     targetContentDir: null,
-    frontmatterFields: null
+    frontmatterFields: null,
+    schema: null,
+    recipe: null,
+    coerceType: null,
+    dateFormat: null,
+    timezone: null,
+    report: null,
+    reportFile: null,
+    backup: true,
+    stateDir: api.journal.DEFAULT_STATE_DIR,
+    transaction: false,
+    onConflict: 'skip',
+    concurrency: null,
+    progress: null,
+    cache: true,
+    watch: false,
+    force: false,
+    command: null,
+    runId: null,
+    cacheAction: null,
+    ...defaults
   };
+  let directoryGiven = false;
+  // --include/--exclude given on the command line replace the config file's lists
+  const globsGiven = new Set();
+  let whereGiven = false;
 
-  for (let i = 2; i < process.argv.length; i++) {
-    const arg = process.argv[i];
+  for (let i = 2; i < argv.length; i++) {
+    const arg = argv[i];
     
     if (arg === '--help' || arg === '-h') {
       showHelp();
       process.exit(0);
     } else if (arg === '--fields' || arg === '-f') {
-      if (process.argv[i + 1] && !process.argv[i + 1].startsWith('-')) {
-        args.fields = process.argv[++i].split(',').map(field => field.trim());
+      if (argv[i + 1] && !argv[i + 1].startsWith('-')) {
+        args.fields = argv[++i].split(',').map(field => field.trim());
       }
     } else if (arg === '--delimiter' || arg === '-d') {
-      if (process.argv[i + 1] && !process.argv[i + 1].startsWith('-')) {
-        args.delimiter = process.argv[++i];
+      if (argv[i + 1] && !argv[i + 1].startsWith('-')) {
+        args.delimiter = argv[++i];
       }
     } else if (arg === '--dry-run') {
       args.dryRun = true;
+    } else if (arg === '--check') {
+      args.check = true;
+      args.dryRun = true;
     } else if (arg === '--no-recursive') {
       args.recursive = false;
     } else if (arg === '--verbose' || arg === '-v') {
@@ -79,31 +111,31 @@ function parseArguments() {
     } else if (arg === '--interactive' || arg === '-i') {
       args.interactive = true;
     } else if (arg === '--mode' || arg === '-m') {
-      if (process.argv[i + 1] && !process.argv[i + 1].startsWith('-')) {
-        args.mode = process.argv[++i];
+      if (argv[i + 1] && !argv[i + 1].startsWith('-')) {
+        args.mode = argv[++i];
       }
     } else if (arg === '--extension' || arg === '-e') {
-      if (process.argv[i + 1] && !process.argv[i + 1].startsWith('-')) {
-        args.extension = process.argv[++i];
+      if (argv[i + 1] && !argv[i + 1].startsWith('-')) {
+        args.extension = argv[++i];
       }
     } else if (arg === '--add-field') {
-      if (process.argv[i + 1] && !process.argv[i + 1].startsWith('-')) {
-        args.addField = process.argv[++i];
-        if (process.argv[i + 1] && !process.argv[i + 1].startsWith('-')) {
-          args.addValue = process.argv[++i];
+      if (argv[i + 1] && !argv[i + 1].startsWith('-')) {
+        args.addField = argv[++i];
+        if (argv[i + 1] && !argv[i + 1].startsWith('-')) {
+          args.addValue = argv[++i];
         } else {
           args.addValue = '';
         }
       }
     } else if (arg === '--remove-field') {
-      if (process.argv[i + 1] && !process.argv[i + 1].startsWith('-')) {
-        args.removeField = process.argv[++i];
+      if (argv[i + 1] && !argv[i + 1].startsWith('-')) {
+        args.removeField = argv[++i];
       }
     } else if (arg === '--rename-field') {
-      if (process.argv[i + 1] && !process.argv[i + 1].startsWith('-')) {
-        args.renameField = process.argv[++i];
-        if (process.argv[i + 1] && !process.argv[i + 1].startsWith('-')) {
-          args.newFieldName = process.argv[++i];
+      if (argv[i + 1] && !argv[i + 1].startsWith('-')) {
+        args.renameField = argv[++i];
+        if (argv[i + 1] && !argv[i + 1].startsWith('-')) {
+          args.newFieldName = argv[++i];
         }
       }
     } else if (arg === '--sort-arrays') {
@@ -111,28 +143,121 @@ function parseArguments() {
     } else if (arg === '--unique-values') {
       args.uniqueValues = true;
     } else if (arg === '--pattern' || arg === '-p') {
-      if (process.argv[i + 1] && !process.argv[i + 1].startsWith('-')) {
-        args.pattern = new RegExp(process.argv[++i]);
+      if (argv[i + 1] && !argv[i + 1].startsWith('-')) {
+        args.pattern = new RegExp(argv[++i]);
+      }
+    } else if (arg === '--where' || arg === '-w') {
+      if (i + 1 < argv.length) {
+        // Repeated --where expressions must all match
+        args.where = whereGiven ? [].concat(args.where, argv[++i]) : argv[++i];
+        whereGiven = true;
+      }
+    } else if (arg === '--include' || arg === '--exclude') {
+      if (argv[i + 1] && !argv[i + 1].startsWith('-')) {
+        const key = arg.slice(2);
+        if (!globsGiven.has(key)) {
+          args[key] = [];
+          globsGiven.add(key);
+        }
+        args[key].push(argv[++i]);
+      }
+    } else if (arg === '--max-depth') {
+      if (argv[i + 1] && !argv[i + 1].startsWith('-')) {
+        args.maxDepth = Number(argv[++i]);
+      }
+    } else if (arg === '--no-ignore') {
+      args.ignoreFiles = false;
+    } else if (arg === '--concurrency') {
+      if (argv[i + 1] && !argv[i + 1].startsWith('-')) {
+        args.concurrency = argv[++i];
       }
+    } else if (arg === '--watch') {
+      args.watch = true;
+    } else if (arg === '--no-cache') {
+      args.cache = false;
+    } else if (arg === '--progress') {
+      args.progress = true;
+    } else if (arg === '--no-progress') {
+      args.progress = false;
     } else if (arg === '--output-format') {
-      if (process.argv[i + 1] && !process.argv[i + 1].startsWith('-')) {
-        args.outputFormat = process.argv[++i];
+      if (argv[i + 1] && !argv[i + 1].startsWith('-')) {
+        args.outputFormat = argv[++i];
       }
     } else if (arg === '--stats') {
       args.stats = true;
+    } else if (arg === '--diff') {
+      args.diff = true;
     } else if (arg === '--copy-frontmatter') {
-      if (process.argv[i + 1] && !process.argv[i + 1].startsWith('-')) {
-        args.sourceFrontmatterDir = process.argv[++i];
-        if (process.argv[i + 1] && !process.argv[i + 1].startsWith('-')) {
-          args.targetContentDir = process.argv[++i];
+      if (argv[i + 1] && !argv[i + 1].startsWith('-')) {
+        args.sourceFrontmatterDir = argv[++i];
+        if (argv[i + 1] && !argv[i + 1].startsWith('-')) {
+          args.targetContentDir = argv[++i];
         }
       }
     } else if (arg === '--frontmatter-fields') {
-      if (process.argv[i + 1] && !process.argv[i + 1].startsWith('-')) {
-        args.frontmatterFields = process.argv[++i].split(',').map(field => field.trim());
+      if (argv[i + 1] && !argv[i + 1].startsWith('-')) {
+        args.frontmatterFields = argv[++i].split(',').map(field => field.trim());
+      }
+    } else if (arg === '--schema') {
+      if (argv[i + 1] && !argv[i + 1].startsWith('-')) {
+        args.schema = argv[++i];
+      }
+    } else if (arg === '--recipe') {
+      if (argv[i + 1] && !argv[i + 1].startsWith('-')) {
+        args.recipe = argv[++i];
+      }
+    } else if (arg === '--type') {
+      if (argv[i + 1] && !argv[i + 1].startsWith('-')) {
+        args.coerceType = argv[++i];
+      }
+    } else if (arg === '--date-format') {
+      if (argv[i + 1] && !argv[i + 1].startsWith('-')) {
+        args.dateFormat = argv[++i];
+      }
+    } else if (arg === '--timezone') {
+      // Offsets like -05:00 start with a dash, so take the next value as it is
+      if (argv[i + 1]) {
+        args.timezone = argv[++i];
+      }
+    } else if (arg === '--config' || arg === '--profile') {
+      // Already applied by loadCliConfig; skip the value
+      i++;
+    } else if (arg === '--no-config') {
+      // Handled by loadCliConfig
+    } else if (arg === '--report') {
+      if (argv[i + 1] && !argv[i + 1].startsWith('-')) {
+        args.report = argv[++i];
+      }
+    } else if (arg === '--report-file') {
+      if (argv[i + 1] && !argv[i + 1].startsWith('-')) {
+        args.reportFile = argv[++i];
+      }
+    } else if (arg === '--no-backup') {
+      args.backup = false;
+    } else if (arg === '--state-dir') {
+      if (argv[i + 1] && !argv[i + 1].startsWith('-')) {
+        args.stateDir = argv[++i];
+      }
+    } else if (arg === '--force') {
+      args.force = true;
+    } else if (arg === '--transaction') {
+      args.transaction = true;
+    } else if (arg === '--on-conflict') {
+      if (argv[i + 1] && !argv[i + 1].startsWith('-')) {
+        args.onConflict = argv[++i];
+      }
+    } else if (!arg.startsWith('-')) {
+      if (!args.command && !directoryGiven && HISTORY_COMMANDS.includes(arg)) {
+        args.command = arg;
+      } else if (args.command === 'undo' && !args.runId) {
+        args.runId = arg;
+      } else if (args.command === 'cache' && !args.cacheAction) {
+        args.cacheAction = arg;
+      } else if (!directoryGiven) {
+        // A directory on the command line replaces one from the config file
+        args.directory = arg;
+        directoryGiven = true;
       }
-    } else if (!arg.startsWith('-') && !args.directory) {
-      args.directory = arg;
     }
   }
 
@@ -145,17 +270,40 @@ function showHelp() {
 ${chalk.bold('FRONTMATTER MANAGER')}
 
 ${chalk.yellow('Usage:')} frontmatter-array.js [directory] [options]
+       frontmatter-array.js history
+       frontmatter-array.js undo [run-id] [--force] [--dry-run]
+       frontmatter-array.js cache [clear]
 
 ${chalk.yellow('Basic Options:')}
   -h, --help                 Show this help message
   -f, --fields <fields>      Comma-separated list of frontmatter fields to process (default: aiKeywords)
+                             Fields may be nested paths, e.g. seo.title or images[0].src
   -d, --delimiter <char>     Delimiter character for splitting strings (default: comma)
   --dry-run                  Preview changes without modifying files
+  --check                    Like --dry-run, but exit with code 1 if any file would change,
+                             fails validation or cannot be processed (for CI)
   --no-recursive             Don't process subdirectories
   -v, --verbose              Show more detailed output
-  -i, --interactive          Run in interactive mode (prompts for options)
-  -e, --extension <exts>     File extensions to process (comma-separated, default: .md,.markdown)
+  -i, --interactive          Scan the directory, pick fields and operations, preview each
+                             file's changes and then apply them
+  --watch                    After the run, keep watching the directory and apply the mode and
+                             field operations to each file as it is created or saved (Ctrl+C stops)
+  -e, --extension <exts>     File extensions to process (comma-separated, default: .md,.markdown).
+                             Also supported: .mdx .mdoc .markdoc .html .htm .adoc .asciidoc
   -p, --pattern <regex>      Only process files matching this regex pattern
+  -w, --where <expr>         Only process files whose frontmatter matches the expression, e.g.
+                             'draft == true', 'category in [forex, crypto]',
+                             'date >= 2024-01-01 and tags exists and not aiKeywords exists'
+  --include <glob>           Only process files whose relative path matches (repeatable)
+  --exclude <glob>           Skip files and folders whose relative path matches (repeatable)
+                             Globs use .gitignore syntax: drafts/, *.draft.md, blog/**/*.md
+  --max-depth <n>            Descend at most n folder levels (0 = only the directory itself)
+  --no-ignore                Don't skip files listed in .gitignore and .frontmatterignore
+
+${chalk.yellow('Configuration:')}
+  --config <file>            Use this config file instead of the nearest .frontmatterrc
+  --profile <name>           Apply a named profile from the config file
+  --no-config                Ignore .frontmatterrc files
 
 ${chalk.yellow('Operation Modes:')}
   -m, --mode <mode>          Operation mode (default: to-array)
@@ -164,6 +312,18 @@ ${chalk.yellow('Operation Modes:')}
                              - to-string: Convert array fields to strings
                              - analyze: Analyze frontmatter without changes
                              - validate: Check for required fields or formats
+                             - convert: Rewrite every frontmatter block in --output-format
+                             - coerce: Convert --fields to the type given with --type
+  --schema <file>            Schema file (JSON or YAML) with per-field rules for validate mode
+                             (default: require every field in --fields)
+
+${chalk.yellow('Type Coercion:')}
+  --type <type>              Type coerce mode converts to: number, boolean, string or date.
+                             Values that cannot be converted are reported and left unchanged
+  --date-format <format>     How dates are written: "iso" (YYYY-MM-DDTHH:mm:ssZ) or a pattern of
+                             YYYY MM DD HH mm ss SSS Z ZZ (default: YYYY-MM-DD)
+  --timezone <zone>          Timezone dates are written in, and times without an offset are read
+                             in: UTC, an IANA name like Europe/Berlin, or +02:00 (default: UTC)
 
 ${chalk.yellow('Field Operations:')}
   --add-field <name> [value] Add a new field with optional value to all files
@@ -172,9 +332,39 @@ ${chalk.yellow('Field Operations:')}
   --sort-arrays              Sort array values alphabetically
   --unique-values            Remove duplicate values from arrays
 
+${chalk.yellow('Recipes:')}
+  --recipe <file>            Run the ordered steps of a recipe file (YAML or JSON) on each file in
+                             one pass: rename, to-array, to-string, unique, sort, default, set, remove.
+                             Replaces the mode's conversion; --add/--remove/--rename-field run after it
+
 ${chalk.yellow('Output Options:')}
-  --output-format <format>   Format for frontmatter (yaml or json, default: yaml)
+  --output-format <format>   Format for frontmatter: yaml (---), toml (+++) or json ({ ... })
+                             (default: keep each file's format, yaml for new blocks)
   --stats                    Show statistics about processed frontmatter
+  --diff                     Show a unified diff of each file's old and new content
+  --report <format>          Write a machine-readable report (json, ndjson or junit)
+  --report-file <path>       Where to write the report (default: frontmatter-report.<ext>)
+  --progress, --no-progress  Show or hide the progress bar (files done, changed, errors, ETA)
+                             on stderr (default: shown when stderr is a terminal)
+
+${chalk.yellow('Performance:')}
+  --concurrency <n>          Number of files read and written at once (default: ${api.pool.DEFAULT_CONCURRENCY})
+  --no-cache                 Look at every file, even those unchanged since the last clean run
+  cache                      Show what the result cache holds
+  cache clear                Delete the result cache
+
+${chalk.yellow('Safe Writes:')}
+  --transaction              Write all changed files or none: nothing is written if any file
+                             fails or was changed on disk during the run
+  --on-conflict <action>     What to do with a file edited by someone else since it was read:
+                             skip (default, with a warning) or fail (count it as an error)
+
+${chalk.yellow('Backups and Undo:')}
+  history                    List recorded runs (newest first)
+  undo [run-id]              Restore the files written by a run (default: the latest one not yet undone)
+  --force                    Undo even files that were edited after the run
+  --no-backup                Don't record this run in the history
+  --state-dir <dir>          Where run history and the cache are kept (default: .frontmatter)
 
 ${chalk.yellow('Frontmatter Copy Options:')}
   --copy-frontmatter <src> <dst>  Copy frontmatter from files in source directory to files in target directory
@@ -185,418 +375,808 @@ ${chalk.yellow('Examples:')}
   frontmatter-array.js ./content --fields tags,categories --mode to-array
   frontmatter-array.js ./content --add-field "status" "draft"
   frontmatter-array.js ./content --remove-field "draft"
+  frontmatter-array.js ./content --rename-field "seo.title" "seo.heading"
+  frontmatter-array.js ./content --remove-field "draft" --dry-run --diff
   frontmatter-array.js ./content --pattern "^post-.*\\.md$"
+  frontmatter-array.js ./content --include "blog/**" --exclude "drafts/" --max-depth 2
+  frontmatter-array.js ./content --add-field "aiKeywords" "" --where "tags exists and not aiKeywords exists"
   frontmatter-array.js ./content --sort-arrays --unique-values
+  frontmatter-array.js --profile blog-tags
+  frontmatter-array.js ./content --fields tags --sort-arrays --unique-values --check
+  frontmatter-array.js ./content --mode validate --schema frontmatter.schema.yml
+  frontmatter-array.js ./content --mode convert --output-format toml --dry-run --diff
+  frontmatter-array.js ./content --mode coerce --fields weight,rating --type number
+  frontmatter-array.js ./content --mode coerce --fields date,lastmod --type date --date-format iso --timezone Europe/Berlin
+  frontmatter-array.js ./content --mode validate --report junit --report-file validate.xml
   frontmatter-array.js --copy-frontmatter ./source-content ./target-content
   frontmatter-array.js --copy-frontmatter ./source-content ./target-content --frontmatter-fields title,date,tags
+  frontmatter-array.js ./content --rename-field "summary" "description" --transaction
+  frontmatter-array.js ./content --fields tags --sort-arrays --unique-values --watch
+  frontmatter-array.js ./content --recipe recipes/tidy-tags.yml --dry-run --diff
+  frontmatter-array.js ./content --mode validate --schema frontmatter.schema.yml --watch
+  frontmatter-array.js undo
   `);
 }
 
-// Function to prompt for interactive mode
-async function runInteractiveMode() {
-  try {
-    // This is a placeholder for interactive mode
-    // In a real implementation, you would use a package like 'inquirer'
-    console.log(chalk.yellow('Interactive mode is not fully implemented in this version.'));
-    console.log('Please install the "inquirer" package and update the script for full interactive support.');
-    process.exit(1);
-  } catch (error) {
-    console.error(chalk.red('Error in interactive mode:'), error.message);
-    process.exit(1);
-  }
+// Operations offered by the interactive session
+const INTERACTIVE_OPERATIONS = [
+  { name: 'Convert string fields to arrays', value: 'to-array' },
+  { name: 'Convert array fields to strings', value: 'to-string' },
+  { name: 'Sort array values', value: 'sort' },
+  { name: 'Remove duplicate array values', value: 'unique' },
+  { name: 'Rename a field', value: 'rename' },
+  { name: 'Remove a field', value: 'remove' },
+  { name: 'Add a field', value: 'add' }
+];
+
+// Function to describe how often each type occurs for a field, e.g. "string ×8, array ×4"
+function describeTypes(types) {
+  return Object.keys(types)
+    .sort((a, b) => types[b] - types[a])
+    .map(type => `${type} ×${types[type]}`)
+    .join(', ');
 }
 
-// Function to process a single markdown file
-function processMarkdownFile(filePath) {
-  try {
-    // Check if file matches pattern if specified
-    if (args.pattern && !args.pattern.test(path.basename(filePath))) {
-      if (args.verbose) {
-        console.log(`🔍 Skipped (pattern mismatch): ${path.basename(filePath)}`);
+// Function to run the interactive session: scan the directory, choose fields and
+// operations, preview the changes file by file, then apply them in-process
+async function runInteractiveMode(args, startedAt) {
+  if (!process.stdin.isTTY) {
+    throw new Error('Interactive mode needs a terminal');
+  }
+
+  const inquirer = require('inquirer');
+
+  let directory = args.directory;
+  if (!directory) {
+    ({ directory } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'directory',
+        message: 'Directory to process:',
+        default: '.',
+        validate: input => (fs.existsSync(input) && fs.statSync(input).isDirectory()) || 'Please enter an existing directory'
+      }
+    ]));
+  }
+
+  // Step 1: see what is there
+  console.log(chalk.cyan(`🔍 Scanning ${directory}`));
+  const scan = api.scanFields(directory, { ...args, cache: null });
+  scan.errors.forEach(error => {
+    console.error(chalk.red(`❌ Could not read ${error.path}:`), error.message);
+  });
+
+  if (scan.fields.length === 0) {
+    console.log(chalk.yellow(`No frontmatter fields found in ${scan.files} file(s)`));
+    return;
+  }
+
+  console.log(`📁 ${scan.files} file(s), ${scan.fields.length} field(s):`);
+  const width = Math.max(...scan.fields.map(entry => entry.field.length));
+  scan.fields.forEach(entry => {
+    console.log(`   ${chalk.yellow(entry.field.padEnd(width))}  ${String(entry.files).padStart(5)} file(s)  ${describeTypes(entry.types)}`);
+  });
+  console.log();
+
+  const fieldChoices = scan.fields.map(entry => ({
+    name: `${entry.field} (${describeTypes(entry.types)})`,
+    value: entry.field,
+    short: entry.field
+  }));
+
+  // Step 2: choose what to do
+  const { operations } = await inquirer.prompt([
+    {
+      type: 'checkbox',
+      name: 'operations',
+      message: 'What would you like to do?',
+      choices: INTERACTIVE_OPERATIONS,
+      validate: answer => {
+        if (answer.length === 0) return 'Choose at least one operation';
+        if (answer.includes('to-array') && answer.includes('to-string')) return 'Choose either arrays or strings, not both';
+        return true;
       }
-      return;
     }
+  ]);
 
-    // Read the file
-    const fileContent = fs.readFileSync(filePath, 'utf8');
-    
-    // Parse frontmatter
-    const { data, content } = matter(fileContent);
-    
-    let modified = false;
-    const changes = [];
-    const fileStats = { fields: 0, arrays: 0, strings: 0, other: 0 };
-
-    // Collect stats if requested
-    if (args.stats) {
-      Object.keys(data).forEach(key => {
-        fileStats.fields++;
-        if (Array.isArray(data[key])) {
-          fileStats.arrays++;
-        } else if (typeof data[key] === 'string') {
-          fileStats.strings++;
-        } else {
-          fileStats.other++;
-        }
-      });
+  // Interactive choices replace any operations given on the command line
+  const options = {
+    ...args,
+    directory,
+    mode: operations.includes('to-string') ? 'to-string' : 'to-array',
+    fields: [],
+    sortArrays: operations.includes('sort'),
+    uniqueValues: operations.includes('unique'),
+    addField: null,
+    addValue: null,
+    removeField: null,
+    renameField: null,
+    newFieldName: null,
+    cache: openRunCache(args)
+  };
+
+  if (operations.some(operation => ['to-array', 'to-string', 'sort', 'unique'].includes(operation))) {
+    const answers = await inquirer.prompt([
+      {
+        type: 'checkbox',
+        name: 'fields',
+        message: 'Which fields?',
+        choices: fieldChoices,
+        default: args.fields.filter(field => scan.fields.some(entry => entry.field === field)),
+        validate: answer => answer.length > 0 || 'Choose at least one field'
+      },
+      {
+        type: 'input',
+        name: 'delimiter',
+        message: 'Delimiter between values:',
+        default: args.delimiter,
+        when: () => operations.includes('to-array') || operations.includes('to-string')
+      }
+    ]);
+    options.fields = answers.fields;
+    if (answers.delimiter !== undefined) {
+      options.delimiter = answers.delimiter;
     }
+  }
 
-    // Handle different operation modes
-    switch (args.mode) {
-      case 'to-array':
-        // Process each specified field to convert to array
-        for (const field of args.fields) {
-          if (data[field] && typeof data[field] === 'string') {
-            // Convert string to array using the specified delimiter
-            const valueArray = data[field]
-              .split(args.delimiter)
-              .map(value => value.trim())
-              .filter(value => value.length > 0);
-            
-            // Apply unique values if requested
-            const processedArray = args.uniqueValues ? 
-              [...new Set(valueArray)] : valueArray;
-            
-            // Sort if requested
-            if (args.sortArrays) {
-              processedArray.sort();
-            }
-            
-            // Update the frontmatter data
-            data[field] = processedArray;
-            modified = true;
-            changes.push({
-              type: 'convert-to-array',
-              field,
-              values: processedArray
-            });
-          } else if (Array.isArray(data[field]) && (args.sortArrays || args.uniqueValues)) {
-            // Process existing arrays for sorting or uniqueness
-            let processedArray = data[field];
-            
-            if (args.uniqueValues) {
-              processedArray = [...new Set(processedArray)];
-            }
-            
-            if (args.sortArrays) {
-              processedArray.sort();
-            }
-            
-            if (JSON.stringify(data[field]) !== JSON.stringify(processedArray)) {
-              data[field] = processedArray;
-              modified = true;
-              changes.push({
-                type: 'process-array',
-                field,
-                values: processedArray
-              });
-            }
-          }
-        }
-        break;
-        
-      case 'to-string':
-        // Convert arrays to strings
-        for (const field of args.fields) {
-          if (data[field] && Array.isArray(data[field])) {
-            // Convert array to string using the specified delimiter
-            const stringValue = data[field].join(args.delimiter);
-            
-            // Update the frontmatter data
-            data[field] = stringValue;
-            modified = true;
-            changes.push({
-              type: 'convert-to-string',
-              field,
-              value: stringValue
-            });
-          }
-        }
-        break;
-        
-      case 'analyze':
-        // Just analyze without changes
-        if (args.verbose) {
-          console.log(`📊 Analyzing: ${path.basename(filePath)}`);
-          console.log('   Fields:', Object.keys(data).join(', '));
-        }
-        return;
-        
-      case 'validate':
-        // Validate required fields
-        const missingFields = args.fields.filter(field => !data[field]);
-        if (missingFields.length > 0) {
-          console.log(`⚠️ Validation failed for ${path.basename(filePath)}: Missing fields: ${missingFields.join(', ')}`);
-        } else if (args.verbose) {
-          console.log(`✓ Validation passed for ${path.basename(filePath)}`);
-        }
-        return;
+  if (operations.includes('rename')) {
+    const answers = await inquirer.prompt([
+      { type: 'list', name: 'renameField', message: 'Field to rename:', choices: fieldChoices },
+      {
+        type: 'input',
+        name: 'newFieldName',
+        message: 'New name (or path):',
+        validate: input => input.trim() !== '' || 'Please enter a name'
+      }
+    ]);
+    options.renameField = answers.renameField;
+    options.newFieldName = answers.newFieldName.trim();
+  }
+
+  if (operations.includes('remove')) {
+    const { removeField } = await inquirer.prompt([
+      { type: 'list', name: 'removeField', message: 'Field to remove:', choices: fieldChoices }
+    ]);
+    options.removeField = removeField;
+  }
+
+  if (operations.includes('add')) {
+    const answers = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'addField',
+        message: 'Name (or path) of the field to add:',
+        validate: input => input.trim() !== '' || 'Please enter a name'
+      },
+      { type: 'input', name: 'addValue', message: 'Value (files that already have it are left alone):' }
+    ]);
+    options.addField = answers.addField.trim();
+    options.addValue = answers.addValue;
+  }
+
+  // Step 3: preview every file that would change
+  const preview = api.processDirectory(directory, {
+    ...options,
+    dryRun: true,
+    check: false,
+    diff: true,
+    onFile: null
+  });
+  const changed = preview.files.filter(result => result.modified);
+
+  preview.files.filter(result => result.error).forEach(result => printFileResult(result, options));
+  if (changed.length === 0) {
+    console.log(chalk.green('✨ Nothing to change'));
+    return;
+  }
+
+  console.log();
+  changed.forEach(result => printFileResult(result, { ...options, dryRun: true }));
+  console.log(`📊 ${changed.length} of ${preview.files.length} file(s) would change`);
+
+  if (args.dryRun) {
+    console.log(chalk.yellow('⚠️ DRY RUN MODE: No files were modified'));
+    return;
+  }
+
+  // Step 4: apply to all or some of them
+  const { apply } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'apply',
+      message: `Apply these changes to ${changed.length} file(s)?`,
+      choices: [
+        { name: 'Apply to all files', value: 'all' },
+        { name: 'Choose files', value: 'choose' },
+        { name: 'Cancel', value: 'cancel' }
+      ]
     }
-    
-    // Handle field operations
-    
-    // Add field
-    if (args.addField && !data[args.addField]) {
-      data[args.addField] = args.addValue;
-      modified = true;
-      changes.push({
-        type: 'add-field',
-        field: args.addField,
-        value: args.addValue
-      });
+  ]);
+
+  if (apply === 'cancel') {
+    console.log(chalk.yellow('Cancelled: no files were modified'));
+    return;
+  }
+
+  let selected = changed.map(result => result.file);
+  if (apply === 'choose') {
+    ({ selected } = await inquirer.prompt([
+      {
+        type: 'checkbox',
+        name: 'selected',
+        message: 'Files to update:',
+        choices: changed.map(result => ({
+          name: path.relative(directory, result.file),
+          value: result.file,
+          checked: true
+        }))
+      }
+    ]));
+  }
+
+  const journal = startJournal(args, 'frontmatter-array', {
+    command: `--interactive ${directory} (${operations.join(', ')})`
+  });
+  const files = selected.map(filePath => {
+    const result = api.processFile(filePath, { ...options, diff: false, journal });
+    printFileResult(result, options);
+    return result;
+  });
+  if (options.cache) {
+    saveCache(options.cache);
+  }
+
+  const run = {
+    directory,
+    dryRun: false,
+    check: false,
+    mode: options.mode,
+    files,
+    errors: [],
+    summary: api.summarize(files)
+  };
+
+  console.log(chalk.green(`✨ Updated ${run.summary.modified} file(s)`));
+  printJournalSummary(journal);
+
+  if (args.report) {
+    writeRunReport(run, args, 'interactive', startedAt);
+  }
+}
+
+// Function to print the outcome of processing a single file
+function printFileResult(result, args) {
+  const fileName = path.basename(result.file);
+
+  if (result.error) {
+    console.error(chalk.red(`❌ Error processing ${result.file}:`), result.error);
+    return;
+  }
+
+  if (result.skipped === 'pattern' || result.skipped === 'where') {
+    if (args.verbose) {
+      console.log(`🔍 Skipped (${result.skipped === 'where' ? '--where' : 'pattern'} mismatch): ${fileName}`);
     }
-    
-    // Remove field
-    if (args.removeField && data.hasOwnProperty(args.removeField)) {
-      delete data[args.removeField];
-      modified = true;
-      changes.push({
-        type: 'remove-field',
-        field: args.removeField
-      });
+    return;
+  }
+
+  if (result.skipped === 'conflict') {
+    printConflict(result);
+    return;
+  }
+
+  if (result.skipped === 'no-frontmatter') {
+    if (args.verbose) {
+      console.log(`🔍 Skipped (no frontmatter block): ${fileName}`);
     }
-    
-    // Rename field
-    if (args.renameField && args.newFieldName && data.hasOwnProperty(args.renameField)) {
-      data[args.newFieldName] = data[args.renameField];
-      delete data[args.renameField];
-      modified = true;
-      changes.push({
-        type: 'rename-field',
-        oldField: args.renameField,
-        newField: args.newFieldName
-      });
+    return;
+  }
+
+  if (result.fields) {
+    if (args.verbose) {
+      console.log(`📊 Analyzing: ${fileName}`);
+      console.log('   Fields:', result.fields.join(', '));
     }
-    
-    if (modified) {
-      // Use the default stringify method without custom options
-      // This avoids the "yaml.stringify" error
-      let updatedFileContent;
-      
-      if (args.outputFormat === 'json') {
-        // For JSON format, we can use a specific language option
-        updatedFileContent = matter.stringify(content, data, { language: 'json' });
-      } else {
-        // For YAML format, use the default stringify method
-        updatedFileContent = matter.stringify(content, data);
-      }
-      
-      // Write the updated content back to the file (unless in dry-run mode)
-      if (!args.dryRun) {
-        fs.writeFileSync(filePath, updatedFileContent, 'utf8');
-      }
-      
-      const actionPrefix = args.dryRun ? chalk.blue('🔍 Would update') : chalk.green('✅ Updated');
-      console.log(`${actionPrefix}: ${path.basename(filePath)}`);
-      
-      changes.forEach(change => {
-        switch (change.type) {
-          case 'convert-to-array':
-            console.log(`   ${chalk.yellow(change.field)} converted to array: [${change.values.map(v => `'${v}'`).join(', ')}]`);
-            break;
-          case 'convert-to-string':
-            console.log(`   ${chalk.yellow(change.field)} converted to string: "${change.value}"`);
-            break;
-          case 'process-array':
-            console.log(`   ${chalk.yellow(change.field)} array processed: [${change.values.map(v => `'${v}'`).join(', ')}]`);
-            break;
-          case 'add-field':
-            console.log(`   Added field ${chalk.yellow(change.field)}: "${change.value}"`);
-            break;
-          case 'remove-field':
-            console.log(`   Removed field ${chalk.yellow(change.field)}`);
-            break;
-          case 'rename-field':
-            console.log(`   Renamed field ${chalk.yellow(change.oldField)} to ${chalk.yellow(change.newField)}`);
-            break;
-        }
+  } else if (result.validation) {
+    if (!result.validation.valid) {
+      console.log(args.mode === 'coerce'
+        ? `⚠️ Could not convert values in ${fileName} (left unchanged):`
+        : `⚠️ Validation failed for ${fileName}:`);
+      result.validation.violations.forEach(violation => {
+        console.log(`   ${chalk.yellow(violation.path)} ${violation.message} (${violation.rule})`);
       });
     } else if (args.verbose) {
-      console.log(`ℹ️ Skipped: ${path.basename(filePath)} (no changes needed)`);
+      console.log(`✓ Validation passed for ${fileName}`);
     }
-    
-    // Output stats if requested
-    if (args.stats) {
-      console.log(`📊 Stats for ${path.basename(filePath)}:`);
-      console.log(`   Total fields: ${fileStats.fields}`);
-      console.log(`   Arrays: ${fileStats.arrays}`);
-      console.log(`   Strings: ${fileStats.strings}`);
-      console.log(`   Other types: ${fileStats.other}`);
+  } else if (result.modified) {
+    console.log(`${updatePrefix(result, args)}: ${fileName}`);
+
+    result.changes.forEach(change => {
+      // Recipe changes are numbered with the step that made them
+      const step = change.step ? chalk.cyan(`[${change.step}] `) : '';
+
+      switch (change.type) {
+        case 'convert-to-array':
+          console.log(`   ${step}${chalk.yellow(change.field)} converted to array: [${change.values.map(v => `'${v}'`).join(', ')}]`);
+          break;
+        case 'convert-to-string':
+          console.log(`   ${step}${chalk.yellow(change.field)} converted to string: "${change.value}"`);
+          break;
+        case 'process-array':
+          console.log(`   ${step}${chalk.yellow(change.field)} array processed: [${change.values.map(v => `'${v}'`).join(', ')}]`);
+          break;
+        case 'add-field':
+          console.log(`   ${step}Added field ${chalk.yellow(change.field)}: "${change.value}"`);
+          break;
+        case 'set-field':
+          console.log(`   ${step}Set field ${chalk.yellow(change.field)}: ${JSON.stringify(change.value)}`);
+          break;
+        case 'coerce-field':
+          console.log(`   ${step}${chalk.yellow(change.field)} converted to ${change.to}: ${formatCoerced(change.value)}`);
+          break;
+        case 'remove-field':
+          console.log(`   ${step}Removed field ${chalk.yellow(change.field)}`);
+          break;
+        case 'rename-field':
+          console.log(`   ${step}Renamed field ${chalk.yellow(change.oldField)} to ${chalk.yellow(change.newField)}`);
+          break;
+        case 'convert-format':
+          console.log(`   ${step}Converted frontmatter from ${chalk.yellow(change.oldValue)} to ${chalk.yellow(change.value)}`);
+          break;
+      }
+    });
+
+    printDiff(result);
+  } else if (args.verbose) {
+    console.log(`ℹ️ Skipped: ${fileName} (no changes needed)`);
+  }
+
+  if (result.stats) {
+    console.log(`📊 Stats for ${fileName}:`);
+    console.log(`   Total fields: ${result.stats.fields}`);
+    console.log(`   Arrays: ${result.stats.arrays}`);
+    console.log(`   Strings: ${result.stats.strings}`);
+    console.log(`   Other types: ${result.stats.other}`);
+  }
+}
+
+// Function to show a converted value; plain dates as YYYY-MM-DD
+function formatCoerced(value) {
+  if (Array.isArray(value)) return `[${value.map(formatCoerced).join(', ')}]`;
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  return JSON.stringify(value);
+}
+
+// Function to pick the label for a changed file
+function updatePrefix(result, args) {
+  if (args.dryRun) return chalk.blue('🔍 Would update');
+  if (result.staged) return chalk.blue('⏳ Staged');
+  return chalk.green('✅ Updated');
+}
+
+// Function to warn about a file that was edited by someone else during the run
+function printConflict(result) {
+  console.log(chalk.yellow(`⚠️ Skipped ${result.file}: ${result.conflict}, not overwriting it`));
+}
+
+// Function to print how a --transaction run ended and return its exit code
+function reportTransaction(run) {
+  if (!run.transaction) {
+    return 0;
+  }
+
+  if (run.transaction.committed) {
+    console.log(chalk.green(`🔒 Transaction committed: ${run.transaction.written} file(s) written`));
+    return 0;
+  }
+
+  console.log(chalk.red(`❌ Transaction aborted (${run.transaction.reason}): no files were written`));
+  run.transaction.conflicts.forEach(conflict => {
+    console.log(`   ${conflict.path} ${chalk.yellow(`(${conflict.reason})`)}`);
+  });
+  return 1;
+}
+
+// Function to print the --diff preview for a file result
+function printDiff(result) {
+  if (result.diff) {
+    console.log(colorizeDiff(result.diff, chalk));
+  }
+}
+
+// Function to print the outcome of copying frontmatter onto a single target file
+function printCopyResult(result, args) {
+  if (result.error) {
+    console.error(chalk.red(`❌ Error processing ${result.file}:`), result.error);
+  } else if (result.skipped === 'no-source') {
+    if (args.verbose) {
+      console.log(`⚠️ No matching source file for: ${result.relativePath}`);
     }
-  } catch (error) {
-    console.error(chalk.red(`❌ Error processing ${filePath}:`), error.message);
+  } else if (result.skipped === 'where') {
+    if (args.verbose) {
+      console.log(`🔍 Skipped (--where mismatch): ${result.relativePath}`);
+    }
+  } else if (result.skipped === 'no-frontmatter') {
+    if (args.verbose) {
+      console.log(`🔍 Skipped (no frontmatter block): ${result.relativePath}`);
+    }
+  } else if (result.skipped === 'conflict') {
+    printConflict(result);
+  } else if (result.modified) {
+    console.log(`${updatePrefix(result, args)}: ${result.relativePath}`);
+
+    if (args.verbose) {
+      result.changes.forEach(change => {
+        console.log(`   ${chalk.yellow(change.field)}: ${JSON.stringify(change.value)}`);
+      });
+    }
+
+    printDiff(result);
+  } else if (args.verbose) {
+    console.log(`ℹ️ Skipped: ${result.relativePath} (no changes needed)`);
+  }
+}
+
+// Function to print directory-level errors collected during traversal
+function printTraversalErrors(errors) {
+  errors.forEach(error => {
+    console.error(chalk.red(`❌ Error reading directory ${error.path}:`), error.message);
+  });
+}
+
+// Function to print the --check summary. A failed check sets exit code 1; a
+// passing one leaves any exit code the run already set alone.
+function reportCheckResult(run) {
+  const failures = api.findCheckFailures(run);
+
+  if (failures.length === 0) {
+    console.log(chalk.green('✅ Check passed: no files would change'));
+    return;
+  }
+
+  const reasons = {
+    modified: 'would be modified',
+    invalid: 'failed validation',
+    error: 'could not be processed'
+  };
+
+  console.log(chalk.red(`❌ Check failed: ${failures.length} file(s) need attention`));
+  failures.forEach(failure => {
+    console.log(`   ${failure.file} ${chalk.yellow(`(${reasons[failure.reason]})`)}`);
+  });
+
+  process.exitCode = 1;
+}
+
+// Function to write the --report file for a finished run
+function writeRunReport(run, args, command, startedAt) {
+  const report = api.report.buildReport(run, {
+    tool: 'frontmatter-array',
+    command,
+    startedAt
+  });
+  const reportPath = api.report.writeReport(report, args.report, args.reportFile);
+  console.log(`📝 Report written to ${reportPath}`);
+}
+
+// Function to start the undo journal for a run (none for dry runs or --no-backup)
+function startJournal(args, tool, extra = {}) {
+  if (args.dryRun || !args.backup) {
+    return null;
+  }
+
+  return api.journal.createJournal({
+    stateDir: args.stateDir,
+    historyLimit: args.historyLimit,
+    tool,
+    command: process.argv.slice(2).join(' '),
+    ...extra
+  });
+}
+
+// Function to tell the user how to undo a run that wrote files
+function printJournalSummary(journal) {
+  if (journal && journal.count() > 0) {
+    console.log(`💾 Backup saved as run ${chalk.bold(journal.id)} (undo with: frontmatter-array.js undo ${journal.id})`);
   }
 }
 
-// Function to recursively process all markdown files in a directory
-function processDirectory(dirPath) {
+// Function to open the result cache for a run, or null with --no-cache. The
+// API takes the opened cache, not the --cache flag. --dry-run and --check runs
+// read the cache but never save it.
+function openRunCache(args) {
+  return args.cache ? api.cache.openCache({ stateDir: args.stateDir }) : null;
+}
+
+// Function to save the result cache; a cache that cannot be saved is only
+// reported
+function saveCache(cache) {
   try {
-    const items = fs.readdirSync(dirPath);
-    const extensions = args.extension.split(',').map(ext => ext.trim());
-    
-    for (const item of items) {
-      const itemPath = path.join(dirPath, item);
-      const stats = fs.statSync(itemPath);
-      
-      if (stats.isDirectory() && args.recursive) {
-        // Recursively process subdirectories if recursive mode is enabled
-        processDirectory(itemPath);
-      } else if (stats.isFile() && extensions.some(ext => item.endsWith(ext))) {
-        // Process files with matching extensions
-        processMarkdownFile(itemPath);
-      }
-    }
+    cache.save();
   } catch (error) {
-    console.error(chalk.red(`❌ Error reading directory ${dirPath}:`), error.message);
+    console.error(chalk.yellow(`⚠️ Could not save the cache: ${error.message}`));
   }
 }
 
-// Function to copy frontmatter from source directory to target directory
-function copyFrontmatter(sourceDir, targetDir, frontmatterFields = null) {
-  try {
-    console.log(chalk.cyan(`🔄 Copying frontmatter from ${sourceDir} to ${targetDir}`));
-    
-    if (args.dryRun) {
-      console.log(chalk.yellow('⚠️ DRY RUN MODE: No files will be modified'));
+// Function to keep applying the run's mode and field operations to files as
+// they are created or saved, printing a line per file, until Ctrl+C.
+// Validate and analyze runs, --dry-run and --check only report.
+function runWatchMode(args, journal, cache) {
+  const options = { ...args, journal, cache };
+  const counts = { files: 0, updated: 0, problems: 0 };
+  const writes = !args.dryRun && !['analyze', 'validate'].includes(args.mode);
+
+  console.log(chalk.cyan(`👀 Watching ${args.directory} for changes${writes ? '' : ' (reporting only)'}. Press Ctrl+C to stop.`));
+
+  const watcher = api.watch.watchDirectory(args.directory, args, filePath => {
+    const result = api.processFile(filePath, options);
+    if (cache && !args.dryRun && !args.check) {
+      saveCache(cache);
     }
-    
-    // Get all source files with frontmatter
-    const sourceFiles = [];
-    const extensions = args.extension.split(',').map(ext => ext.trim());
-    
-    function collectSourceFiles(dir) {
-      const items = fs.readdirSync(dir);
-      
-      for (const item of items) {
-        const itemPath = path.join(dir, item);
-        const stats = fs.statSync(itemPath);
-        
-        if (stats.isDirectory() && args.recursive) {
-          collectSourceFiles(itemPath);
-        } else if (stats.isFile() && extensions.some(ext => item.endsWith(ext))) {
-          sourceFiles.push({
-            path: itemPath,
-            name: item,
-            relativePath: path.relative(sourceDir, itemPath)
-          });
-        }
-      }
+    counts.files++;
+    if (result.modified && !args.dryRun) counts.updated++;
+    if (result.error || result.conflict || (result.validation && !result.validation.valid)) counts.problems++;
+
+    // Files skipped by --where or --pattern only show up with --verbose
+    if (args.verbose || !['where', 'pattern', 'no-frontmatter'].includes(result.skipped)) {
+      console.log(chalk.bold(`[${new Date().toLocaleTimeString()}] ${path.relative(args.directory, filePath)}`));
+      printFileResult(result, args);
     }
-    
-    collectSourceFiles(sourceDir);
-    console.log(chalk.blue(`📁 Found ${sourceFiles.length} source files with frontmatter`));
-    
-    // Process target files
-    let matchedFiles = 0;
-    let modifiedFiles = 0;
-    
-    function processTargetFiles(dir, relativePath = '') {
-      const items = fs.readdirSync(dir);
-      
-      for (const item of items) {
-        const itemPath = path.join(dir, item);
-        const stats = fs.statSync(itemPath);
-        
-        if (stats.isDirectory() && args.recursive) {
-          processTargetFiles(itemPath, path.join(relativePath, item));
-        } else if (stats.isFile() && extensions.some(ext => item.endsWith(ext))) {
-          // Find matching source file
-          const targetRelativePath = path.join(relativePath, item);
-          const matchingSourceFile = sourceFiles.find(sf => sf.name === item || sf.relativePath === targetRelativePath);
-          
-          if (matchingSourceFile) {
-            matchedFiles++;
-            
-            // Read source frontmatter
-            const sourceContent = fs.readFileSync(matchingSourceFile.path, 'utf8');
-            const sourceData = matter(sourceContent);
-            
-            // Read target file
-            const targetContent = fs.readFileSync(itemPath, 'utf8');
-            const targetData = matter(targetContent);
-            
-            // Create new frontmatter by copying fields
-            const newFrontmatter = { ...targetData.data };
-            const fieldsToUpdate = frontmatterFields || Object.keys(sourceData.data);
-            
-            let modified = false;
-            fieldsToUpdate.forEach(field => {
-              if (sourceData.data[field] !== undefined) {
-                newFrontmatter[field] = sourceData.data[field];
-                modified = true;
-              }
-            });
-            
-            if (modified) {
-              // Write updated frontmatter to target file
-              if (!args.dryRun) {
-                const updatedContent = matter.stringify(targetData.content, newFrontmatter, {
-                  language: args.outputFormat === 'json' ? 'json' : 'yaml'
-                });
-                fs.writeFileSync(itemPath, updatedContent, 'utf8');
-              }
-              
-              modifiedFiles++;
-              const actionPrefix = args.dryRun ? chalk.blue('🔍 Would update') : chalk.green('✅ Updated');
-              console.log(`${actionPrefix}: ${targetRelativePath}`);
-              
-              if (args.verbose) {
-                fieldsToUpdate.forEach(field => {
-                  if (sourceData.data[field] !== undefined) {
-                    console.log(`   ${chalk.yellow(field)}: ${JSON.stringify(sourceData.data[field])}`);
-                  }
-                });
-              }
-            } else if (args.verbose) {
-              console.log(`ℹ️ Skipped: ${targetRelativePath} (no changes needed)`);
-            }
-          } else if (args.verbose) {
-            console.log(`⚠️ No matching source file for: ${targetRelativePath}`);
-          }
-        }
-      }
+
+    return result.modified && !args.dryRun;
+  }, error => {
+    console.error(chalk.red('❌ Watch error:'), error.message);
+    process.exit(1);
+  });
+
+  process.once('SIGINT', () => {
+    watcher.close();
+    console.log(`\n📊 Stopped watching: ${counts.files} file(s) processed, ${counts.updated} updated, ${counts.problems} with problems`);
+    printJournalSummary(journal);
+    process.exit(process.exitCode || 0);
+  });
+}
+
+// Function to run the history and undo commands
+function runHistoryCommand(args) {
+  if (args.command === 'cache') {
+    if (args.cacheAction === 'clear') {
+      const cleared = api.cache.clearCache(args.stateDir);
+      console.log(cleared
+        ? chalk.green(`🧹 Cleared ${api.cache.cachePath(args.stateDir)}`)
+        : chalk.yellow(`No cache in ${args.stateDir}`));
+    } else if (args.cacheAction) {
+      throw new Error(`Unknown cache action: ${args.cacheAction} (expected clear)`);
+    } else {
+      const info = api.cache.openCache({ stateDir: args.stateDir }).info();
+      console.log(`🗃️ ${info.file}: ${info.files} file(s), ${info.configs} configuration(s)`);
     }
-    
-    processTargetFiles(targetDir);
-    
-    console.log(chalk.green(`✨ Frontmatter copy complete!`));
-    console.log(`📊 Matched ${matchedFiles} files, modified ${modifiedFiles} files`);
-    
-  } catch (error) {
-    console.error(chalk.red(`❌ Error copying frontmatter:`), error.message);
+    return;
+  }
+
+  if (args.command === 'history') {
+    const runs = api.journal.listRuns(args.stateDir);
+
+    if (runs.length === 0) {
+      console.log(chalk.yellow(`No recorded runs in ${args.stateDir}`));
+      return;
+    }
+
+    runs.forEach(run => {
+      const status = (run.undoes ? chalk.cyan(` (undo of ${run.undoes})`) : '') +
+        (run.undone ? chalk.yellow(' (undone)') : '');
+      console.log(`${chalk.bold(run.id)}  ${run.startedAt || ''}  ${run.files} file(s)${status}`);
+      if (run.command !== null) {
+        console.log(`   ${chalk.cyan(`${run.tool || 'frontmatter'} ${run.command}`)}`);
+      }
+    });
+    return;
+  }
+
+  const runId = args.runId || api.journal.latestRunId(args.stateDir);
+  const journal = startJournal(args, 'frontmatter-array', { undoes: runId });
+  const result = api.journal.undoRun(args.stateDir, runId, {
+    force: args.force,
+    dryRun: args.dryRun,
+    journal
+  });
+
+  const actionPrefix = args.dryRun ? chalk.blue('🔍 Would restore') : chalk.green('↩️ Restored');
+  result.restored.forEach(filePath => console.log(`${actionPrefix}: ${filePath}`));
+  result.conflicts.forEach(conflict => {
+    console.log(chalk.yellow(`⚠️ Skipped ${conflict.path}: ${conflict.reason} (use --force to restore anyway)`));
+  });
+  result.errors.forEach(error => {
+    console.error(chalk.red(`❌ Error restoring ${error.path}:`), error.message);
+  });
+
+  console.log(`📊 Run ${result.id}: restored ${result.restored.length} file(s), ${result.conflicts.length} conflict(s)`);
+  printJournalSummary(journal);
+
+  if (result.conflicts.length > 0 || result.errors.length > 0) {
+    process.exitCode = 1;
   }
 }
 
 // Main execution
 async function main() {
+  let config;
+  try {
+    config = loadCliConfig('array');
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+
+  const args = parseArguments(process.argv, config.options);
+  const startedAt = new Date().toISOString();
+
+  if (config.configPath && args.verbose) {
+    console.log(chalk.cyan(`⚙️ Using config: ${config.configPath}${config.profile ? ` (profile: ${config.profile})` : ''}`));
+  }
+
+  if (args.report && !api.report.REPORT_FORMATS.includes(args.report)) {
+    console.error(chalk.red(`❌ Unknown report format: ${args.report} (expected one of ${api.report.REPORT_FORMATS.join(', ')})`));
+    process.exit(1);
+  }
+
+  // The API checks the options (and loads the recipe); the CLI only reports
+  // what is wrong. The cache is opened later, by the runs that use it.
+  try {
+    const options = api.normalizeOptions({ ...args, cache: false });
+    args.recipe = options.recipe;
+    args.coercion = options.coercion;
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+
+  if (args.command) {
+    try {
+      runHistoryCommand(args);
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  if (args.watch && (args.interactive || args.sourceFrontmatterDir || args.transaction)) {
+    console.error(chalk.red('❌ --watch cannot be combined with --interactive, --copy-frontmatter or --transaction'));
+    process.exit(1);
+  }
+
+  // Check if directory path is provided when not in interactive mode
+  if (!args.directory && !args.interactive && !args.sourceFrontmatterDir) {
+    showHelp();
+    process.exit(1);
+  }
+
   if (args.interactive) {
-    await runInteractiveMode();
+    await runInteractiveMode(args, startedAt);
   } else if (args.sourceFrontmatterDir && args.targetContentDir) {
     // Run frontmatter copy mode
-    copyFrontmatter(
-      args.sourceFrontmatterDir, 
-      args.targetContentDir, 
-      args.frontmatterFields
-    );
+    console.log(chalk.cyan(`🔄 Copying frontmatter from ${args.sourceFrontmatterDir} to ${args.targetContentDir}`));
+    if (args.check) {
+      console.log(chalk.yellow('🔒 CHECK MODE: No files will be modified'));
+    } else if (args.dryRun) {
+      console.log(chalk.yellow('⚠️ DRY RUN MODE: No files will be modified'));
+    }
+
+    const journal = startJournal(args, 'frontmatter-array');
+    const progress = createProgress({ enabled: args.progress === null ? undefined : args.progress });
+    const run = await api.copyFrontmatterAsync(args.sourceFrontmatterDir, args.targetContentDir, {
+      ...args,
+      journal,
+      // Copy runs do not use the result cache
+      cache: null,
+      onFile: result => progress.log(() => printCopyResult(result, args)),
+      onProgress: state => progress.update(state)
+    });
+    progress.done();
+
+    printTraversalErrors(run.errors);
+    process.exitCode = reportTransaction(run);
+    if (args.onConflict === 'fail' && run.files.some(file => file.conflict)) {
+      process.exitCode = 1;
+    }
+    console.log(chalk.blue(`📁 Found ${run.sourceFiles} source files with frontmatter`));
+    console.log(chalk.green(`✨ Frontmatter copy complete!`));
+    console.log(`📊 Matched ${run.matched} files, modified ${run.summary.modified} files`);
+    printJournalSummary(journal);
+
+    if (args.report) {
+      writeRunReport(run, args, 'copy-frontmatter', startedAt);
+    }
+
+    if (args.check) {
+      reportCheckResult(run);
+    }
   } else {
     console.log(chalk.cyan(`🔍 Processing files in: ${args.directory}`));
-    if (args.dryRun) {
+    if (args.check) {
+      console.log(chalk.yellow('🔒 CHECK MODE: No files will be modified'));
+    } else if (args.dryRun) {
       console.log(chalk.yellow('⚠️ DRY RUN MODE: No files will be modified'));
     }
     console.log(`📋 Mode: ${chalk.bold(args.mode)}`);
-    console.log(`📋 Fields to process: ${chalk.bold(args.fields.join(', '))}`);
-    
-    if (args.mode === 'to-array' || args.mode === 'to-string') {
+    if (args.where) {
+      console.log(`🔎 Where: ${chalk.bold(api.where.compileWhere(args.where).source)}`);
+    }
+    if (args.mode === 'validate' && args.schema) {
+      console.log(`📋 Schema: ${chalk.bold(args.schema)}`);
+    } else if (args.mode === 'convert') {
+      console.log(`🔁 Converting frontmatter to: ${chalk.bold(args.outputFormat)}`);
+    } else if (args.mode === 'coerce') {
+      const { coercion } = args;
+      console.log(`🔣 Converting to: ${chalk.bold(coercion.type)}` + (['date', 'string'].includes(coercion.type)
+        ? ` (dates as ${chalk.bold(coercion.dateFormat)}, ${chalk.bold(coercion.timezone)})` : ''));
+    }
+    if (args.recipe) {
+      console.log(`📜 Recipe${args.recipe.description ? `: ${chalk.bold(args.recipe.description)}` : ''}`);
+      args.recipe.steps.forEach((step, index) => {
+        console.log(`   ${index + 1}. ${api.recipe.describeStep(step)}`);
+      });
+    } else if (!(args.mode === 'validate' && args.schema) && args.mode !== 'convert') {
+      console.log(`📋 Fields to process: ${chalk.bold(args.fields.join(', '))}`);
+    }
+
+    if (!args.recipe && (args.mode === 'to-array' || args.mode === 'to-string')) {
       console.log(`🔣 Using delimiter: "${chalk.bold(args.delimiter)}"`);
     }
-    
-    processDirectory(args.directory);
+
+    const journal = startJournal(args, 'frontmatter-array');
+    const progress = createProgress({ enabled: args.progress === null ? undefined : args.progress });
+    const cache = openRunCache(args);
+    const run = await api.processDirectoryAsync(args.directory, {
+      ...args,
+      journal,
+      cache,
+      onFile: result => progress.log(() => printFileResult(result, args)),
+      onProgress: state => progress.update(state)
+    });
+    progress.done();
+
+    printTraversalErrors(run.errors);
+    process.exitCode = reportTransaction(run);
+    if (args.onConflict === 'fail' && run.files.some(file => file.conflict)) {
+      process.exitCode = 1;
+    }
+    if (cache && cache.hits() > 0) {
+      console.log(chalk.cyan(`⚡ ${cache.hits()} file(s) unchanged since the last clean run (results from the cache)`));
+    }
+    if (args.mode === 'coerce' && run.summary.invalid > 0) {
+      console.log(chalk.yellow(`⚠️ ${run.summary.invalid} file(s) have values that could not be converted and were left unchanged`));
+      process.exitCode = 1;
+    }
     console.log(chalk.green('✨ Processing complete!'));
+    printJournalSummary(journal);
+
+    if (args.report) {
+      writeRunReport(run, args, args.mode, startedAt);
+    }
+
+    if (args.check) {
+      reportCheckResult(run);
+    }
+
+    if (args.watch) {
+      runWatchMode(args, journal, cache);
+    }
   }
 }
 
-// Start the program
-main().catch(error => {
-  console.error(chalk.red('❌ Fatal error:'), error.message);
-  process.exit(1);
-});
\ No newline at end of file
+// The module doubles as the library entry point ("main" in package.json);
+// only run the CLI when executed directly
+if (require.main === module) {
+  main().catch(error => {
+    console.error(chalk.red('❌ Fatal error:'), error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  ...api,
+  parseArguments,
+  runInteractiveMode
+};
@@ -2,7 +2,40 @@
 
 const fs = require('fs');
 const path = require('path');
-const matter = require('gray-matter');
+const report = require('./lib/report');
+const { summarize } = require('./lib/api');
+const { createDiff, colorizeDiff } = require('./lib/diff');
+const { FRONTMATTER_FORMATS } = require('./lib/frontmatter');
+const { DEFAULT_EXTENSIONS, getFileType } = require('./lib/file-types');
+const { loadCliConfig } = require('./lib/config');
+const { collectFiles } = require('./lib/files');
+const { compileWhere } = require('./lib/where');
+const { QUERY_FORMATS, runQuery, formatQuery } = require('./lib/query');
+const { createReplacer, replaceInData } = require('./lib/replace');
+const { findImages, checkImages, rewriteImages } = require('./lib/images');
+const { createCoercion, coerceValue } = require('./lib/coerce');
+const {
+  createSlugger,
+  slugify,
+  splitFilename,
+  slugFromFilename,
+  checkSlug,
+  renameTarget,
+  findSlugCollisions,
+  findRenameCollisions
+} = require('./lib/slug');
+const {
+  SHEET_FORMATS,
+  FILE_COLUMN,
+  formatFromPath,
+  buildSheet,
+  serializeSheet,
+  parseSheet,
+  planRow
+} = require('./lib/sheet');
+const { DEFAULT_STATE_DIR, createJournal } = require('./lib/journal');
+const { CONFLICT_ACTIONS, readSnapshot, createWriter } = require('./lib/writer');
+const { parsePath, formatPath, getPath, hasPath, setPath, deletePath } = require('./lib/field-path');
 
 // Import chalk based on availability
 let chalk;
@@ -16,13 +49,33 @@ try {
     blue: (text) => `\x1b[34m${text}\x1b[0m`,
     yellow: (text) => `\x1b[33m${text}\x1b[0m`,
     cyan: (text) => `\x1b[36m${text}\x1b[0m`,
-    bold: (text) => `\x1b[1m${text}\x1b[0m`
+    bold: (text) => `\x1b[1m${text}\x1b[0m`,
+    gray: (text) => `\x1b[90m${text}\x1b[0m`
   };
+  chalk.red.strikethrough = (text) => `\x1b[31;9m${text}\x1b[0m`;
 }
 
 // Parse command line arguments
 const args = parseArguments();
 
+// Per-file results and directory errors, collected for --report
+const results = [];
+const traversalErrors = [];
+
+// --where filter, compiled in main()
+let whereFilter = null;
+
+// Original contents of written files, so the run can be undone
+const journal = args.dryRun || !args.backup ? null : createJournal({
+  stateDir: args.stateDir,
+  tool: 'frontmatter-editor',
+  command: process.argv.slice(2).join(' ')
+});
+
+// Writes go through a temp file and are checked against what was read;
+// with --transaction they are held back until every file has been processed
+const writer = args.dryRun ? null : createWriter({ journal, transaction: args.transaction });
+
 // Main function
 async function main() {
   // Show help if requested or no command provided
@@ -31,6 +84,37 @@ async function main() {
     process.exit(args.help ? 0 : 1);
   }
 
+  if (!CONFLICT_ACTIONS.includes(args.onConflict)) {
+    console.error(chalk.red(`Unknown conflict action: ${args.onConflict} (expected one of ${CONFLICT_ACTIONS.join(', ')})`));
+    process.exit(1);
+  }
+
+  if (args.where) {
+    try {
+      whereFilter = compileWhere(args.where);
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  }
+
+  if (args.maxDepth !== null && (!Number.isInteger(args.maxDepth) || args.maxDepth < 0)) {
+    console.error(chalk.red('Error: --max-depth expects a whole number of 0 or more'));
+    process.exit(1);
+  }
+
+  if (args.format && !FRONTMATTER_FORMATS.includes(args.format)) {
+    console.error(chalk.red(`Unknown frontmatter format: ${args.format} (expected one of ${FRONTMATTER_FORMATS.join(', ')})`));
+    process.exit(1);
+  }
+
+  if (args.report && !report.REPORT_FORMATS.includes(args.report)) {
+    console.error(chalk.red(`Unknown report format: ${args.report} (expected one of ${report.REPORT_FORMATS.join(', ')})`));
+    process.exit(1);
+  }
+
+  const startedAt = new Date().toISOString();
+
   // Execute the appropriate command
   switch (args.command) {
     case 'get':
@@ -45,30 +129,126 @@ async function main() {
     case 'list':
       listFields();
       break;
+    case 'query':
+      queryFiles();
+      break;
+    case 'export':
+      exportSheet();
+      break;
+    case 'import':
+      importSheet();
+      break;
+    case 'replace':
+      replaceValues();
+      break;
+    case 'images':
+      manageImages();
+      break;
+    case 'slug':
+      manageSlugs();
+      break;
     default:
       console.error(chalk.red(`Unknown command: ${args.command}`));
       showHelp();
       process.exit(1);
   }
+
+  if (writer && writer.transaction) {
+    finishTransaction();
+  }
+  if (args.onConflict === 'fail' && results.some(result => result.conflict)) {
+    process.exitCode = 1;
+  }
+
+  if (args.report) {
+    const runReport = report.buildReport({
+      dryRun: args.dryRun,
+      files: results,
+      errors: traversalErrors,
+      summary: summarize(results)
+    }, {
+      tool: 'frontmatter-editor',
+      command: args.command,
+      startedAt
+    });
+    const reportPath = report.writeReport(runReport, args.report, args.reportFile);
+    console.log(chalk.cyan(`Report written to ${reportPath}`));
+  }
+
+  if (journal && journal.count() > 0) {
+    console.log(chalk.cyan(`Backup saved as run ${journal.id} (undo with: frontmatter-array.js undo ${journal.id})`));
+  }
 }
 
-// Parse command line arguments
+// Parse command line arguments, on top of any .frontmatterrc defaults
 function parseArguments() {
+  let config;
+  try {
+    config = loadCliConfig('editor');
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
+  }
+
   const args = {
     command: null,
     file: null,
     field: null,
     value: null,
-    format: 'yaml',
+    format: null,
     dryRun: false,
+    diff: false,
     help: false,
     recursive: false,
     verbose: false,
     directory: null,
-    extension: '.md,.markdown',
-    pattern: null
+    extension: DEFAULT_EXTENSIONS,
+    pattern: null,
+    columns: null,
+    sort: null,
+    groupBy: null,
+    count: false,
+    limit: null,
+    output: 'table',
+    sheet: null,
+    sheetFormat: null,
+    force: false,
+    clearEmpty: false,
+    find: null,
+    replaceWith: null,
+    regex: false,
+    ignoreCase: false,
+    preserveCase: false,
+    preview: false,
+    action: null,
+    staticDir: null,
+    from: null,
+    to: null,
+    toAbsolute: false,
+    type: null,
+    dateFormat: null,
+    timezone: null,
+    separator: null,
+    keepCase: false,
+    transliterate: null,
+    where: null,
+    include: [],
+    exclude: [],
+    maxDepth: null,
+    ignoreFiles: true,
+    report: null,
+    reportFile: null,
+    backup: true,
+    stateDir: DEFAULT_STATE_DIR,
+    transaction: false,
+    onConflict: 'skip',
+    ...config.options
   };
 
+  // --include/--exclude given on the command line replace the config file's lists
+  const globsGiven = new Set();
+  let whereGiven = false;
+
   // Skip the first two arguments (node and script name)
   for (let i = 2; i < process.argv.length; i++) {
     const arg = process.argv[i];
@@ -97,6 +277,8 @@ function parseArguments() {
       }
     } else if (arg === '--dry-run') {
       args.dryRun = true;
+    } else if (arg === '--diff') {
+      args.diff = true;
     } else if (arg === '--recursive' || arg === '-r') {
       args.recursive = true;
     } else if (arg === '--verbose') {
@@ -109,8 +291,145 @@ function parseArguments() {
       if (process.argv[i + 1] && !process.argv[i + 1].startsWith('-')) {
         args.pattern = new RegExp(process.argv[++i]);
       }
+    } else if (arg === '--columns' || arg === '-c') {
+      if (process.argv[i + 1] && !process.argv[i + 1].startsWith('-')) {
+        args.columns = process.argv[++i].split(',').map(column => column.trim()).filter(Boolean);
+      }
+    } else if (arg === '--sort') {
+      // Descending keys start with "-", so the value is not checked for a leading dash
+      if (i + 1 < process.argv.length) {
+        args.sort = process.argv[++i];
+      }
+    } else if (arg === '--sheet') {
+      if (process.argv[i + 1] && !process.argv[i + 1].startsWith('-')) {
+        args.sheet = process.argv[++i];
+      }
+    } else if (arg === '--sheet-format') {
+      if (process.argv[i + 1] && !process.argv[i + 1].startsWith('-')) {
+        args.sheetFormat = process.argv[++i];
+      }
+    } else if (arg === '--force') {
+      args.force = true;
+    } else if (arg === '--clear-empty') {
+      args.clearEmpty = true;
+    } else if (arg === '--find') {
+      if (i + 1 < process.argv.length) {
+        args.find = process.argv[++i];
+      }
+    } else if (arg === '--replace-with') {
+      if (i + 1 < process.argv.length) {
+        args.replaceWith = process.argv[++i];
+      }
+    } else if (arg === '--regex') {
+      args.regex = true;
+    } else if (arg === '--ignore-case') {
+      args.ignoreCase = true;
+    } else if (arg === '--preserve-case') {
+      args.preserveCase = true;
+    } else if (arg === '--preview') {
+      // A preview lists the matches and never writes
+      args.preview = true;
+      args.dryRun = true;
+    } else if (arg === '--group-by') {
+      if (process.argv[i + 1] && !process.argv[i + 1].startsWith('-')) {
+        args.groupBy = process.argv[++i];
+      }
+    } else if (arg === '--count') {
+      args.count = true;
+    } else if (arg === '--limit') {
+      if (process.argv[i + 1] && !process.argv[i + 1].startsWith('-')) {
+        args.limit = Number(process.argv[++i]);
+      }
+    } else if (arg === '--output' || arg === '-o') {
+      if (process.argv[i + 1] && !process.argv[i + 1].startsWith('-')) {
+        args.output = process.argv[++i];
+      }
+    } else if (arg === '--where' || arg === '-w') {
+      if (i + 1 < process.argv.length) {
+        // Repeated --where expressions must all match
+        args.where = whereGiven ? [].concat(args.where, process.argv[++i]) : process.argv[++i];
+        whereGiven = true;
+      }
+    } else if (arg === '--include' || arg === '--exclude') {
+      if (process.argv[i + 1] && !process.argv[i + 1].startsWith('-')) {
+        const key = arg.slice(2);
+        if (!globsGiven.has(key)) {
+          args[key] = [];
+          globsGiven.add(key);
+        }
+        args[key].push(process.argv[++i]);
+      }
+    } else if (arg === '--max-depth') {
+      if (process.argv[i + 1] && !process.argv[i + 1].startsWith('-')) {
+        args.maxDepth = Number(process.argv[++i]);
+      }
+    } else if (arg === '--no-ignore') {
+      args.ignoreFiles = false;
+    } else if (arg === '--config' || arg === '--profile') {
+      // Already applied by loadCliConfig; skip the value
+      i++;
+    } else if (arg === '--no-config') {
+      // Handled by loadCliConfig
+    } else if (arg === '--report') {
+      if (process.argv[i + 1] && !process.argv[i + 1].startsWith('-')) {
+        args.report = process.argv[++i];
+      }
+    } else if (arg === '--report-file') {
+      if (process.argv[i + 1] && !process.argv[i + 1].startsWith('-')) {
+        args.reportFile = process.argv[++i];
+      }
+    } else if (arg === '--no-backup') {
+      args.backup = false;
+    } else if (arg === '--transaction') {
+      args.transaction = true;
+    } else if (arg === '--on-conflict') {
+      if (process.argv[i + 1] && !process.argv[i + 1].startsWith('-')) {
+        args.onConflict = process.argv[++i];
+      }
+    } else if (arg === '--state-dir') {
+      if (process.argv[i + 1] && !process.argv[i + 1].startsWith('-')) {
+        args.stateDir = process.argv[++i];
+      }
+    } else if (arg === '--static-dir') {
+      if (process.argv[i + 1] && !process.argv[i + 1].startsWith('-')) {
+        args.staticDir = process.argv[++i];
+      }
+    } else if (arg === '--from') {
+      if (i + 1 < process.argv.length) {
+        args.from = process.argv[++i];
+      }
+    } else if (arg === '--to') {
+      if (i + 1 < process.argv.length) {
+        args.to = process.argv[++i];
+      }
+    } else if (arg === '--to-absolute') {
+      args.toAbsolute = true;
+    } else if (arg === '--type') {
+      if (process.argv[i + 1] && !process.argv[i + 1].startsWith('-')) {
+        args.type = process.argv[++i];
+      }
+    } else if (arg === '--date-format') {
+      if (process.argv[i + 1] && !process.argv[i + 1].startsWith('-')) {
+        args.dateFormat = process.argv[++i];
+      }
+    } else if (arg === '--timezone') {
+      if (i + 1 < process.argv.length) {
+        args.timezone = process.argv[++i];
+      }
     } else if (!arg.startsWith('-') && !args.command) {
       args.command = arg;
+    } else if (arg === '--separator') {
+      if (i + 1 < process.argv.length) {
+        args.separator = process.argv[++i];
+      }
+    } else if (arg === '--keep-case') {
+      args.keepCase = true;
+    } else if (arg === '--transliterate') {
+      if (process.argv[i + 1] && !process.argv[i + 1].startsWith('-')) {
+        args.transliterate = process.argv[++i];
+      }
+    } else if (!arg.startsWith('-') && ['images', 'slug'].includes(args.command) && !args.action) {
+      args.action = arg;
     }
   }
 
@@ -128,20 +447,77 @@ ${chalk.yellow('Commands:')}
   get                     Get the value of a frontmatter field
   set                     Set the value of a frontmatter field
   remove                  Remove a frontmatter field
-  list                    List all frontmatter fields in a file
+  list                    List all frontmatter fields in a file (or those below --field)
+  query                   Show chosen fields of every matching file as a table, or count them
+  export                  Write one row per file (path plus --columns, or all fields) to a sheet
+  import                  Apply an edited sheet back to the files it was exported from
+  replace                 Find and replace text in frontmatter values (all of them, or below --field)
+  images [list]           List the image references in frontmatter (image, ogImage, images[].src, ...)
+  images check            Report local image references that do not resolve to a file
+  images rewrite          Rewrite image references: swap a prefix (--from/--to) or make them absolute
+  slug [generate]         Fill in missing slugs from the title (or --from <field>); --force replaces them all
+  slug from-filename      Set each file's slug from its filename
+  slug rename             Rename files to match their slug
+  slug check              Report missing slugs, slugs that differ from the filename, and collisions
 
 ${chalk.yellow('Options:')}
   -h, --help              Show this help message
   -f, --file <path>       Path to a specific file to process
   -d, --directory <path>  Path to a directory of files to process
-  -k, --field <name>      Name of the frontmatter field
+  -k, --field <name>      Name or path of the frontmatter field (e.g. title, seo.title, images[0].src)
   -v, --value <value>     Value to set for the field
-  --format <format>       Output format for frontmatter (yaml or json, default: yaml)
+  --type <type>           Store the value of set as number, boolean, string or date instead of
+                          guessing (e.g. --type string keeps "007" as it is)
+  --date-format <format>  How --type date writes the value: "iso" or a pattern like YYYY-MM-DD
+  --timezone <zone>       Timezone for --type date: UTC, an IANA name or an offset like +02:00
+  --format <format>       Write frontmatter as yaml, toml or json (default: keep each file's format)
   --dry-run               Preview changes without modifying files
+  --diff                  Show a unified diff of each file's old and new content
   -r, --recursive         Process subdirectories when using --directory
   --verbose               Show more detailed output
-  -e, --extension <exts>  File extensions to process (comma-separated, default: .md,.markdown)
+  -e, --extension <exts>  File extensions to process (comma-separated, default: .md,.markdown;
+                          also .mdx .mdoc .markdoc .html .htm .adoc .asciidoc)
   -p, --pattern <regex>   Only process files matching this regex pattern
+  -w, --where <expr>      Only process files whose frontmatter matches, e.g. 'draft == true'
+  --include <glob>        Only process files whose path (relative to --directory) matches (repeatable)
+  --exclude <glob>        Skip files and folders whose relative path matches (repeatable)
+  --max-depth <n>         With --recursive, descend at most n folder levels
+  --no-ignore             Don't skip files listed in .gitignore and .frontmatterignore
+  -c, --columns <fields>  Query: comma-separated fields to show; $file and $name are the
+                          file's path and name (default: $file,title)
+  --sort <fields>         Query: comma-separated sort keys, "-date" or "date:desc" for descending
+  --group-by <field>      Query: one row per value with a count (array fields count each element)
+  --count                 Query: only count the matching files
+  --limit <n>             Query: show at most n rows
+  -o, --output <format>   Query output: table, csv, json or markdown (default: table)
+  --sheet <path>          Export/import: the sheet file (export prints to stdout without it)
+  --sheet-format <fmt>    Export/import: csv, tsv or json (default: from the file extension)
+  --force                 Import: apply rows for files changed on disk since the export;
+                          slug generate: replace existing slugs
+  --clear-empty           Import: remove fields whose cells were emptied (default: keep them)
+  --find <text>           Replace: the text (or, with --regex, the pattern) to look for
+  --replace-with <text>   Replace: what to put in its place (default: nothing); $1, $<name> with --regex
+  --regex                 Replace: treat --find as a JavaScript regular expression
+  --ignore-case           Replace: match regardless of case
+  --preserve-case         Replace: match the case of each hit (UPPER, lower or Capitalized)
+  --preview               Replace: list every match with its replacement, without writing
+  --static-dir <dirs>     Images: comma-separated roots for /absolute paths (default: the content directory)
+  --from <prefix>         Images rewrite: the prefix to replace, e.g. /uploads/
+  --to <prefix>           Images rewrite: what to put in its place, e.g. https://cdn.example.com/
+  --to-absolute           Images rewrite: turn file-relative paths into /paths below the first static root
+  --from <field>          Slug generate: the field slugs are made from (default: title)
+  --separator <char>      Slug: what joins the words: -, _ or . (default: -)
+  --keep-case             Slug: don't lowercase
+  --transliterate <map>   Slug: spell letters out before accents are dropped, e.g. "ä=ae,ö=oe,ü=ue,ß=ss"
+  --config <file>         Use this config file instead of the nearest .frontmatterrc
+  --profile <name>        Apply a named profile from the config file
+  --no-config             Ignore .frontmatterrc files
+  --report <format>       Write a machine-readable report (json, ndjson or junit)
+  --report-file <path>    Where to write the report (default: frontmatter-report.<ext>)
+  --no-backup             Don't record this run in the undo history
+  --transaction           Write all changed files or none (for --directory runs)
+  --on-conflict <action>  File edited by someone else since it was read: skip (default) or fail
+  --state-dir <dir>       Where run history is kept (default: .frontmatter)
 
 ${chalk.yellow('Examples:')}
   # Get a field value from a file
@@ -156,8 +532,47 @@ ${chalk.yellow('Examples:')}
   # List all frontmatter fields in a file
   frontmatter-editor.js list --file post.md
 
+  # Work with nested fields (missing parent objects are created on set)
+  frontmatter-editor.js set --file post.md --field seo.title --value "My Post"
+  frontmatter-editor.js set --file post.md --field sku --value 007 --type string
+  frontmatter-editor.js get --file post.md --field "images[0].src"
+  frontmatter-editor.js list --file post.md --field seo
+
   # Set a field value in all markdown files in a directory
   frontmatter-editor.js set --directory ./content --field status --value published --recursive
+
+  # Posts from 2024, newest first
+  frontmatter-editor.js query -d ./content -r --columns title,date,tags --where 'date >= 2024-01-01 and date < 2025-01-01' --sort -date
+
+  # Count posts per category, as Markdown
+  frontmatter-editor.js query -d ./content -r --group-by category --output markdown
+
+  # Swap one author bio sentence for another in every post
+  frontmatter-editor.js replace -d ./content -r --field authorBio --find "chief editor at Golf Pitches" --replace-with "market analyst" --preview
+
+  # Move "... 2023" to "... 2024" in titles and image alt texts, in any case
+  frontmatter-editor.js replace -d ./content -r --field 'title,images[*].alt' --regex --find '(\\w+) 2023' --replace-with '$1 2024' --ignore-case --diff
+
+  # Find broken image references, then move uploads to a CDN
+  frontmatter-editor.js images check -d ./content -r --static-dir ./static
+  frontmatter-editor.js images rewrite -d ./content -r --from /uploads/ --to https://cdn.example.com/uploads/ --dry-run
+
+  # Fill in missing slugs, then make the filenames match them
+  frontmatter-editor.js slug -d ./content -r --transliterate "ä=ae,ö=oe,ü=ue" --dry-run
+  frontmatter-editor.js slug rename -d ./content -r --pattern '\\.md$'
+
+  # Round-trip titles and tags through a spreadsheet
+  frontmatter-editor.js export -d ./content -r --columns title,description,tags --sheet posts.csv
+  frontmatter-editor.js import -d ./content --sheet posts.csv --dry-run --diff
+
+  # Publish only the forex drafts
+  frontmatter-editor.js set --directory ./content --field draft --value false --where 'draft and category == forex' -r
+
+  # Record what changed as JSON
+  frontmatter-editor.js set --directory ./content --field status --value published --report json
+
+  # Revert the last run (editor runs are recorded in the same history)
+  frontmatter-array.js undo
   `);
 }
 
@@ -177,10 +592,12 @@ function getField() {
     // Process a single file
     try {
       const fileContent = fs.readFileSync(args.file, 'utf8');
-      const { data } = matter(fileContent);
+      const data = readFrontmatter(args.file, fileContent);
+      if (!data || !matchesWhere(args.file, data)) return;
+      recordRead(args.file, { [args.field]: getPath(data, args.field) });
 
-      if (data[args.field] !== undefined) {
-        console.log(`${chalk.cyan(args.field)}: ${formatValue(data[args.field])}`);
+      if (getPath(data, args.field) !== undefined) {
+        console.log(`${chalk.cyan(args.field)}: ${formatValue(getPath(data, args.field))}`);
       } else {
         console.log(chalk.yellow(`Field '${args.field}' not found in ${args.file}`));
       }
@@ -193,15 +610,18 @@ function getField() {
     processDirectory(args.directory, (filePath) => {
       try {
         const fileContent = fs.readFileSync(filePath, 'utf8');
-        const { data } = matter(fileContent);
+        const data = readFrontmatter(filePath, fileContent);
+        if (!data || !matchesWhere(filePath, data)) return;
+        recordRead(filePath, { [args.field]: getPath(data, args.field) });
 
-        if (data[args.field] !== undefined) {
-          console.log(`${chalk.cyan(filePath)}: ${args.field} = ${formatValue(data[args.field])}`);
+        if (getPath(data, args.field) !== undefined) {
+          console.log(`${chalk.cyan(filePath)}: ${args.field} = ${formatValue(getPath(data, args.field))}`);
         } else if (args.verbose) {
           console.log(chalk.yellow(`Field '${args.field}' not found in ${filePath}`));
         }
       } catch (error) {
         console.error(chalk.red(`Error reading file ${filePath}:`), error.message);
+        recordError(filePath, error);
       }
     });
   }
@@ -224,9 +644,27 @@ function setField() {
     process.exit(1);
   }
 
-  // Parse the value if it looks like JSON
+  // With --type the value is converted to that type; otherwise parse it if it
+  // looks like JSON
   let parsedValue = args.value;
-  if (args.value.startsWith('[') || args.value.startsWith('{')) {
+  if (args.type) {
+    let converted;
+    try {
+      converted = coerceValue(args.value, createCoercion({
+        type: args.type,
+        dateFormat: args.dateFormat,
+        timezone: args.timezone
+      }));
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+    if (converted.problems) {
+      console.error(chalk.red(`Error: ${converted.problems[0].message}`));
+      process.exit(1);
+    }
+    parsedValue = converted.value;
+  } else if (args.value.startsWith('[') || args.value.startsWith('{')) {
     try {
       parsedValue = JSON.parse(args.value);
     } catch (error) {
@@ -242,11 +680,12 @@ function setField() {
   if (args.file) {
     // Process a single file
     updateFile(args.file, (data) => {
-      const oldValue = data[args.field];
-      data[args.field] = parsedValue;
+      const oldValue = getPath(data, args.field);
+      setPath(data, args.field, parsedValue);
       
       return {
         modified: true,
+        change: { type: 'set-field', field: args.field, oldValue, value: parsedValue },
         message: `Set ${chalk.cyan(args.field)} = ${formatValue(parsedValue)}` + 
                  (oldValue !== undefined ? ` (was: ${formatValue(oldValue)})` : '')
       };
@@ -255,11 +694,12 @@ function setField() {
     // Process a directory
     processDirectory(args.directory, (filePath) => {
       updateFile(filePath, (data) => {
-        const oldValue = data[args.field];
-        data[args.field] = parsedValue;
+        const oldValue = getPath(data, args.field);
+        setPath(data, args.field, parsedValue);
         
         return {
           modified: true,
+          change: { type: 'set-field', field: args.field, oldValue, value: parsedValue },
           message: `Set ${chalk.cyan(args.field)} = ${formatValue(parsedValue)}` + 
                    (oldValue !== undefined ? ` (was: ${formatValue(oldValue)})` : '')
         };
@@ -283,12 +723,13 @@ function removeField() {
   if (args.file) {
     // Process a single file
     updateFile(args.file, (data) => {
-      if (data[args.field] !== undefined) {
-        const oldValue = data[args.field];
-        delete data[args.field];
+      if (hasPath(data, args.field)) {
+        const oldValue = getPath(data, args.field);
+        deletePath(data, args.field);
         
         return {
           modified: true,
+          change: { type: 'remove-field', field: args.field, oldValue },
           message: `Removed ${chalk.cyan(args.field)} (was: ${formatValue(oldValue)})`
         };
       }
@@ -302,12 +743,13 @@ function removeField() {
     // Process a directory
     processDirectory(args.directory, (filePath) => {
       updateFile(filePath, (data) => {
-        if (data[args.field] !== undefined) {
-          const oldValue = data[args.field];
-          delete data[args.field];
+        if (hasPath(data, args.field)) {
+          const oldValue = getPath(data, args.field);
+          deletePath(data, args.field);
           
           return {
             modified: true,
+            change: { type: 'remove-field', field: args.field, oldValue },
             message: `Removed ${chalk.cyan(args.field)} (was: ${formatValue(oldValue)})`
           };
         }
@@ -332,16 +774,18 @@ function listFields() {
     // Process a single file
     try {
       const fileContent = fs.readFileSync(args.file, 'utf8');
-      const { data } = matter(fileContent);
+      const data = readFrontmatter(args.file, fileContent);
+      if (!data || !matchesWhere(args.file, data)) return;
+      recordRead(args.file, data);
       
       console.log(chalk.cyan(`Frontmatter fields in ${args.file}:`));
       
-      const fields = Object.keys(data);
-      if (fields.length === 0) {
+      const entries = listEntries(data);
+      if (entries.length === 0) {
         console.log(chalk.yellow('  No frontmatter fields found'));
       } else {
-        fields.forEach(field => {
-          console.log(`  ${chalk.bold(field)}: ${formatValue(data[field])}`);
+        entries.forEach(([field, value]) => {
+          console.log(`  ${chalk.bold(field)}: ${formatValue(value)}`);
         });
       }
     } catch (error) {
@@ -353,86 +797,859 @@ function listFields() {
     processDirectory(args.directory, (filePath) => {
       try {
         const fileContent = fs.readFileSync(filePath, 'utf8');
-        const { data } = matter(fileContent);
+        const data = readFrontmatter(filePath, fileContent);
+        if (!data || !matchesWhere(filePath, data)) return;
+        recordRead(filePath, data);
         
         console.log(chalk.cyan(`\nFrontmatter fields in ${filePath}:`));
         
-        const fields = Object.keys(data);
-        if (fields.length === 0) {
+        const entries = listEntries(data);
+        if (entries.length === 0) {
           console.log(chalk.yellow('  No frontmatter fields found'));
         } else {
-          fields.forEach(field => {
-            console.log(`  ${chalk.bold(field)}: ${formatValue(data[field])}`);
+          entries.forEach(([field, value]) => {
+            console.log(`  ${chalk.bold(field)}: ${formatValue(value)}`);
           });
         }
       } catch (error) {
         console.error(chalk.red(`Error reading file ${filePath}:`), error.message);
+        recordError(filePath, error);
+      }
+    });
+  }
+}
+
+// Helper function to read the frontmatter of --file or every file in --directory
+// that matches --where, as [{ file, data }]
+function collectRecords() {
+  const records = [];
+  const readFile = (filePath) => {
+    try {
+      const fileContent = fs.readFileSync(filePath, 'utf8');
+      const data = readFrontmatter(filePath, fileContent);
+      if (!data || !matchesWhere(filePath, data)) return;
+      records.push({ file: filePath, data });
+    } catch (error) {
+      console.error(chalk.red(`Error reading file ${filePath}:`), error.message);
+      recordError(filePath, error);
+    }
+  };
+
+  if (args.file) {
+    readFile(args.file);
+  } else {
+    processDirectory(args.directory, readFile);
+  }
+
+  return records;
+}
+
+// Query frontmatter across files: columns, sorting, grouping and counts
+function queryFiles() {
+  if (!args.file && !args.directory) {
+    console.error(chalk.red('Error: No file or directory specified'));
+    process.exit(1);
+  }
+
+  if (!QUERY_FORMATS.includes(args.output)) {
+    console.error(chalk.red(`Error: Unknown output format: ${args.output} (expected one of ${QUERY_FORMATS.join(', ')})`));
+    process.exit(1);
+  }
+
+  if (args.limit !== null && (!Number.isInteger(args.limit) || args.limit < 1)) {
+    console.error(chalk.red('Error: --limit expects a whole number of 1 or more'));
+    process.exit(1);
+  }
+
+  const records = collectRecords();
+
+  const result = runQuery(records, {
+    columns: args.columns,
+    sort: args.sort,
+    groupBy: args.groupBy,
+    count: args.count,
+    limit: args.limit
+  });
+
+  records.forEach(record => {
+    const values = {};
+    (args.groupBy ? [args.groupBy] : result.columns.filter(column => column !== 'count')).forEach(column => {
+      values[column] = column.startsWith('$') ? undefined : getPath(record.data, column);
+    });
+    recordRead(record.file, values);
+  });
+
+  console.log(formatQuery(result, args.output, chalk));
+  if (args.output === 'table' && !args.count && !args.groupBy) {
+    console.log(`\n${result.rows.length} of ${records.length} matching file(s)`);
+  }
+}
+
+// Helper function to pick the sheet format from --sheet-format or the file extension
+function sheetFormat() {
+  const format = args.sheetFormat || formatFromPath(args.sheet);
+  if (!SHEET_FORMATS.includes(format)) {
+    console.error(chalk.red(`Error: Unknown sheet format: ${format} (expected one of ${SHEET_FORMATS.join(', ')})`));
+    process.exit(1);
+  }
+  return format;
+}
+
+// Export frontmatter to a CSV, TSV or JSON sheet, one row per file
+function exportSheet() {
+  if (!args.file && !args.directory) {
+    console.error(chalk.red('Error: No file or directory specified'));
+    process.exit(1);
+  }
+
+  const format = sheetFormat();
+  const records = collectRecords();
+  const baseDir = args.directory || path.dirname(args.file);
+  const sheet = buildSheet(records, args.columns, baseDir);
+  const text = serializeSheet(sheet, format);
+
+  records.forEach(record => recordRead(record.file, {}));
+
+  if (args.sheet) {
+    fs.writeFileSync(args.sheet, text, 'utf8');
+    console.log(chalk.green(`Exported ${records.length} file(s) and ${sheet.fields.length} field(s) to ${args.sheet}`));
+  } else {
+    process.stdout.write(text);
+  }
+}
+
+// Import an edited sheet back into the files it was exported from
+function importSheet() {
+  if (!args.sheet) {
+    console.error(chalk.red('Error: No sheet specified (use --sheet <file>)'));
+    process.exit(1);
+  }
+
+  const format = sheetFormat();
+  let sheet;
+  try {
+    sheet = parseSheet(fs.readFileSync(args.sheet, 'utf8'), format);
+  } catch (error) {
+    console.error(chalk.red(`Error reading sheet ${args.sheet}:`), error.message);
+    process.exit(1);
+  }
+
+  // Paths in the sheet are relative to the exported directory
+  const baseDir = args.directory || '.';
+  const fields = args.columns ? sheet.fields.filter(field => args.columns.includes(field)) : sheet.fields;
+  const missing = [];
+  const emptied = {};
+  const filled = {};
+
+  sheet.rows.forEach(row => {
+    const relativePath = String(row[FILE_COLUMN] || '').trim();
+    if (!relativePath) return;
+
+    fields.forEach(field => {
+      const cell = row[field];
+      if (cell !== undefined && cell !== null && String(cell).trim() !== '') {
+        filled[field] = (filled[field] || 0) + 1;
+      }
+    });
+
+    const filePath = path.join(baseDir, relativePath);
+    if (!fs.existsSync(filePath)) {
+      missing.push(relativePath);
+      console.log(`${chalk.yellow('[MISSING]')} ${filePath}: no such file, row skipped`);
+      results.push({ file: filePath, skipped: 'missing', modified: false, changes: [], error: null });
+      return;
+    }
+
+    updateFile(filePath, (data) => {
+      const plan = planRow(data, row, fields, { force: args.force, clearEmpty: args.clearEmpty });
+
+      if (plan.conflict) {
+        return {
+          modified: false,
+          skipped: 'conflict',
+          conflict: plan.conflict,
+          message: `${plan.conflict}, row skipped (use --force to import it anyway)`
+        };
+      }
+
+      plan.emptied.forEach(field => {
+        emptied[field] = (emptied[field] || []).concat(relativePath);
+      });
+
+      const changes = plan.changes.map(change => {
+        if (change.value === undefined) {
+          deletePath(data, change.field);
+          return { type: 'remove-field', field: change.field, oldValue: change.oldValue };
+        }
+        setPath(data, change.field, change.value);
+        return { type: 'set-field', field: change.field, oldValue: change.oldValue, value: change.value };
+      });
+
+      return {
+        modified: changes.length > 0,
+        changes,
+        message: changes.length > 0
+          ? changes.map(change => change.type === 'remove-field'
+            ? `Removed ${chalk.cyan(change.field)}`
+            : `Set ${chalk.cyan(change.field)} = ${formatValue(change.value)}`).join(', ')
+          : 'No changes'
+      };
+    });
+  });
+
+  // Cleared cells are the easiest way to lose data in a spreadsheet, so they are
+  // only applied with --clear-empty and always reported
+  Object.keys(emptied).forEach(field => {
+    const count = emptied[field].length;
+    const action = args.clearEmpty ? 'removed' : 'left unchanged (use --clear-empty to remove)';
+    const wholeColumn = !filled[field] ? ' - the column is empty in every row' : '';
+    console.log(chalk.yellow(`Column '${field}' is empty for ${count} file(s) that have a value: ${action}${wholeColumn}`));
+    if (args.verbose) {
+      emptied[field].forEach(file => console.log(`  ${file}`));
+    }
+  });
+
+  const conflicts = results.filter(result => result.skipped === 'conflict').length;
+  const modified = results.filter(result => result.modified).length;
+  const verb = args.dryRun ? 'would change' : 'changed';
+  console.log(`Imported ${sheet.rows.length} row(s): ${modified} file(s) ${verb}, ${missing.length} missing, ${conflicts} conflict(s)`);
+
+  if (missing.length > 0 || conflicts > 0) {
+    process.exitCode = 1;
+  }
+}
+
+// Find and replace text in frontmatter values
+function replaceValues() {
+  if (!args.file && !args.directory) {
+    console.error(chalk.red('Error: No file or directory specified'));
+    process.exit(1);
+  }
+
+  if (args.find === null || args.find === '') {
+    console.error(chalk.red('Error: No search text specified (use --find <text>)'));
+    process.exit(1);
+  }
+
+  let replacer;
+  try {
+    replacer = createReplacer({
+      find: args.find,
+      replacement: args.replaceWith,
+      regex: args.regex,
+      ignoreCase: args.ignoreCase,
+      preserveCase: args.preserveCase
+    });
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
+  }
+
+  const fields = args.field ? args.field.split(',').map(field => field.trim()).filter(Boolean) : [];
+  let matchCount = 0;
+
+  const replaceInFile = (filePath) => {
+    updateFile(filePath, (data) => {
+      const changes = replaceInData(data, replacer, fields);
+      const count = changes.reduce((total, change) => total + change.matches.length, 0);
+      matchCount += count;
+
+      if (args.preview) {
+        changes.forEach(change => printMatches(filePath, change));
       }
+
+      return {
+        modified: changes.length > 0,
+        changes,
+        message: changes.length > 0
+          ? `Replaced ${count} match(es) in ${changes.map(change => chalk.cyan(change.field)).join(', ')}`
+          : 'No matches'
+      };
     });
+  };
+
+  if (args.file) {
+    replaceInFile(args.file);
+  } else {
+    processDirectory(args.directory, replaceInFile);
+  }
+
+  const files = results.filter(result => result.modified).length;
+  const verb = args.dryRun ? 'would be replaced' : 'replaced';
+  console.log(`${matchCount} match(es) ${verb} in ${files} file(s)`);
+}
+
+// Helper function to show each match of a replace with a little context
+function printMatches(filePath, change) {
+  const context = 30;
+
+  change.matches.forEach(({ index, match, replacement }) => {
+    const before = change.oldValue.slice(Math.max(0, index - context), index);
+    const after = change.oldValue.slice(index + match.length, index + match.length + context);
+    const line = `${index > context ? '…' : ''}${before}` +
+      `${chalk.red.strikethrough(match)}${chalk.green(replacement)}` +
+      `${after}${index + match.length + context < change.oldValue.length ? '…' : ''}`;
+    console.log(`${chalk.blue('[MATCH]')} ${filePath} ${chalk.cyan(change.field)}: ${line.replace(/\r?\n/g, '⏎')}`);
+  });
+}
+
+// List, check or rewrite the image references in frontmatter
+function manageImages() {
+  if (!args.file && !args.directory) {
+    console.error(chalk.red('Error: No file or directory specified'));
+    process.exit(1);
+  }
+
+  const action = args.action || 'list';
+  if (!['list', 'check', 'rewrite'].includes(action)) {
+    console.error(chalk.red(`Error: Unknown images action: ${action} (expected list, check or rewrite)`));
+    process.exit(1);
+  }
+
+  if (action === 'rewrite' && args.from === null && !args.toAbsolute) {
+    console.error(chalk.red('Error: Nothing to rewrite (use --from <prefix> --to <prefix>, or --to-absolute)'));
+    process.exit(1);
+  }
+
+  const fields = args.field ? args.field.split(',').map(field => field.trim()).filter(Boolean) : [];
+  const roots = args.staticDir
+    ? args.staticDir.split(',').map(dir => dir.trim()).filter(Boolean)
+    : [args.directory || path.dirname(args.file)];
+  let found = 0;
+  let missing = 0;
+
+  const handleFile = (filePath) => {
+    if (action === 'rewrite') {
+      updateFile(filePath, (data) => {
+        const changes = rewriteImages(data, findImages(data, fields), filePath, {
+          roots,
+          from: args.from,
+          to: args.to,
+          toAbsolute: args.toAbsolute
+        });
+        found += changes.length;
+
+        return {
+          modified: changes.length > 0,
+          changes,
+          message: changes.length > 0
+            ? changes.map(change => `${chalk.cyan(change.field)}: ${change.oldValue} -> ${change.value}`).join(', ')
+            : 'No image references to rewrite'
+        };
+      });
+      return;
+    }
+
+    try {
+      const data = readFrontmatter(filePath, fs.readFileSync(filePath, 'utf8'));
+      if (!data || !matchesWhere(filePath, data)) return;
+
+      const images = findImages(data, fields);
+      found += images.length;
+
+      if (action === 'list') {
+        recordRead(filePath, Object.fromEntries(images.map(image => [image.field, image.value])));
+        images.forEach(image => {
+          console.log(`${chalk.cyan(filePath)}: ${image.field} = ${image.value}${image.remote ? chalk.gray(' (remote)') : ''}`);
+        });
+        return;
+      }
+
+      // Missing images are reported like failed validation, so --report junit shows them
+      const problems = checkImages(images, filePath, roots);
+      missing += problems.length;
+      results.push({
+        file: filePath,
+        modified: false,
+        changes: [],
+        validation: {
+          valid: problems.length === 0,
+          violations: problems.map(problem => ({ path: problem.field, rule: 'image-exists', message: problem.message }))
+        },
+        error: null
+      });
+      problems.forEach(problem => {
+        console.log(`${chalk.red('[MISSING]')} ${filePath} ${chalk.cyan(problem.field)}: ${problem.value}`);
+      });
+      if (problems.length === 0 && args.verbose) {
+        console.log(`${chalk.green('[OK]')} ${filePath}: ${images.length} image reference(s)`);
+      }
+    } catch (error) {
+      console.error(chalk.red(`Error reading file ${filePath}:`), error.message);
+      recordError(filePath, error);
+    }
+  };
+
+  if (args.file) {
+    handleFile(args.file);
+  } else {
+    processDirectory(args.directory, handleFile);
+  }
+
+  if (action === 'list') {
+    console.log(`${found} image reference(s)`);
+  } else if (action === 'check') {
+    console.log(`${found} image reference(s) checked, ${missing} missing (looked up /paths in ${roots.join(', ')})`);
+    if (missing > 0) {
+      process.exitCode = 1;
+    }
+  } else {
+    console.log(`${found} image reference(s) ${args.dryRun ? 'would be rewritten' : 'rewritten'}`);
   }
 }
 
+// Generate slugs, sync them with filenames, or check them. Every file is
+// looked at before anything is written, so collisions stop the run untouched.
+function manageSlugs() {
+  if (!args.file && !args.directory) {
+    console.error(chalk.red('Error: No file or directory specified'));
+    process.exit(1);
+  }
+
+  const action = args.action || 'generate';
+  if (!['generate', 'from-filename', 'rename', 'check'].includes(action)) {
+    console.error(chalk.red(`Error: Unknown slug action: ${action} (expected generate, from-filename, rename or check)`));
+    process.exit(1);
+  }
+
+  let slugger;
+  try {
+    slugger = createSlugger({ separator: args.separator, lowercase: !args.keepCase, transliterate: args.transliterate });
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
+  }
+
+  const field = args.field || 'slug';
+  const plan = [];
+
+  const planFile = (filePath) => {
+    try {
+      const data = readFrontmatter(filePath, fs.readFileSync(filePath, 'utf8'));
+      if (!data || !matchesWhere(filePath, data)) return;
+      plan.push(planSlug(filePath, data, action, field, slugger));
+    } catch (error) {
+      console.error(chalk.red(`Error reading file ${filePath}:`), error.message);
+      recordError(filePath, error);
+    }
+  };
+
+  if (args.file) {
+    planFile(args.file);
+  } else {
+    processDirectory(args.directory, planFile);
+  }
+
+  // Files that would share a slug (and so a URL), or a filename. Files that
+  // share a slug are not reported again for sharing the filename it makes.
+  const collisions = findSlugCollisions(plan.map(entry => ({ file: entry.file, slug: entry.slug })))
+    .map(group => ({
+      files: group.files,
+      message: `slug "${group.slug}" is used by ${group.files.length} files in ${group.dir}`
+    }));
+  const shared = new Set(collisions.flatMap(collision => collision.files));
+  findRenameCollisions(plan.filter(entry => entry.target && !shared.has(entry.file))).forEach(rename => {
+    collisions.push({ files: [rename.file], message: `cannot rename to ${rename.target}: ${rename.reason}` });
+  });
+  const changing = new Set(plan.filter(entry => entry.target || entry.changed).map(entry => entry.file));
+  const blocking = action === 'check' ? [] : collisions.filter(collision => collision.files.some(file => changing.has(file)));
+
+  collisions.forEach(collision => {
+    const label = blocking.includes(collision) ? chalk.red('[COLLISION]') : chalk.yellow('[COLLISION]');
+    console.log(`${label} ${collision.message}: ${collision.files.join(', ')}`);
+  });
+
+  // Problems and collisions are reported like failed validation, so --report junit shows them
+  plan.forEach(entry => {
+    const violations = entry.problem ? [{ path: field, rule: 'slug', message: entry.problem }] : [];
+    collisions
+      .filter(collision => collision.files.includes(entry.file))
+      .forEach(collision => violations.push({ path: field, rule: 'slug-unique', message: collision.message }));
+
+    if (entry.problem) {
+      console.log(`${chalk.red('[PROBLEM]')} ${entry.file}: ${entry.problem}`);
+    }
+    if (violations.length > 0 || action === 'check') {
+      results.push({
+        file: entry.file,
+        modified: false,
+        changes: [],
+        validation: { valid: violations.length === 0, violations },
+        error: null
+      });
+    }
+  });
+
+  const problems = plan.filter(entry => entry.problem).length;
+  if (problems > 0 || collisions.length > 0) {
+    process.exitCode = 1;
+  }
+
+  if (action === 'check') {
+    if (args.verbose) {
+      plan.filter(entry => !entry.problem).forEach(entry => {
+        console.log(`${chalk.green('[OK]')} ${entry.file}: ${entry.slug}`);
+      });
+    }
+    console.log(`${plan.length} file(s) checked, ${problems} slug problem(s), ${collisions.length} collision(s)`);
+    return;
+  }
+
+  if (blocking.length > 0) {
+    console.error(chalk.red(`Nothing was changed: ${blocking.length} collision(s) must be resolved first`));
+    return;
+  }
+
+  if (action === 'rename') {
+    renameToSlugs(plan.filter(entry => entry.target));
+  } else {
+    plan.filter(entry => entry.changed).forEach(entry => {
+      updateFile(entry.file, (data) => {
+        const oldValue = getPath(data, field);
+        setPath(data, field, entry.slug);
+
+        return {
+          modified: true,
+          change: { type: 'set-field', field, oldValue, value: entry.slug },
+          message: `Set ${chalk.cyan(field)} = ${formatValue(entry.slug)}` +
+                   (oldValue !== undefined ? ` (was: ${formatValue(oldValue)})` : '')
+        };
+      });
+    });
+  }
+
+  if (args.verbose) {
+    plan.filter(entry => !entry.problem && !entry.changed && !entry.target).forEach(entry => {
+      console.log(`${chalk.yellow('[SKIPPED]')} ${entry.file}: ${entry.note || 'slug already up to date'}`);
+    });
+  }
+
+  const count = plan.filter(entry => entry.changed || entry.target).length;
+  const verb = action === 'rename' ? 'renamed' : 'set';
+  console.log(`${count} ${action === 'rename' ? 'file(s)' : 'slug(s)'} ${args.dryRun ? `would be ${verb}` : verb}, ${problems} problem(s)`);
+}
+
+// Helper function to work out what the slug command does to one file.
+// Returns { file, slug, changed, target, problem, note }: the slug the file
+// ends up with, whether the slug field changes, the path to rename it to, or
+// why it cannot be handled.
+function planSlug(filePath, data, action, field, slugger) {
+  const current = getPath(data, field);
+  const hasSlug = current !== undefined && current !== null && current !== '';
+  const entry = { file: filePath, slug: hasSlug ? String(current) : null, changed: false, target: null, problem: null, note: null };
+
+  if (action === 'generate') {
+    const source = args.from || 'title';
+    if (hasSlug && !args.force) {
+      entry.note = 'has a slug (use --force to replace it)';
+      return entry;
+    }
+
+    const text = getPath(data, source);
+    if (text === undefined || text === null || text === '' || typeof text === 'object') {
+      entry.problem = `no ${source} to make a slug from`;
+      return entry;
+    }
+    const slug = slugify(text, slugger);
+    if (!slug) {
+      entry.problem = `could not make a slug from ${formatValue(text)} (add a --transliterate map)`;
+      return entry;
+    }
+    entry.changed = slug !== current;
+    entry.slug = slug;
+    return entry;
+  }
+
+  const fromFilename = slugFromFilename(filePath, slugger);
+
+  if (action === 'from-filename') {
+    if (!fromFilename) {
+      entry.problem = `could not make a slug from the filename (add a --transliterate map)`;
+      return entry;
+    }
+    entry.changed = fromFilename !== current;
+    entry.slug = fromFilename;
+    return entry;
+  }
+
+  if (!hasSlug) {
+    if (action === 'check') entry.problem = 'has no slug';
+    else entry.note = 'has no slug';
+    return entry;
+  }
+
+  const invalid = checkSlug(entry.slug);
+  if (invalid) {
+    entry.problem = `slug ${formatValue(current)} ${invalid}`;
+    return entry;
+  }
+
+  if (action === 'check') {
+    if (entry.slug !== fromFilename) {
+      entry.problem = `slug ${formatValue(current)} does not match the filename (${splitFilename(filePath).stem})`;
+    }
+    return entry;
+  }
+
+  // rename
+  const target = renameTarget(filePath, entry.slug);
+  if (!target) {
+    entry.note = 'page bundle (rename its folder instead)';
+  } else if (path.resolve(target) !== path.resolve(filePath)) {
+    entry.target = target;
+  }
+  return entry;
+}
+
+// Helper function to rename files to their planned targets. Renames are
+// recorded for undo; with --transaction a failed rename moves the ones
+// already made back.
+function renameToSlugs(entries) {
+  const done = [];
+
+  for (const entry of entries) {
+    const fileResult = {
+      file: entry.file,
+      modified: true,
+      changes: [{ type: 'rename-file', field: null, oldValue: entry.file, value: entry.target }],
+      error: null
+    };
+
+    if (args.dryRun) {
+      results.push(fileResult);
+      console.log(`${chalk.blue('[DRY RUN]')} ${entry.file} -> ${entry.target}`);
+      continue;
+    }
+
+    try {
+      // Checked again right before the move, as renameSync would overwrite
+      if (findRenameCollisions([entry]).length > 0) {
+        throw new Error(`${entry.target} appeared during the run`);
+      }
+      if (journal) {
+        journal.recordRename(entry.file, entry.target);
+      }
+      fs.renameSync(entry.file, entry.target);
+      done.push(fileResult);
+      results.push(fileResult);
+      console.log(`${chalk.green('[RENAMED]')} ${entry.file} -> ${entry.target}`);
+    } catch (error) {
+      console.error(chalk.red(`Error renaming ${entry.file}:`), error.message);
+      recordError(entry.file, error);
+
+      if (args.transaction) {
+        rollBackRenames(done);
+        return;
+      }
+    }
+  }
+}
+
+// Helper function to move renamed files back after a failed --transaction run
+function rollBackRenames(done) {
+  done.reverse().forEach(fileResult => {
+    const change = fileResult.changes[0];
+    try {
+      if (journal) {
+        journal.recordRename(change.value, change.oldValue);
+      }
+      fs.renameSync(change.value, change.oldValue);
+      fileResult.modified = false;
+      fileResult.skipped = 'transaction-aborted';
+    } catch (error) {
+      console.error(chalk.red(`Could not move ${change.value} back to ${change.oldValue}:`), error.message);
+    }
+  });
+  console.error(chalk.red('Transaction aborted: renamed files were moved back'));
+  process.exitCode = 1;
+}
+
 // Helper function to update a file
 function updateFile(filePath, updateFn) {
   try {
-    const fileContent = fs.readFileSync(filePath, 'utf8');
-    const { data, content } = matter(fileContent);
+    const snapshot = readSnapshot(filePath);
+    const fileContent = snapshot.content;
+    const data = readFrontmatter(filePath, fileContent);
+    if (!data || !matchesWhere(filePath, data)) return;
     
     // Apply the update function
     const result = updateFn(data);
+    const fileResult = {
+      file: filePath,
+      modified: result.modified,
+      changes: result.changes || (result.change ? [result.change] : []),
+      skipped: result.skipped || null,
+      diff: null,
+      conflict: result.conflict || null,
+      error: null
+    };
+    results.push(fileResult);
     
     if (result.modified) {
+      // Only the changed keys are rewritten; the rest of the block is kept as-is
+      const updatedFileContent = getFileType(filePath).update(fileContent, data, { outputFormat: args.format });
+      
+      if (args.diff) {
+        fileResult.diff = createDiff(filePath, fileContent, updatedFileContent);
+      }
+      
       // Write the updated content back to the file (unless in dry-run mode)
-      if (!args.dryRun) {
-        let updatedFileContent;
-        
-        if (args.format === 'json') {
-          updatedFileContent = matter.stringify(content, data, { language: 'json' });
+      const outcome = writer ? writer.write(snapshot, updatedFileContent) : { staged: false, conflict: null };
+      
+      if (outcome.conflict) {
+        fileResult.modified = false;
+        fileResult.conflict = outcome.conflict;
+        if (args.onConflict === 'fail') {
+          fileResult.error = `${filePath} was ${outcome.conflict}; not overwriting it`;
+          console.error(chalk.red(`Error processing file ${filePath}:`), `${outcome.conflict}; not overwriting it`);
         } else {
-          updatedFileContent = matter.stringify(content, data);
+          fileResult.skipped = 'conflict';
+          console.log(`${chalk.yellow('[SKIPPED]')} ${filePath}: ${outcome.conflict}, not overwriting it`);
         }
-        
-        fs.writeFileSync(filePath, updatedFileContent, 'utf8');
+        return;
       }
+      fileResult.staged = outcome.staged;
       
-      const actionPrefix = args.dryRun ? chalk.blue('[DRY RUN]') : chalk.green('[UPDATED]');
+      let actionPrefix = args.dryRun ? chalk.blue('[DRY RUN]') : chalk.green('[UPDATED]');
+      if (outcome.staged) {
+        actionPrefix = chalk.blue('[STAGED]');
+      }
       console.log(`${actionPrefix} ${filePath}: ${result.message}`);
-    } else if (args.verbose) {
+      
+      if (fileResult.diff) {
+        console.log(colorizeDiff(fileResult.diff, chalk));
+      }
+    } else if (args.verbose || result.skipped) {
       console.log(`${chalk.yellow('[SKIPPED]')} ${filePath}: ${result.message}`);
     }
   } catch (error) {
     console.error(chalk.red(`Error processing file ${filePath}:`), error.message);
+    recordError(filePath, error);
+  }
+}
+
+// Helper function to write (or drop) everything staged by a --transaction run
+function finishTransaction() {
+  const staged = results.filter(result => result.staged);
+  const failed = results.filter(result => result.error || result.conflict);
+  let committed = false;
+
+  if (failed.length > 0 || traversalErrors.length > 0) {
+    writer.abort();
+    console.error(chalk.red(`Transaction aborted (${failed.length + traversalErrors.length} file(s) or folder(s) failed): no files were written`));
+  } else {
+    const outcome = writer.commit();
+    committed = outcome.committed;
+
+    if (committed) {
+      console.log(chalk.green(`Transaction committed: ${outcome.written.length} file(s) written`));
+    } else {
+      console.error(chalk.red(`Transaction aborted: no files were written`));
+      if (outcome.error) {
+        console.error(chalk.red(`  ${outcome.error}`));
+      }
+      outcome.conflicts.forEach(conflict => {
+        console.error(chalk.red(`  ${conflict.path}: ${conflict.reason}`));
+        const result = results.find(entry => entry.file === conflict.path);
+        if (result) result.conflict = conflict.reason;
+      });
+    }
+  }
+
+  staged.forEach(result => {
+    result.staged = false;
+    if (!committed) {
+      result.modified = false;
+      result.skipped = result.skipped || 'transaction-aborted';
+    }
+  });
+
+  if (!committed) {
+    process.exitCode = 1;
   }
 }
 
 // Helper function to process a directory
 function processDirectory(dirPath, processFn) {
-  try {
-    const items = fs.readdirSync(dirPath);
-    const extensions = args.extension.split(',').map(ext => ext.trim());
-    
-    for (const item of items) {
-      const itemPath = path.join(dirPath, item);
-      const stats = fs.statSync(itemPath);
-      
-      if (stats.isDirectory() && args.recursive) {
-        // Recursively process subdirectories if recursive mode is enabled
-        processDirectory(itemPath, processFn);
-      } else if (stats.isFile() && extensions.some(ext => item.endsWith(ext))) {
-        // Check if file matches pattern if specified
-        if (args.pattern && !args.pattern.test(item)) {
-          if (args.verbose) {
-            console.log(`${chalk.yellow('[SKIPPED]')} ${itemPath} (pattern mismatch)`);
-          }
-          continue;
-        }
-        
-        // Process files with matching extensions
-        processFn(itemPath);
+  const errors = [];
+  const files = collectFiles(dirPath, args, errors);
+
+  errors.forEach(error => {
+    console.error(chalk.red(`Error reading directory ${error.path}:`), error.message);
+    traversalErrors.push(error);
+  });
+
+  for (const itemPath of files) {
+    // Check if file matches pattern if specified
+    if (args.pattern && !args.pattern.test(path.basename(itemPath))) {
+      if (args.verbose) {
+        console.log(`${chalk.yellow('[SKIPPED]')} ${itemPath} (pattern mismatch)`);
       }
+      results.push({ file: itemPath, skipped: 'pattern', modified: false, changes: [], error: null });
+      continue;
     }
-  } catch (error) {
-    console.error(chalk.red(`Error reading directory ${dirPath}:`), error.message);
+
+    // Process files with matching extensions
+    processFn(itemPath);
+  }
+}
+
+// Helper function to read a file's frontmatter through the handler for its type.
+// Returns null for files that have no metadata block and need one (HTML templates).
+function readFrontmatter(filePath, fileContent) {
+  const fileType = getFileType(filePath);
+  if (fileType.requiresBlock && !fileType.locate(fileContent)) {
+    return null;
+  }
+  return fileType.parse(fileContent).data;
+}
+
+// Helper function to list the fields of a file, or the entries below --field
+function listEntries(data) {
+  if (!args.field) {
+    return Object.keys(data).map(field => [field, data[field]]);
+  }
+
+  const value = getPath(data, args.field);
+  if (value === undefined) {
+    return [];
+  }
+  if (value === null || typeof value !== 'object' || value instanceof Date) {
+    return [[args.field, value]];
+  }
+
+  const segments = parsePath(args.field);
+  return Object.keys(value).map(key => {
+    const segment = Array.isArray(value) ? Number(key) : key;
+    return [formatPath(segments.concat(segment)), value[key]];
+  });
+}
+
+// Helper function to apply --where. Files that don't match are recorded as skipped.
+function matchesWhere(filePath, data) {
+  if (!whereFilter || whereFilter(data, { file: filePath })) {
+    return true;
+  }
+
+  if (args.verbose) {
+    console.log(`${chalk.yellow('[SKIPPED]')} ${filePath} (--where mismatch)`);
+  }
+  results.push({ file: filePath, skipped: 'where', modified: false, changes: [], error: null });
+  return false;
+}
+
+// Helper functions to record read-only and failed files for --report
+function recordRead(filePath, values) {
+  results.push({ file: filePath, modified: false, changes: [], values, error: null });
+}
+
+function recordError(filePath, error) {
+  const existing = results.find(result => result.file === filePath);
+  if (existing) {
+    existing.modified = false;
+    existing.error = error.message;
+  } else {
+    results.push({ file: filePath, modified: false, changes: [], error: error.message });
   }
 }
 
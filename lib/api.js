@@ -0,0 +1,908 @@
+const fs = require('fs');
+const path = require('path');
+const operations = require('./operations');
+const { collectFiles, collectFilesAsync, parseGlobs } = require('./files');
+const pool = require('./pool');
+const schema = require('./schema');
+const report = require('./report');
+const journal = require('./journal');
+const cache = require('./cache');
+const recipe = require('./recipe');
+const watch = require('./watch');
+const writer = require('./writer');
+const { createDiff } = require('./diff');
+const where = require('./where');
+const query = require('./query');
+const sheet = require('./sheet');
+const replace = require('./replace');
+const images = require('./images');
+const coerce = require('./coerce');
+const slug = require('./slug');
+const {
+  FRONTMATTER_FORMATS,
+  parseFrontmatter,
+  stringifyFrontmatter,
+  updateFrontmatter,
+  convertFrontmatter
+} = require('./frontmatter');
+const fileTypes = require('./file-types');
+const { getPath, setPath, formatPath } = require('./field-path');
+
+// Default options, mirroring the frontmatter-array.js command line defaults
+const DEFAULT_OPTIONS = {
+  fields: ['aiKeywords'],
+  delimiter: ',',
+  dryRun: false,
+  check: false,
+  recursive: true,
+  mode: 'to-array',
+  extension: fileTypes.DEFAULT_EXTENSIONS,
+  addField: null,
+  addValue: null,
+  removeField: null,
+  renameField: null,
+  newFieldName: null,
+  sortArrays: false,
+  uniqueValues: false,
+  pattern: null,
+  where: null,
+  include: [],
+  exclude: [],
+  maxDepth: null,
+  ignoreFiles: true,
+  outputFormat: null,
+  stats: false,
+  diff: false,
+  frontmatterFields: null,
+  schema: null,
+  recipe: null,
+  coerceType: null,
+  dateFormat: null,
+  timezone: null,
+  journal: null,
+  transaction: false,
+  onConflict: 'skip',
+  writer: null,
+  concurrency: null,
+  cache: null,
+  stateDir: null,
+  onFile: null,
+  onProgress: null
+};
+
+const MODES = ['to-array', 'to-string', 'analyze', 'validate', 'convert', 'coerce'];
+
+// Function to fill in defaults and accept the looser forms callers tend to pass
+// (comma-separated strings for lists, a string for the pattern, a --where
+// expression or list of them, a single glob for include/exclude, a file path for
+// the schema)
+function normalizeOptions(options = {}) {
+  const normalized = { ...DEFAULT_OPTIONS, ...options };
+
+  if (typeof normalized.fields === 'string') {
+    normalized.fields = normalized.fields.split(',').map(field => field.trim());
+  }
+  if (typeof normalized.frontmatterFields === 'string') {
+    normalized.frontmatterFields = normalized.frontmatterFields.split(',').map(field => field.trim());
+  }
+  if (typeof normalized.pattern === 'string') {
+    normalized.pattern = new RegExp(normalized.pattern);
+  }
+  if (normalized.where && typeof normalized.where !== 'function') {
+    normalized.where = where.compileWhere(normalized.where);
+  }
+  normalized.include = parseGlobs(normalized.include);
+  normalized.exclude = parseGlobs(normalized.exclude);
+  if (normalized.maxDepth !== null && normalized.maxDepth !== undefined) {
+    normalized.maxDepth = Number(normalized.maxDepth);
+    if (!Number.isInteger(normalized.maxDepth) || normalized.maxDepth < 0) {
+      throw new Error(`Invalid max depth: ${options.maxDepth} (expected a whole number of 0 or more)`);
+    }
+  }
+  if (normalized.check) {
+    normalized.dryRun = true;
+  }
+  normalized.concurrency = pool.parseConcurrency(normalized.concurrency);
+  // `cache: true` opens the cache kept in stateDir; a cache from
+  // cache.openCache() is used as it is
+  if (normalized.cache === true) {
+    normalized.cache = cache.openCache({ stateDir: normalized.stateDir });
+  } else if (!normalized.cache) {
+    normalized.cache = null;
+  } else if (typeof normalized.cache.keyFor !== 'function') {
+    throw new Error('The cache option must be true, false or a cache from cache.openCache()');
+  }
+  if (typeof normalized.schema === 'string') {
+    normalized.schema = schema.loadSchema(normalized.schema);
+  } else if (normalized.schema) {
+    normalized.schema = schema.createSchema(normalized.schema);
+  }
+  if (typeof normalized.recipe === 'string') {
+    normalized.recipe = recipe.loadRecipe(normalized.recipe);
+  } else if (normalized.recipe) {
+    normalized.recipe = recipe.createRecipe(normalized.recipe);
+  }
+  if (normalized.recipe && ['validate', 'analyze', 'coerce'].includes(normalized.mode)) {
+    throw new Error(`A recipe cannot be used in ${normalized.mode} mode`);
+  }
+  if (!MODES.includes(normalized.mode)) {
+    throw new Error(`Unknown mode: ${normalized.mode} (expected one of ${MODES.join(', ')})`);
+  }
+  if (normalized.outputFormat && !FRONTMATTER_FORMATS.includes(normalized.outputFormat)) {
+    throw new Error(`Unknown output format: ${normalized.outputFormat} (expected one of ${FRONTMATTER_FORMATS.join(', ')})`);
+  }
+  if (normalized.mode === 'convert' && !normalized.outputFormat) {
+    throw new Error(`Convert mode needs an output format to convert to (${FRONTMATTER_FORMATS.join(', ')})`);
+  }
+  if (normalized.mode === 'coerce') {
+    if (!normalized.coerceType) {
+      throw new Error(`Coerce mode needs a type to convert to (${coerce.COERCE_TYPES.join(', ')})`);
+    }
+    normalized.coercion = coerce.createCoercion({
+      type: normalized.coerceType,
+      dateFormat: normalized.dateFormat,
+      timezone: normalized.timezone
+    });
+  }
+  if (!writer.CONFLICT_ACTIONS.includes(normalized.onConflict)) {
+    throw new Error(`Unknown conflict action: ${normalized.onConflict} (expected one of ${writer.CONFLICT_ACTIONS.join(', ')})`);
+  }
+
+  return normalized;
+}
+
+// Function to collect { oldPath: newPath } from rename changes so the writer can
+// rename keys in place instead of moving them to the end of their map
+function renamesFrom(changes) {
+  const renames = {};
+  changes
+    .filter(change => change.type === 'rename-field')
+    .forEach(change => {
+      renames[change.oldField] = change.newField;
+    });
+  return renames;
+}
+
+// Function to write a file through the run's writer and note the outcome on its
+// result. A file changed by someone else since it was read is skipped, or
+// counted as an error with onConflict: 'fail'.
+function writeResult(result, snapshot, updatedContent, opts) {
+  const fileWriter = opts.writer || writer.createWriter({ journal: opts.journal });
+  return noteWriteOutcome(result, fileWriter.write(snapshot, updatedContent), opts);
+}
+
+// Function to write a file like writeResult does, without blocking
+async function writeResultAsync(result, snapshot, updatedContent, opts) {
+  const fileWriter = opts.writer || writer.createWriter({ journal: opts.journal });
+  return noteWriteOutcome(result, await fileWriter.writeAsync(snapshot, updatedContent), opts);
+}
+
+// Function to note a writer outcome on a file's result. Returns whether the
+// file was written (or staged).
+function noteWriteOutcome(result, outcome, opts) {
+  if (outcome.conflict) {
+    result.conflict = outcome.conflict;
+    if (opts.onConflict === 'fail') {
+      result.error = `${result.file} was ${outcome.conflict}; not overwriting it`;
+    } else {
+      result.skipped = 'conflict';
+    }
+    return false;
+  }
+
+  result.staged = outcome.staged;
+  return true;
+}
+
+// Function to commit (or abandon) the staged writes of a transaction run.
+// Any error or conflict in the run means nothing is written.
+function finishTransaction(runWriter, files, errors) {
+  if (!runWriter || !runWriter.transaction) {
+    return null;
+  }
+
+  const staged = files.filter(file => file.staged);
+  const failed = files.filter(file => file.error || file.conflict);
+  let outcome;
+
+  if (failed.length > 0 || errors.length > 0) {
+    runWriter.abort();
+    outcome = {
+      committed: false,
+      written: 0,
+      reason: `${failed.length + errors.length} file(s) or folder(s) failed`,
+      conflicts: []
+    };
+  } else {
+    const commit = runWriter.commit();
+    outcome = {
+      committed: commit.committed,
+      written: commit.written.length,
+      reason: commit.error || (commit.conflicts.length > 0
+        ? `${commit.conflicts.length} file(s) changed on disk before commit` : null),
+      conflicts: commit.conflicts
+    };
+
+    commit.conflicts.forEach(conflict => {
+      const file = files.find(result => result.file === conflict.path);
+      if (file) file.conflict = conflict.reason;
+    });
+  }
+
+  staged.forEach(file => {
+    file.staged = false;
+    if (!outcome.committed) {
+      file.modified = false;
+      file.skipped = file.skipped || 'transaction-aborted';
+    }
+  });
+
+  return outcome;
+}
+
+// Function to create the result object for a processed file
+function createFileResult(filePath) {
+  return {
+    file: filePath,
+    skipped: null,
+    modified: false,
+    changes: [],
+    stats: null,
+    fields: null,
+    validation: null,
+    diff: null,
+    conflict: null,
+    cached: false,
+    error: null
+  };
+}
+
+// Function to apply --where, --stats and the read-only modes to a file's
+// parsed frontmatter (null when its type needs a block it does not have).
+// Returns whether the file goes on to the field operations.
+function inspectData(result, data, opts) {
+  if (data === null) {
+    result.skipped = 'no-frontmatter';
+    return false;
+  }
+
+  if (opts.where && !opts.where(data, { file: result.file })) {
+    result.skipped = 'where';
+    return false;
+  }
+
+  if (opts.stats) {
+    result.stats = operations.collectStats(data);
+  }
+
+  switch (opts.mode) {
+    case 'analyze':
+      result.fields = Object.keys(data);
+      return false;
+
+    case 'validate':
+      result.validation = opts.schema
+        ? schema.validate(data, opts.schema)
+        : operations.validateFields(data, opts.fields);
+      return false;
+  }
+
+  return true;
+}
+
+// Function to run the mode and field operations on a file that has been read.
+// Notes what happened on the result and returns { data, updatedContent }: the
+// frontmatter as parsed and the new file content, or null when there is
+// nothing to write.
+function transformFile(result, snapshot, opts) {
+  const filePath = result.file;
+  const fileType = fileTypes.getFileType(filePath);
+  const fileContent = snapshot.content;
+
+  if (fileType.requiresBlock && !fileType.locate(fileContent)) {
+    inspectData(result, null, opts);
+    return { data: null, updatedContent: null };
+  }
+
+  const { data, format } = fileType.parse(fileContent);
+  const parsed = { data, updatedContent: null };
+
+  if (!inspectData(result, data, opts)) {
+    return parsed;
+  }
+
+  // A recipe's steps take the place of the mode's field conversion
+  if (opts.recipe) {
+    result.changes.push(...recipe.applyRecipe(data, opts.recipe));
+  } else if (opts.mode === 'to-array') {
+    result.changes.push(...operations.toArray(data, opts));
+  } else if (opts.mode === 'to-string') {
+    result.changes.push(...operations.toString(data, opts));
+  } else if (opts.mode === 'coerce') {
+    // Values that cannot be converted are reported, and the file left as it is
+    const { changes, problems } = coerce.coerceFields(data, opts.fields, opts.coercion, fileType.localTimes(fileContent));
+    if (problems.length > 0) {
+      result.validation = { valid: false, missingFields: [], violations: problems };
+      return parsed;
+    }
+    result.changes.push(...changes);
+  }
+
+  // Convert mode rewrites the block first; field operations then apply on top
+  const sourceContent = opts.mode === 'convert' ? fileType.convert(fileContent, opts.outputFormat) : fileContent;
+  if (sourceContent !== fileContent) {
+    result.changes.push({ type: 'convert-format', oldValue: format, value: opts.outputFormat });
+  }
+
+  result.changes.push(...operations.applyFieldOperations(data, opts));
+
+  if (result.changes.length === 0) {
+    return parsed;
+  }
+
+  parsed.updatedContent = fileType.update(sourceContent, data, {
+    outputFormat: opts.outputFormat,
+    renames: renamesFrom(result.changes)
+  });
+
+  if (opts.diff) {
+    result.diff = createDiff(filePath, fileContent, parsed.updatedContent, { baseDir: opts.runDirectory });
+  }
+
+  return parsed;
+}
+
+// Function to answer a file from opts.cache when it has not changed since a
+// clean run: with the stored result for this configuration, or for validate
+// and analyze with the stored frontmatter. `identity` is a stat or a snapshot.
+// Returns whether the result was filled in.
+function reuseCached(result, opts, cacheKey, identity) {
+  const stored = opts.cache.find(result.file, cacheKey, identity);
+  if (stored) {
+    Object.assign(result, stored, { cached: true });
+    return true;
+  }
+
+  const data = opts.cache.findData(result.file, opts.mode, identity);
+  if (data === undefined) {
+    return false;
+  }
+
+  inspectData(result, data, opts);
+  result.cached = true;
+  opts.cache.storeResult(result.file, cacheKey, result);
+  return true;
+}
+
+// Function to process a single markdown file.
+// Returns a result object describing what happened; nothing is printed.
+// With opts.cache, unchanged files are answered from the cache (the result
+// then has cached: true). A cache passed in is not saved: call cache.save()
+// afterwards to keep new entries. With `cache: true` the file's cache is
+// opened and saved here (but not saved by dry runs and checks).
+function processFile(filePath, options = {}) {
+  const opts = normalizeOptions(options);
+  const result = runFile(filePath, opts, cacheKeyFor(opts));
+  if (options.cache === true) saveOwnCache(result, opts);
+  return result;
+}
+
+// Function to process a single file like processFile does, reading and
+// writing it without blocking. Resolves to the same result object.
+async function processFileAsync(filePath, options = {}) {
+  const opts = normalizeOptions(options);
+  const result = await runFileAsync(filePath, opts, cacheKeyFor(opts));
+  if (options.cache === true) saveOwnCache(result, opts);
+  return result;
+}
+
+// Function to save a cache that processFile opened itself
+function saveOwnCache(result, opts) {
+  if (!savesCache(opts)) return;
+  try {
+    opts.cache.save();
+  } catch (error) {
+    result.error = result.error || `Could not save the cache: ${error.message}`;
+  }
+}
+
+// Function to check whether a run may save its cache: dry runs and checks
+// read it, but write nothing
+function savesCache(opts) {
+  return Boolean(opts.cache) && !opts.dryRun && !opts.check;
+}
+
+// Function to compute a run's cache key once, or null without a cache
+function cacheKeyFor(opts) {
+  return opts.cache ? opts.cache.keyFor(opts) : null;
+}
+
+// Function to process one file with options that have been normalized
+// already, so directory runs build the schema, recipe and coercion once
+function runFile(filePath, opts, cacheKey) {
+  const result = createFileResult(filePath);
+
+  try {
+    if (opts.pattern && !opts.pattern.test(path.basename(filePath))) {
+      result.skipped = 'pattern';
+      return result;
+    }
+
+    if (cacheKey && reuseCached(result, opts, cacheKey, fs.statSync(filePath))) {
+      return result;
+    }
+
+    const snapshot = writer.readSnapshot(filePath);
+    if (cacheKey && reuseCached(result, opts, cacheKey, snapshot)) {
+      return result;
+    }
+
+    const { data, updatedContent } = transformFile(result, snapshot, opts);
+
+    if (updatedContent !== null) {
+      result.modified = opts.dryRun || writeResult(result, snapshot, updatedContent, opts);
+    } else if (cacheKey) {
+      opts.cache.store(snapshot, data, result, cacheKey);
+    }
+  } catch (error) {
+    result.error = error.message;
+  }
+
+  return result;
+}
+
+// Function to process one file like runFile does, without blocking
+async function runFileAsync(filePath, opts, cacheKey) {
+  const result = createFileResult(filePath);
+
+  try {
+    if (opts.pattern && !opts.pattern.test(path.basename(filePath))) {
+      result.skipped = 'pattern';
+      return result;
+    }
+
+    if (cacheKey && reuseCached(result, opts, cacheKey, await fs.promises.stat(filePath))) {
+      return result;
+    }
+
+    const snapshot = await writer.readSnapshotAsync(filePath);
+    if (cacheKey && reuseCached(result, opts, cacheKey, snapshot)) {
+      return result;
+    }
+
+    const { data, updatedContent } = transformFile(result, snapshot, opts);
+
+    if (updatedContent !== null) {
+      result.modified = opts.dryRun || await writeResultAsync(result, snapshot, updatedContent, opts);
+    } else if (cacheKey) {
+      opts.cache.store(snapshot, data, result, cacheKey);
+    }
+  } catch (error) {
+    result.error = error.message;
+  }
+
+  return result;
+}
+
+// Function to build the summary block returned alongside per-file results
+function summarize(files) {
+  return {
+    total: files.length,
+    modified: files.filter(file => file.modified).length,
+    skipped: files.filter(file => file.skipped).length,
+    invalid: files.filter(file => file.validation && !file.validation.valid).length,
+    errors: files.filter(file => file.error).length
+  };
+}
+
+// Function to list the files that make a --check run fail: files that would be
+// modified, files that failed validation and files that could not be processed
+function findCheckFailures(run) {
+  const failures = [];
+
+  run.files.forEach(file => {
+    if (file.error) {
+      failures.push({ file: file.file, reason: 'error', message: file.error });
+    } else if (file.validation && !file.validation.valid) {
+      failures.push({ file: file.file, reason: 'invalid', violations: file.validation.violations });
+    } else if (file.modified) {
+      failures.push({ file: file.file, reason: 'modified', changes: file.changes });
+    }
+  });
+
+  run.errors.forEach(error => {
+    failures.push({ file: error.path, reason: 'error', message: error.message });
+  });
+
+  return failures;
+}
+
+// Function to finish a directory run: commit its transaction, save the cache
+// and build the object the run returns
+function directoryRun(dirPath, opts, files, errors, runWriter) {
+  const transaction = finishTransaction(runWriter, files, errors);
+
+  if (savesCache(opts)) {
+    try {
+      opts.cache.save();
+    } catch (error) {
+      errors.push({ path: opts.cache.file, message: `Could not save the cache: ${error.message}` });
+    }
+  }
+
+  return {
+    directory: dirPath,
+    dryRun: opts.dryRun,
+    check: opts.check,
+    mode: opts.mode,
+    files,
+    errors,
+    transaction,
+    summary: summarize(files)
+  };
+}
+
+// Function to process every matching file below a directory
+function processDirectory(dirPath, options = {}) {
+  const opts = normalizeOptions(options);
+  const errors = [];
+  const files = [];
+  const runWriter = opts.dryRun ? null : writer.createWriter(opts);
+  // Diffs name files relative to the directory of the run
+  const fileOpts = { ...opts, writer: runWriter, runDirectory: dirPath };
+  const cacheKey = cacheKeyFor(opts);
+
+  for (const filePath of collectFiles(dirPath, opts, errors)) {
+    const result = runFile(filePath, fileOpts, cacheKey);
+    files.push(result);
+
+    if (opts.onFile) {
+      opts.onFile(result);
+    }
+  }
+
+  return directoryRun(dirPath, opts, files, errors, runWriter);
+}
+
+// Function to keep the counts handed to onProgress. The walk reports
+// { phase: 'scan', found }, then every finished file
+// { phase: 'process', total, done, modified, errors }; folders the walk could
+// not read count as errors.
+function trackProgress(onProgress, walkErrors) {
+  const state = { phase: 'scan', found: 0, total: 0, done: 0, modified: 0, errors: 0 };
+  const report = () => {
+    if (onProgress) onProgress({ ...state });
+  };
+
+  return {
+    found(count) {
+      state.found = count;
+      report();
+    },
+    start(total) {
+      state.phase = 'process';
+      state.total = total;
+      state.errors = walkErrors.length;
+      report();
+    },
+    done(result) {
+      state.done++;
+      if (result.modified) state.modified++;
+      if (result.error) state.errors++;
+      report();
+    }
+  };
+}
+
+// Function to process every matching file below a directory like
+// processDirectory does, reading and writing up to opts.concurrency files at
+// once. onFile is still called in path order, so output and reports match a
+// processDirectory run; onProgress(state) is called as the walk finds files
+// and as each file finishes.
+async function processDirectoryAsync(dirPath, options = {}) {
+  const opts = normalizeOptions(options);
+  const errors = [];
+  const runWriter = opts.dryRun ? null : writer.createWriter(opts);
+  const progress = trackProgress(opts.onProgress, errors);
+
+  const fileOpts = { ...opts, writer: runWriter, runDirectory: dirPath };
+  const cacheKey = cacheKeyFor(opts);
+
+  const filePaths = await collectFilesAsync(dirPath, opts, errors, progress.found);
+  progress.start(filePaths.length);
+
+  const files = await pool.mapInOrder(filePaths, opts.concurrency,
+    filePath => runFileAsync(filePath, fileOpts, cacheKey), {
+      onDone: progress.done,
+      onResult: result => {
+        if (opts.onFile) opts.onFile(result);
+      }
+    });
+
+  return directoryRun(dirPath, opts, files, errors, runWriter);
+}
+
+// Function to survey the frontmatter below a directory without changing anything.
+// Every field (nested object keys included, as paths) is listed with the number
+// of files it appears in and how often each type occurs, e.g.
+// { field: 'tags', files: 12, types: { string: 8, array: 4 } }.
+function scanFields(dirPath, options = {}) {
+  const opts = normalizeOptions(options);
+  const errors = [];
+  const fields = new Map();
+  let files = 0;
+
+  function visit(value, segments, seen) {
+    const field = formatPath(segments);
+    const type = schema.typeOf(value);
+    const entry = fields.get(field) || { field, files: 0, types: {} };
+
+    if (!seen.has(field)) {
+      seen.add(field);
+      entry.files++;
+    }
+    entry.types[type] = (entry.types[type] || 0) + 1;
+    fields.set(field, entry);
+
+    if (type === 'object') {
+      Object.keys(value).forEach(key => visit(value[key], segments.concat(key), seen));
+    }
+  }
+
+  for (const filePath of collectFiles(dirPath, opts, errors)) {
+    if (opts.pattern && !opts.pattern.test(path.basename(filePath))) {
+      continue;
+    }
+
+    try {
+      const fileType = fileTypes.getFileType(filePath);
+      const fileContent = fs.readFileSync(filePath, 'utf8');
+      if (fileType.requiresBlock && !fileType.locate(fileContent)) {
+        continue;
+      }
+
+      const { data } = fileType.parse(fileContent);
+      if (opts.where && !opts.where(data, { file: filePath })) {
+        continue;
+      }
+
+      const seen = new Set();
+      Object.keys(data).forEach(key => visit(data[key], [key], seen));
+      files++;
+    } catch (error) {
+      errors.push({ path: filePath, message: error.message });
+    }
+  }
+
+  return {
+    directory: dirPath,
+    files,
+    fields: [...fields.values()].sort((a, b) => b.files - a.files || a.field.localeCompare(b.field)),
+    errors
+  };
+}
+
+// Function to index the source files of a copy by name. A name shared by
+// several source files refers to the first of them in walk order.
+function indexSourceFiles(sourcePaths) {
+  const byName = new Map();
+
+  sourcePaths.forEach(filePath => {
+    const name = path.basename(filePath);
+    if (!byName.has(name)) {
+      byName.set(name, filePath);
+    }
+  });
+
+  return { count: sourcePaths.length, byName };
+}
+
+// Function to create the result object for a copy target, matched to the
+// first source file that has its file name or relative path. A source with the
+// same relative path has the same name too, so the first one by name wins.
+function createCopyResult(targetPath, targetDir, sources) {
+  const relativePath = path.relative(targetDir, targetPath);
+  const source = sources.byName.get(path.basename(targetPath)) || null;
+
+  return {
+    file: targetPath,
+    relativePath,
+    source,
+    skipped: source ? null : 'no-source',
+    modified: false,
+    changes: [],
+    diff: null,
+    conflict: null,
+    error: null
+  };
+}
+
+// Function to copy the source's fields onto a target file that has been read.
+// Notes what happened on the result and returns the new file content, or null
+// when there is nothing to write.
+function transformCopy(result, sourceContent, snapshot, opts) {
+  const targetPath = result.file;
+  const sourceData = fileTypes.getFileType(result.source).parse(sourceContent);
+  const targetType = fileTypes.getFileType(targetPath);
+  const targetContent = snapshot.content;
+  const targetData = targetType.parse(targetContent);
+
+  // HTML targets without a block are templates; --where selects the
+  // target files that receive frontmatter
+  if (targetType.requiresBlock && !targetType.locate(targetContent)) {
+    result.skipped = 'no-frontmatter';
+    return null;
+  }
+  if (opts.where && !opts.where(targetData.data, { file: targetPath })) {
+    result.skipped = 'where';
+    return null;
+  }
+
+  const newFrontmatter = targetData.data;
+  const fieldsToUpdate = opts.frontmatterFields || Object.keys(sourceData.data);
+
+  fieldsToUpdate.forEach(field => {
+    const value = getPath(sourceData.data, field);
+    const oldValue = getPath(targetData.data, field);
+
+    if (value !== undefined && JSON.stringify(value) !== JSON.stringify(oldValue)) {
+      result.changes.push({
+        type: 'copy-field',
+        field,
+        oldValue,
+        value
+      });
+      setPath(newFrontmatter, field, value);
+    }
+  });
+
+  if (result.changes.length === 0) {
+    return null;
+  }
+
+  const updatedContent = targetType.update(targetContent, newFrontmatter, {
+    outputFormat: opts.outputFormat
+  });
+
+  if (opts.diff) {
+    // Named by its path within the target directory
+    result.diff = createDiff(result.relativePath, targetContent, updatedContent);
+  }
+
+  return updatedContent;
+}
+
+// Function to build the object a copy run returns
+function copyRun(sourceDir, targetDir, opts, sources, files, errors, runWriter) {
+  return {
+    sourceDir,
+    targetDir,
+    dryRun: opts.dryRun,
+    check: opts.check,
+    sourceFiles: sources.count,
+    matched: files.filter(file => file.source).length,
+    files,
+    errors,
+    transaction: finishTransaction(runWriter, files, errors),
+    summary: summarize(files)
+  };
+}
+
+// Function to copy frontmatter from files in sourceDir onto matching files in targetDir.
+// Each target gets the first source file (in walk order) with its file name.
+function copyFrontmatter(sourceDir, targetDir, options = {}) {
+  const opts = normalizeOptions(options);
+  const errors = [];
+  const runWriter = opts.dryRun ? null : writer.createWriter(opts);
+  const fileOpts = { ...opts, writer: runWriter };
+  const sources = indexSourceFiles(collectFiles(sourceDir, opts, errors));
+  const files = [];
+
+  for (const targetPath of collectFiles(targetDir, opts, errors)) {
+    const result = createCopyResult(targetPath, targetDir, sources);
+
+    try {
+      if (result.source) {
+        const sourceContent = fs.readFileSync(result.source, 'utf8');
+        const snapshot = writer.readSnapshot(targetPath);
+        const updatedContent = transformCopy(result, sourceContent, snapshot, opts);
+
+        if (updatedContent !== null) {
+          result.modified = opts.dryRun || writeResult(result, snapshot, updatedContent, fileOpts);
+        }
+      }
+    } catch (error) {
+      result.error = error.message;
+    }
+
+    files.push(result);
+
+    if (opts.onFile) {
+      opts.onFile(result);
+    }
+  }
+
+  return copyRun(sourceDir, targetDir, opts, sources, files, errors, runWriter);
+}
+
+// Function to copy frontmatter like copyFrontmatter does, working on up to
+// opts.concurrency target files at once. onFile is called in path order and
+// onProgress as described for processDirectoryAsync.
+async function copyFrontmatterAsync(sourceDir, targetDir, options = {}) {
+  const opts = normalizeOptions(options);
+  const errors = [];
+  const runWriter = opts.dryRun ? null : writer.createWriter(opts);
+  const fileOpts = { ...opts, writer: runWriter };
+  const progress = trackProgress(opts.onProgress, errors);
+
+  const sourcePaths = await collectFilesAsync(sourceDir, opts, errors, progress.found);
+  const sources = indexSourceFiles(sourcePaths);
+  const targetPaths = await collectFilesAsync(targetDir, opts, errors,
+    count => progress.found(sourcePaths.length + count));
+  progress.start(targetPaths.length);
+
+  const files = await pool.mapInOrder(targetPaths, opts.concurrency, async targetPath => {
+    const result = createCopyResult(targetPath, targetDir, sources);
+
+    try {
+      if (result.source) {
+        const sourceContent = await fs.promises.readFile(result.source, 'utf8');
+        const snapshot = await writer.readSnapshotAsync(targetPath);
+        const updatedContent = transformCopy(result, sourceContent, snapshot, opts);
+
+        if (updatedContent !== null) {
+          result.modified = opts.dryRun ||
+            await writeResultAsync(result, snapshot, updatedContent, fileOpts);
+        }
+      }
+    } catch (error) {
+      result.error = error.message;
+    }
+
+    return result;
+  }, {
+    onDone: progress.done,
+    onResult: result => {
+      if (opts.onFile) opts.onFile(result);
+    }
+  });
+
+  return copyRun(sourceDir, targetDir, opts, sources, files, errors, runWriter);
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  MODES,
+  FRONTMATTER_FORMATS,
+  normalizeOptions,
+  parseFrontmatter,
+  stringifyFrontmatter,
+  updateFrontmatter,
+  convertFrontmatter,
+  summarize,
+  findCheckFailures,
+  processFile,
+  processFileAsync,
+  processDirectory,
+  processDirectoryAsync,
+  scanFields,
+  copyFrontmatter,
+  copyFrontmatterAsync,
+  operations,
+  schema,
+  report,
+  journal,
+  cache,
+  watch,
+  recipe,
+  coerce,
+  writer,
+  where,
+  query,
+  sheet,
+  replace,
+  images,
+  slug,
+  pool,
+  fileTypes
+};
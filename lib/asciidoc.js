@@ -0,0 +1,193 @@
+// AsciiDoc document headers, the metadata block of .adoc files that have no
+// frontmatter block:
+//
+//   = Document Title
+//   Jane Doe <jane@example.com>
+//   v1.0, 2024-01-31
+//   :description: A short summary
+//   :keywords: forex, trading
+//
+// The document title is read as the `title` field and every attribute entry as
+// a field of its own. Attribute values are text; arrays are written as
+// comma-separated lists and dates as 2024-01-31. The header ends at the first
+// blank line. Writes edit the title and attribute lines in place, so the author
+// and revision lines, comments and untouched attributes stay as they were.
+
+const ATTRIBUTE_PATTERN = /^:(!?)([A-Za-z0-9_][A-Za-z0-9_-]*)(!?):(?:[ \t]+(.*?))?[ \t]*$/;
+const NAME_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_-]*$/;
+const TITLE_PATTERN = /^=[ \t]+(.*?)[ \t]*$/;
+
+// Function to split text into lines that remember where they start and end
+// (end includes the line break)
+function splitLines(text, from) {
+  const lines = [];
+  let start = from;
+
+  while (start < text.length) {
+    const newline = text.indexOf('\n', start);
+    const end = newline === -1 ? text.length : newline + 1;
+    lines.push({ start, end, text: text.slice(start, end).replace(/\r?\n$/, '') });
+    start = end;
+  }
+
+  return lines;
+}
+
+// Function to find the document header. Returns
+//   { start, end, title, attributes: [{ name, value, unset, start, end }] }
+// where start..end spans the header lines (the blank line after it excluded).
+// A file that opens with neither a title nor an attribute entry has an empty
+// header at its very start.
+function locateHeader(fileContent) {
+  const offset = fileContent.charCodeAt(0) === 0xFEFF ? 1 : 0;
+  const header = { start: offset, end: offset, title: null, attributes: [] };
+  const lines = splitLines(fileContent, offset);
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (line.text.trim() === '') break;
+
+    const title = TITLE_PATTERN.exec(line.text);
+    const attribute = ATTRIBUTE_PATTERN.exec(line.text);
+
+    if (title && !header.title && header.attributes.length === 0) {
+      header.title = { value: title[1], start: line.start, end: line.end };
+    } else if (attribute) {
+      // A value ending in " \" continues on the next line
+      let value = attribute[4] || '';
+      let end = line.end;
+      while (/ \\$/.test(value) && i + 1 < lines.length && lines[i + 1].text.trim() !== '') {
+        i++;
+        value = `${value.slice(0, -2)} ${lines[i].text.trim()}`;
+        end = lines[i].end;
+      }
+      header.attributes.push({
+        name: attribute[2],
+        value,
+        unset: Boolean(attribute[1] || attribute[3]),
+        start: line.start,
+        end
+      });
+    } else if (!line.text.startsWith('//') && !header.title) {
+      // Author and revision lines only follow a title; anything else is body text
+      break;
+    }
+
+    header.end = line.end;
+  }
+
+  return header;
+}
+
+// Function to read the header as frontmatter-like data
+function parseHeader(fileContent) {
+  const header = locateHeader(fileContent);
+  const data = {};
+
+  if (header.title) {
+    data.title = header.title.value;
+  }
+  header.attributes
+    .filter(attribute => !attribute.unset)
+    .forEach(attribute => {
+      data[attribute.name] = attribute.value;
+    });
+
+  return { data, content: fileContent.slice(header.end), format: 'asciidoc' };
+}
+
+// Function to render a value as attribute text
+function renderValue(name, value) {
+  if (value instanceof Date) {
+    const iso = value.toISOString();
+    return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => renderValue(name, item)).join(', ');
+  }
+  if (value !== null && typeof value === 'object') {
+    throw new Error(`AsciiDoc attributes cannot hold nested values (${name})`);
+  }
+  return value === null ? '' : String(value);
+}
+
+// Function to render one "= Title" or ":name: value" line
+function renderLine(name, value, eol) {
+  if (name === 'title') {
+    return `= ${renderValue(name, value)}${eol}`;
+  }
+  if (!NAME_PATTERN.test(name)) {
+    throw new Error(`"${name}" is not a valid AsciiDoc attribute name`);
+  }
+  const text = renderValue(name, value);
+  return `:${name}:${text ? ` ${text}` : ''}${eol}`;
+}
+
+// Function to write updated data back into the header. `renames`
+// ({ oldName: newName }) keeps renamed attributes on their own line.
+function updateHeader(fileContent, data, options = {}) {
+  const header = locateHeader(fileContent);
+  const oldData = parseHeader(fileContent).data;
+  const eol = fileContent.includes('\r\n') ? '\r\n' : '\n';
+  const renames = options.renames || {};
+  const edits = [];
+  const seen = new Set();
+  const has = key => Object.prototype.hasOwnProperty.call(data, key) && data[key] !== undefined;
+  const same = key => renderValue(key, data[key]) === renderValue(key, oldData[key]);
+
+  if (header.title) {
+    seen.add('title');
+    if (!has('title')) {
+      edits.push({ start: header.title.start, end: header.title.end, text: '' });
+    } else if (!same('title')) {
+      edits.push({ start: header.title.start, end: header.title.end, text: renderLine('title', data.title, eol) });
+    }
+  }
+
+  header.attributes.filter(attribute => !attribute.unset).forEach(attribute => {
+    const name = attribute.name;
+    const newName = renames[name];
+    seen.add(name);
+
+    if (newName && !has(name) && has(newName)) {
+      seen.add(newName);
+      edits.push({ start: attribute.start, end: attribute.end, text: renderLine(newName, data[newName], eol) });
+    } else if (!has(name)) {
+      edits.push({ start: attribute.start, end: attribute.end, text: '' });
+    } else if (!same(name)) {
+      edits.push({ start: attribute.start, end: attribute.end, text: renderLine(name, data[name], eol) });
+    }
+  });
+
+  const added = Object.keys(data).filter(key => !seen.has(key) && has(key));
+  const titleLine = added.includes('title') ? renderLine('title', data.title, eol) : '';
+  const lines = added.filter(key => key !== 'title').map(key => renderLine(key, data[key], eol)).join('');
+
+  if (header.end === header.start) {
+    // A new header needs a blank line between it and the body
+    const body = fileContent.slice(header.end);
+    const separator = body && !/^\r?\n/.test(body) ? eol : '';
+    if (titleLine || lines) {
+      edits.push({ start: header.start, end: header.start, text: titleLine + lines + separator });
+    }
+  } else {
+    if (titleLine) {
+      edits.push({ start: header.start, end: header.start, text: titleLine });
+    }
+    if (lines) {
+      const prefix = fileContent.charAt(header.end - 1) !== '\n' ? eol : '';
+      edits.push({ start: header.end, end: header.end, text: prefix + lines });
+    }
+  }
+
+  return edits
+    .sort((a, b) => b.start - a.start)
+    .reduce((text, edit) => text.slice(0, edit.start) + edit.text + text.slice(edit.end), fileContent);
+}
+
+module.exports = {
+  locateHeader,
+  parseHeader,
+  updateHeader
+};
@@ -0,0 +1,283 @@
+const fs = require('fs');
+const path = require('path');
+const { hashContent, writeFileAtomic } = require('./writer');
+const { version } = require('../package.json');
+
+// Result cache for incremental runs.
+//
+// <stateDir>/cache.json remembers, for every file a run found clean (nothing
+// to change, no failed validation, no error), its size, mtime and content
+// hash, its parsed frontmatter, and the result it got under each operation
+// configuration (mode, fields, field operations, --where, schema, ...). A
+// later run with the same configuration reuses the result of every file whose
+// size and mtime (or, failing that, content hash) still match, without
+// reading or parsing it. Validate and analyze runs with a new configuration
+// still skip the parsing: they work on the cached frontmatter.
+//
+// Files that had changes to make, failed validation (or coercion), conflicts
+// or errors are never cached, so they are looked at again on every run. Only
+// the 10 most recently used configurations are kept. Dry runs and checks read
+// the cache but never save it.
+
+const CACHE_FILE = 'cache.json';
+const CACHE_VERSION = 1;
+const CONFIG_LIMIT = 10;
+
+// Result properties worth keeping; the rest describe a write or a failure
+const RESULT_FIELDS = ['skipped', 'modified', 'changes', 'stats', 'fields', 'validation'];
+
+// Modes whose result depends on nothing but the parsed frontmatter
+const READ_ONLY_MODES = ['analyze', 'validate'];
+
+function cachePath(stateDir) {
+  return path.join(stateDir || '.frontmatter', CACHE_FILE);
+}
+
+// Function to make frontmatter JSON-safe: dates become { $date: iso }
+function encodeData(value) {
+  if (value instanceof Date) {
+    return { $date: value.toISOString() };
+  }
+  if (Array.isArray(value)) {
+    return value.map(encodeData);
+  }
+  if (value !== null && typeof value === 'object') {
+    const encoded = {};
+    Object.keys(value).forEach(key => {
+      encoded[key] = encodeData(value[key]);
+    });
+    return encoded;
+  }
+  return value;
+}
+
+// Function to turn encoded frontmatter back into what the parser returned
+function decodeData(value) {
+  if (Array.isArray(value)) {
+    return value.map(decodeData);
+  }
+  if (value !== null && typeof value === 'object') {
+    const keys = Object.keys(value);
+    if (keys.length === 1 && keys[0] === '$date') {
+      return new Date(value.$date);
+    }
+    const decoded = {};
+    keys.forEach(key => {
+      decoded[key] = decodeData(value[key]);
+    });
+    return decoded;
+  }
+  return value;
+}
+
+// Function to check whether a result can be reused: nothing to change, no
+// failed validation, no conflict and no error
+function isClean(result) {
+  return !result.error && !result.conflict && !result.modified && result.changes.length === 0 &&
+    !(result.validation && !result.validation.valid);
+}
+
+// Function to compute the cache key for a run's (normalized) options: a hash
+// of everything that can change a file's result. Returns null when the
+// options cannot be keyed (a --where given as a plain function).
+function configKey(opts) {
+  if (opts.where && opts.where.source === undefined) {
+    return null;
+  }
+
+  const config = {
+    cacheVersion: CACHE_VERSION,
+    version,
+    mode: opts.mode,
+    fields: opts.fields,
+    delimiter: opts.delimiter,
+    addField: opts.addField,
+    addValue: opts.addValue,
+    removeField: opts.removeField,
+    renameField: opts.renameField,
+    newFieldName: opts.newFieldName,
+    sortArrays: opts.sortArrays,
+    uniqueValues: opts.uniqueValues,
+    outputFormat: opts.outputFormat,
+    stats: opts.stats,
+    where: opts.where ? opts.where.source : null,
+    schema: opts.schema || null,
+    recipe: opts.recipe ? opts.recipe.steps : null,
+    coercion: opts.coercion || null
+  };
+
+  // Schema patterns are RegExps, which JSON would turn into {}
+  return hashContent(JSON.stringify(config, (key, value) => value instanceof RegExp ? String(value) : value)).slice(0, 16);
+}
+
+// Function to read the cache file, or start empty when it is missing, from
+// another version of the tool, or unreadable
+function readCacheFile(filePath) {
+  try {
+    const stored = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (stored && stored.cacheVersion === CACHE_VERSION && stored.files && stored.configs) {
+      return stored;
+    }
+  } catch (error) {
+    // A missing or damaged cache is simply rebuilt
+  }
+  return { cacheVersion: CACHE_VERSION, configs: {}, files: {} };
+}
+
+// Function to open the cache of a state directory. Options: stateDir.
+function openCache(options = {}) {
+  const file = cachePath(options.stateDir);
+  const stored = readCacheFile(file);
+  const seen = new Set();
+  let dirty = false;
+  let hits = 0;
+
+  // Function to find a file's entry if the file still matches it. `identity`
+  // is { size, mtimeMs } from a stat, or a snapshot that also has the hash.
+  function matchingEntry(filePath, identity) {
+    const entry = stored.files[path.resolve(filePath)];
+    if (!entry) return null;
+
+    if (entry.size === identity.size && entry.mtimeMs === identity.mtimeMs) {
+      return entry;
+    }
+    // A touched but otherwise identical file still matches, and is found by
+    // its new size and mtime next time
+    if (identity.hash && identity.hash === entry.hash) {
+      entry.size = identity.size;
+      entry.mtimeMs = identity.mtimeMs;
+      dirty = true;
+      return entry;
+    }
+    return null;
+  }
+
+  // Function to store a result's reusable parts under a configuration
+  function keepResult(entry, key, result) {
+    const kept = {};
+    RESULT_FIELDS.forEach(field => {
+      kept[field] = result[field];
+    });
+    entry.results[key] = kept;
+    stored.configs[key] = new Date().toISOString();
+    dirty = true;
+  }
+
+  return {
+    file,
+    keyFor: configKey,
+
+    // Function to find the stored result of an unchanged file under a
+    // configuration, or null
+    find(filePath, key, identity) {
+      const entry = matchingEntry(filePath, identity);
+      if (!entry || !entry.results[key]) return null;
+
+      // The use is noted in memory only; a run that only hits writes nothing
+      seen.add(path.resolve(filePath));
+      stored.configs[key] = new Date().toISOString();
+      hits++;
+      return JSON.parse(JSON.stringify(entry.results[key]));
+    },
+
+    // Function to find the parsed frontmatter of an unchanged file, for the
+    // read-only modes. Returns undefined when there is none, and null for a
+    // file without a frontmatter block of a type that needs one.
+    findData(filePath, mode, identity) {
+      if (!READ_ONLY_MODES.includes(mode)) return undefined;
+
+      const entry = matchingEntry(filePath, identity);
+      if (!entry) return undefined;
+
+      seen.add(path.resolve(filePath));
+      hits++;
+      return entry.data === null ? null : decodeData(entry.data);
+    },
+
+    // Function to remember the result a read-only mode got from findData's
+    // frontmatter, under the entry that frontmatter came from
+    storeResult(filePath, key, result) {
+      const entry = stored.files[path.resolve(filePath)];
+      if (entry && isClean(result)) {
+        keepResult(entry, key, result);
+      }
+    },
+
+    // Function to remember a clean result. `snapshot` is the file as it was
+    // read and `data` its parsed frontmatter (null when it has no block).
+    // Results with changes, failed validation, conflicts or errors are ignored.
+    store(snapshot, data, result, key) {
+      if (!isClean(result)) {
+        return;
+      }
+
+      const filePath = path.resolve(snapshot.path);
+      let entry = stored.files[filePath];
+      if (!entry || entry.hash !== snapshot.hash) {
+        entry = { size: snapshot.size, mtimeMs: snapshot.mtimeMs, hash: snapshot.hash, data: null, results: {} };
+        stored.files[filePath] = entry;
+      }
+
+      // Keep the latest stat so a touched file is found by size and mtime again
+      entry.size = snapshot.size;
+      entry.mtimeMs = snapshot.mtimeMs;
+      entry.data = data === null || data === undefined ? null : encodeData(data);
+      keepResult(entry, key, result);
+      seen.add(filePath);
+    },
+
+    // Function to write the cache back to disk, dropping the configurations
+    // beyond the most recent ones and files that no longer exist
+    save() {
+      if (!dirty) return false;
+
+      const keys = Object.keys(stored.configs)
+        .sort((a, b) => stored.configs[b].localeCompare(stored.configs[a]));
+      const dropped = new Set(keys.slice(CONFIG_LIMIT));
+      dropped.forEach(key => delete stored.configs[key]);
+
+      Object.keys(stored.files).forEach(filePath => {
+        const entry = stored.files[filePath];
+        if (!seen.has(filePath) && !fs.existsSync(filePath)) {
+          delete stored.files[filePath];
+          return;
+        }
+        dropped.forEach(key => delete entry.results[key]);
+      });
+
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      writeFileAtomic(file, JSON.stringify(stored));
+      dirty = false;
+      return true;
+    },
+
+    // Function to count the files answered from the cache so far
+    hits: () => hits,
+
+    // Function to describe what the cache holds
+    info: () => ({
+      file,
+      files: Object.keys(stored.files).length,
+      configs: Object.keys(stored.configs).length
+    })
+  };
+}
+
+// Function to delete the cache of a state directory. Returns whether there was one.
+function clearCache(stateDir) {
+  const file = cachePath(stateDir);
+  if (!fs.existsSync(file)) {
+    return false;
+  }
+  fs.unlinkSync(file);
+  return true;
+}
+
+module.exports = {
+  CACHE_FILE,
+  READ_ONLY_MODES,
+  cachePath,
+  configKey,
+  openCache,
+  clearCache
+};
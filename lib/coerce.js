@@ -0,0 +1,309 @@
+const { getPath, setPath, parsePath, formatPath } = require('./field-path');
+
+// Type coercion for coerce mode (--mode coerce --type <type>).
+//
+//   number   "007" -> 7, " 2.5 " -> 2.5
+//   boolean  true/false, yes/no, on/off, 1/0 (any case) -> true or false
+//   string   7 -> "7", true -> "true", dates -> formatted with dateFormat
+//   date     dates and ISO 8601 strings -> normalized to dateFormat in timezone
+//
+// Arrays are converted item by item. Missing and null fields are left alone.
+// A value that cannot be converted (a word as a number, an object as anything,
+// "next week" as a date) is reported as a problem and never rewritten.
+//
+// Dates are read as YYYY-MM-DD, YYYY/MM/DD or ISO 8601 date-times. Date-times
+// without an offset are wall-clock times in the configured timezone, both in
+// strings and in unquoted YAML/TOML dates (which the readers turn into UTC
+// Dates, so the text they were written as is read instead). Dates without a
+// time (YAML's `2024-01-31`) stay on their calendar day.
+//
+// dateFormat is "iso" (YYYY-MM-DDTHH:mm:ssZ) or a pattern of the tokens
+// YYYY MM DD HH mm ss SSS Z (+02:00) and ZZ (+0200); other characters are
+// copied as they are. The default YYYY-MM-DD is written as a plain date;
+// every other format is written as a string. timezone is "UTC", an IANA name
+// (Europe/Berlin) or a fixed offset (+05:30).
+
+const COERCE_TYPES = ['number', 'boolean', 'string', 'date'];
+
+const DEFAULT_DATE_FORMAT = 'YYYY-MM-DD';
+const DEFAULT_TIMEZONE = 'UTC';
+
+const DATE_FORMATS = {
+  iso: 'YYYY-MM-DDTHH:mm:ssZ'
+};
+
+const TRUE_WORDS = ['true', 'yes', 'on', '1'];
+const FALSE_WORDS = ['false', 'no', 'off', '0'];
+
+const NUMBER_PATTERN = /^[+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?$/;
+const DATE_PATTERN = /^(\d{4})[-/](\d{2})[-/](\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?\s*(Z|[+-]\d{2}(?::?\d{2})?)?)?$/i;
+const OFFSET_PATTERN = /^([+-])(\d{2}):?(\d{2})?$/;
+const FORMAT_TOKENS = /YYYY|SSS|MM|DD|HH|mm|ss|ZZ|Z/g;
+
+// Function to describe a value in a problem message
+function describe(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return 'an array';
+  if (value !== null && typeof value === 'object') return 'an object';
+  return JSON.stringify(value);
+}
+
+// Function to read a fixed offset like +05:30 as minutes, or null
+function parseOffset(text) {
+  if (text.toUpperCase() === 'Z') return 0;
+  const match = OFFSET_PATTERN.exec(text);
+  if (!match) return null;
+  const minutes = Number(match[2]) * 60 + Number(match[3] || 0);
+  return match[1] === '-' ? -minutes : minutes;
+}
+
+// Function to check a timezone option, returning it unchanged. Throws for a
+// name the runtime does not know.
+function checkTimezone(timezone) {
+  if (parseOffset(timezone) !== null) return timezone;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch (error) {
+    throw new Error(`Unknown timezone: ${timezone} (expected UTC, an IANA name like Europe/Berlin or an offset like +02:00)`);
+  }
+  return timezone;
+}
+
+// Function to check a date format option and expand named formats
+function resolveDateFormat(format) {
+  const pattern = DATE_FORMATS[format] || format;
+  if (typeof pattern !== 'string' || !pattern.match(FORMAT_TOKENS)) {
+    throw new Error(`Invalid date format: ${format} (use "iso" or a pattern such as YYYY-MM-DD)`);
+  }
+  return pattern;
+}
+
+// Function to get the offset from UTC, in minutes, of a timezone at an instant
+function offsetAt(timezone, time) {
+  const fixed = parseOffset(timezone);
+  if (fixed !== null) return fixed;
+
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(time)).forEach(part => {
+    parts[part.type] = Number(part.value);
+  });
+
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((wall - Math.floor(time / 1000) * 1000) / 60000);
+}
+
+// Function to find the instant a wall-clock time (given as if it were UTC)
+// stands for in a timezone
+function wallToInstant(wall, timezone) {
+  const guess = wall - offsetAt(timezone, wall) * 60000;
+  return wall - offsetAt(timezone, guess) * 60000;
+}
+
+// Function to read a date value as { day } (a calendar day, as a UTC
+// midnight) or { time } (an instant). `text` is how a Date value was written
+// when it had no offset (see findLocalTimes). Returns null when it is not a date.
+function readDate(value, timezone, text) {
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) return null;
+    const written = text === undefined ? null : readDate(text, timezone);
+    if (written) return written;
+    // How the YAML reader returns a date without a time
+    return value.toISOString().endsWith('T00:00:00.000Z') ? { day: value.getTime() } : { time: value.getTime() };
+  }
+  if (typeof value !== 'string') return null;
+
+  const match = DATE_PATTERN.exec(value.trim());
+  if (!match) return null;
+
+  const [year, month, day, hour, minute, second] = match.slice(1, 7).map(part => Number(part || 0));
+  const millis = Number((match[7] || '').padEnd(3, '0'));
+  const offset = match[8];
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second, millis);
+
+  // Reject days that do not exist, like 2024-02-30 or 25:00
+  const check = new Date(wall);
+  if (check.getUTCFullYear() !== year || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day ||
+      check.getUTCHours() !== hour || check.getUTCMinutes() !== minute || check.getUTCSeconds() !== second) {
+    return null;
+  }
+
+  if (match[4] === undefined) return { day: wall };
+  if (offset !== undefined) return { time: wall - parseOffset(offset) * 60000 };
+  return { time: wallToInstant(wall, timezone) };
+}
+
+// Function to render a date read by readDate with a format pattern
+function formatDate(date, pattern, timezone) {
+  // A calendar day is midnight in the timezone, so it keeps its day
+  const time = date.time !== undefined ? date.time : wallToInstant(date.day, timezone);
+  const offset = offsetAt(timezone, time);
+  const wall = new Date(time + offset * 60000);
+
+  const sign = offset < 0 ? '-' : '+';
+  const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+  const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+  const pad = (number, width = 2) => String(number).padStart(width, '0');
+
+  const tokens = {
+    YYYY: pad(wall.getUTCFullYear(), 4),
+    MM: pad(wall.getUTCMonth() + 1),
+    DD: pad(wall.getUTCDate()),
+    HH: pad(wall.getUTCHours()),
+    mm: pad(wall.getUTCMinutes()),
+    ss: pad(wall.getUTCSeconds()),
+    SSS: pad(wall.getUTCMilliseconds(), 3),
+    Z: `${sign}${hours}:${minutes}`,
+    ZZ: `${sign}${hours}${minutes}`
+  };
+
+  return pattern.replace(FORMAT_TOKENS, token => tokens[token]);
+}
+
+// Function to convert one (non-array) value. Returns { value } or { problem }.
+function coerceScalar(value, type, options, text) {
+  const fail = reason => ({ problem: `cannot convert ${describe(value)} to ${type}: ${reason}` });
+
+  if (value !== null && typeof value === 'object' && !(value instanceof Date)) {
+    return fail(Array.isArray(value) ? 'nested arrays are not converted' : 'it is an object');
+  }
+
+  switch (type) {
+    case 'number': {
+      if (typeof value === 'number') return { value };
+      if (typeof value !== 'string') return fail(`it is a ${value instanceof Date ? 'date' : typeof value}`);
+      if (!NUMBER_PATTERN.test(value.trim())) return fail('not a number');
+      const number = Number(value.trim());
+      return Number.isFinite(number) ? { value: number } : fail('out of range');
+    }
+
+    case 'boolean': {
+      if (typeof value === 'boolean') return { value };
+      if (typeof value !== 'string' && typeof value !== 'number') return fail('it is a date');
+      const word = String(value).trim().toLowerCase();
+      if (TRUE_WORDS.includes(word)) return { value: true };
+      if (FALSE_WORDS.includes(word)) return { value: false };
+      return fail('expected true/false, yes/no, on/off or 1/0');
+    }
+
+    case 'string':
+      if (value instanceof Date) {
+        const date = readDate(value, options.timezone, text);
+        return date ? { value: formatDate(date, options.dateFormat, options.timezone) } : fail('it is an invalid date');
+      }
+      return { value: String(value) };
+
+    case 'date': {
+      const date = readDate(value, options.timezone, text);
+      if (!date) return fail('expected YYYY-MM-DD or an ISO 8601 date-time');
+      const formatted = formatDate(date, options.dateFormat, options.timezone);
+      // A plain date is written as a date, not a quoted string
+      return { value: options.dateFormat === DEFAULT_DATE_FORMAT ? new Date(`${formatted}T00:00:00.000Z`) : formatted };
+    }
+  }
+
+  return fail('unknown type');
+}
+
+// Function to compare an old and a converted value
+function sameValue(a, b) {
+  if (a instanceof Date || b instanceof Date) {
+    return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+  }
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => sameValue(item, b[index]));
+  }
+  return a === b;
+}
+
+// Function to check coerce options and fill in their defaults.
+// Options: type, dateFormat, timezone.
+function createCoercion(options = {}) {
+  if (!COERCE_TYPES.includes(options.type)) {
+    throw new Error(`Unknown type: ${options.type} (expected one of ${COERCE_TYPES.join(', ')})`);
+  }
+  return {
+    type: options.type,
+    dateFormat: resolveDateFormat(options.dateFormat || DEFAULT_DATE_FORMAT),
+    timezone: checkTimezone(options.timezone || DEFAULT_TIMEZONE)
+  };
+}
+
+// Function to convert a single value (arrays item by item). `localTimes` has
+// the text of date-times written without an offset, by path relative to the
+// value ("" for the value itself).
+// Returns { value } or { problems: [{ path, message }] } with paths relative
+// to the value, like "[2]".
+function coerceValue(value, coercion, localTimes = {}) {
+  if (!Array.isArray(value)) {
+    const converted = coerceScalar(value, coercion.type, coercion, localTimes['']);
+    return converted.problem ? { problems: [{ path: '', message: converted.problem }] } : converted;
+  }
+
+  const problems = [];
+  const values = value.map((item, index) => {
+    const converted = coerceScalar(item, coercion.type, coercion, localTimes[`[${index}]`]);
+    if (converted.problem) problems.push({ path: `[${index}]`, message: converted.problem });
+    return converted.value;
+  });
+
+  return problems.length > 0 ? { problems } : { value: values };
+}
+
+// Function to convert the given fields of a file's frontmatter. Nothing is
+// changed when any value cannot be converted. `localTimes` is the file's
+// { path: text } of date-times without an offset (fileType.localTimes).
+// Returns { changes, problems }: coerce-field changes and
+// { path, rule: 'coerce', message } problems.
+function coerceFields(data, fields, coercion, localTimes = {}) {
+  const changes = [];
+  const problems = [];
+
+  fields.forEach(field => {
+    const oldValue = getPath(data, field);
+    if (oldValue === undefined || oldValue === null) return;
+
+    const key = formatPath(parsePath(field));
+    const texts = { '': localTimes[key] };
+    if (Array.isArray(oldValue)) {
+      oldValue.forEach((item, index) => {
+        texts[`[${index}]`] = localTimes[`${key}[${index}]`];
+      });
+    }
+
+    const converted = coerceValue(oldValue, coercion, texts);
+    if (converted.problems) {
+      converted.problems.forEach(problem => {
+        problems.push({ path: field + problem.path, rule: 'coerce', message: problem.message });
+      });
+    } else if (!sameValue(oldValue, converted.value)) {
+      changes.push({ type: 'coerce-field', field, oldValue, value: converted.value, to: coercion.type });
+    }
+  });
+
+  if (problems.length > 0) {
+    return { changes: [], problems };
+  }
+
+  changes.forEach(change => setPath(data, change.field, change.value));
+  return { changes, problems };
+}
+
+module.exports = {
+  COERCE_TYPES,
+  DEFAULT_DATE_FORMAT,
+  DEFAULT_TIMEZONE,
+  createCoercion,
+  coerceValue,
+  coerceFields,
+  formatDate,
+  readDate
+};
@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+const matter = require('gray-matter');
+
+// Project configuration (.frontmatterrc).
+//
+// The first config file found walking up from the working directory supplies
+// default options for the CLIs. Top-level keys apply to every tool, a section
+// named after a tool (array, editor, wizard) applies to that tool only, and
+// named profiles layer on top when selected with --profile:
+//
+//   fields: [tags]
+//   extension: .md,.mdx
+//   array:
+//     sortArrays: true
+//   profiles:
+//     blog-tags:
+//       directory: ./content/blog
+//       uniqueValues: true
+//
+// Options use the same camelCase names as the API. Command line flags always win.
+
+const CONFIG_FILES = [
+  '.frontmatterrc',
+  '.frontmatterrc.json',
+  '.frontmatterrc.yaml',
+  '.frontmatterrc.yml',
+  '.frontmatterrc.js',
+  '.frontmatterrc.cjs'
+];
+
+const TOOLS = ['array', 'editor', 'wizard'];
+const LIST_OPTIONS = ['fields', 'frontmatterFields'];
+const GLOB_OPTIONS = ['include', 'exclude'];
+const PATH_OPTIONS = ['directory', 'file', 'schema', 'recipe', 'reportFile', 'stateDir', 'sourceFrontmatterDir', 'targetContentDir'];
+
+// Function to find the nearest config file, starting at dir and walking up
+function findConfig(dir = process.cwd()) {
+  let current = path.resolve(dir);
+
+  while (true) {
+    for (const name of CONFIG_FILES) {
+      const candidate = path.join(current, name);
+      if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) {
+        return candidate;
+      }
+    }
+
+    const parent = path.dirname(current);
+    if (parent === current) {
+      return null;
+    }
+    current = parent;
+  }
+}
+
+// Function to read a config file. Extensionless .frontmatterrc files may be JSON or YAML.
+function loadConfig(filePath) {
+  const extension = path.extname(filePath);
+  let config;
+
+  try {
+    if (extension === '.js' || extension === '.cjs') {
+      config = require(path.resolve(filePath));
+    } else {
+      const text = fs.readFileSync(filePath, 'utf8');
+      config = extension === '.json' ? JSON.parse(text) : matter.engines.yaml.parse(text);
+    }
+  } catch (error) {
+    throw new Error(`Could not load config ${filePath}: ${error.message}`);
+  }
+
+  if (config === null || config === undefined) {
+    return {};
+  }
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Config ${filePath} must contain an object`);
+  }
+
+  return config;
+}
+
+// Function to pick the plain option keys out of a config level (no tool sections or profiles)
+function optionsOf(level) {
+  const options = {};
+
+  Object.keys(level || {}).forEach(key => {
+    if (key !== 'profiles' && !TOOLS.includes(key)) {
+      options[key] = level[key];
+    }
+  });
+
+  return options;
+}
+
+// Function to convert config values into the shapes the CLIs use internally
+function normalizeConfigOptions(options, baseDir) {
+  const normalized = { ...options };
+
+  LIST_OPTIONS.forEach(key => {
+    if (typeof normalized[key] === 'string') {
+      normalized[key] = normalized[key].split(',').map(field => field.trim());
+    }
+  });
+
+  // Globs may contain commas, so a single string is one glob
+  GLOB_OPTIONS.forEach(key => {
+    if (typeof normalized[key] === 'string') {
+      normalized[key] = [normalized[key]];
+    }
+  });
+
+  if (Array.isArray(normalized.extension)) {
+    normalized.extension = normalized.extension.join(',');
+  }
+  if (typeof normalized.pattern === 'string') {
+    normalized.pattern = new RegExp(normalized.pattern);
+  }
+
+  // Paths in a config file are relative to the file, not the working directory
+  PATH_OPTIONS.forEach(key => {
+    if (typeof normalized[key] === 'string') {
+      normalized[key] = path.resolve(baseDir, normalized[key]);
+    }
+  });
+
+  return normalized;
+}
+
+// Function to merge shared, tool-specific and profile options from a config
+function resolveConfig(config, tool, profileName, baseDir = process.cwd()) {
+  let options = { ...optionsOf(config), ...optionsOf(config[tool]) };
+
+  if (profileName) {
+    const profiles = config.profiles || {};
+    if (!Object.prototype.hasOwnProperty.call(profiles, profileName)) {
+      const available = Object.keys(profiles);
+      throw new Error(`Unknown profile "${profileName}"` +
+        (available.length > 0 ? ` (available: ${available.join(', ')})` : ' (no profiles defined)'));
+    }
+
+    const profile = profiles[profileName] || {};
+    options = { ...options, ...optionsOf(profile), ...optionsOf(profile[tool]) };
+  }
+
+  return normalizeConfigOptions(options, baseDir);
+}
+
+// Function to load the config defaults for a CLI. Looks at argv for
+// --config <file>, --profile <name> and --no-config before the real parse.
+function loadCliConfig(tool, argv = process.argv, cwd = process.cwd()) {
+  let configPath = null;
+  let profile = null;
+  let disabled = false;
+
+  for (let i = 2; i < argv.length; i++) {
+    if (argv[i] === '--config' && argv[i + 1]) {
+      configPath = argv[++i];
+    } else if (argv[i] === '--profile' && argv[i + 1]) {
+      profile = argv[++i];
+    } else if (argv[i] === '--no-config') {
+      disabled = true;
+    }
+  }
+
+  if (disabled) {
+    if (profile) {
+      throw new Error('--profile cannot be used together with --no-config');
+    }
+    return { options: {}, configPath: null, profile: null };
+  }
+
+  configPath = configPath ? path.resolve(cwd, configPath) : findConfig(cwd);
+  if (!configPath) {
+    if (profile) {
+      throw new Error(`Profile "${profile}" requested but no config file was found`);
+    }
+    return { options: {}, configPath: null, profile: null };
+  }
+
+  const config = loadConfig(configPath);
+  return {
+    options: resolveConfig(config, tool, profile, path.dirname(configPath)),
+    configPath,
+    profile
+  };
+}
+
+module.exports = {
+  CONFIG_FILES,
+  findConfig,
+  loadConfig,
+  resolveConfig,
+  loadCliConfig
+};
@@ -0,0 +1,42 @@
+const path = require('path');
+const { createTwoFilesPatch } = require('diff');
+
+// Unified diffs for --diff previews. Patches are built as plain text so they can
+// go into reports or logs; colorizeDiff adds terminal colors for the CLIs.
+
+// Function to build a unified diff between the old and new content of a file.
+// The headers name the file relative to baseDir (default: the working
+// directory), as git does: a/posts/hello.md. Returns null when nothing changed.
+function createDiff(filePath, oldContent, newContent, options = {}) {
+  if (oldContent === newContent) {
+    return null;
+  }
+
+  const name = path.relative(options.baseDir || process.cwd(), path.resolve(filePath)).split(path.sep).join('/');
+  const context = options.context === undefined ? 3 : options.context;
+
+  return createTwoFilesPatch(`a/${name}`, `b/${name}`, oldContent, newContent, '', '', { context })
+    // Drop the "====" separator jsdiff puts above every patch and the tabs
+    // it leaves after the file names when no header is given
+    .replace(/^=+\n/, '')
+    .replace(/^(---|\+\+\+) (.*)\t$/gm, '$1 $2');
+}
+
+// Function to color a unified diff with the given chalk instance
+function colorizeDiff(patch, chalk) {
+  return patch
+    .split('\n')
+    .map(line => {
+      if (line.startsWith('+++') || line.startsWith('---')) return chalk.bold(line);
+      if (line.startsWith('@@')) return chalk.cyan(line);
+      if (line.startsWith('+')) return chalk.green(line);
+      if (line.startsWith('-')) return chalk.red(line);
+      return line;
+    })
+    .join('\n');
+}
+
+module.exports = {
+  createDiff,
+  colorizeDiff
+};
@@ -0,0 +1,141 @@
+// Dot/bracket field paths such as `seo.title`, `author.name` or `images[0].src`.
+// A plain field name is a one-segment path, so every option that accepts a field
+// name also accepts a path. Keys that contain dots or brackets can be quoted:
+// `links["example.com"]`.
+
+// Function to split a path string into its segments (strings for keys, numbers for indexes)
+function parsePath(fieldPath) {
+  if (Array.isArray(fieldPath)) {
+    return fieldPath;
+  }
+
+  const segments = [];
+  const pattern = /([^.[\]]+)|\[(\d+)\]|\[(["'])(.*?)\3\]/g;
+  let position = 0;
+  let match;
+
+  while ((match = pattern.exec(fieldPath)) !== null) {
+    const between = fieldPath.slice(position, match.index);
+    if (between !== '' && !(between === '.' && segments.length > 0)) {
+      throw new Error(`Invalid field path: ${fieldPath}`);
+    }
+
+    if (match[1] !== undefined) {
+      segments.push(match[1]);
+    } else if (match[2] !== undefined) {
+      segments.push(Number(match[2]));
+    } else {
+      segments.push(match[4]);
+    }
+    position = pattern.lastIndex;
+  }
+
+  if (segments.length === 0 || position !== fieldPath.length) {
+    throw new Error(`Invalid field path: ${fieldPath}`);
+  }
+
+  return segments;
+}
+
+// Function to turn segments back into a path string
+function formatPath(segments) {
+  return segments.reduce((text, segment) => {
+    if (typeof segment === 'number') return `${text}[${segment}]`;
+    if (/[.[\]"']/.test(segment)) return `${text}["${segment}"]`;
+    return text ? `${text}.${segment}` : segment;
+  }, '');
+}
+
+function isContainer(value) {
+  return value !== null && typeof value === 'object' && !(value instanceof Date);
+}
+
+// Function to read the value at a path (undefined when any part is missing)
+function getPath(data, fieldPath) {
+  return parsePath(fieldPath).reduce(
+    (value, segment) => (isContainer(value) ? value[segment] : undefined),
+    data
+  );
+}
+
+// Function to check whether a path exists, even if its value is null or falsy
+function hasPath(data, fieldPath) {
+  const segments = parsePath(fieldPath);
+  const parent = getPath(data, segments.slice(0, -1));
+  return isContainer(parent) && Object.prototype.hasOwnProperty.call(parent, segments[segments.length - 1]);
+}
+
+// Function to set the value at a path, creating missing intermediate objects
+// (or arrays, when the next segment is an index)
+function setPath(data, fieldPath, value) {
+  const segments = parsePath(fieldPath);
+  let target = data;
+
+  segments.slice(0, -1).forEach((segment, index) => {
+    if (target[segment] === undefined || target[segment] === null) {
+      target[segment] = typeof segments[index + 1] === 'number' ? [] : {};
+    } else if (!isContainer(target[segment])) {
+      throw new Error(`Cannot set ${formatPath(segments)}: ${formatPath(segments.slice(0, index + 1))} is not an object`);
+    }
+    target = target[segment];
+  });
+
+  target[segments[segments.length - 1]] = value;
+}
+
+// Function to remove the value at a path. Array elements are spliced out so no
+// holes are left behind. Returns true if something was removed.
+function deletePath(data, fieldPath) {
+  if (!hasPath(data, fieldPath)) {
+    return false;
+  }
+
+  const segments = parsePath(fieldPath);
+  const parent = getPath(data, segments.slice(0, -1));
+  const last = segments[segments.length - 1];
+
+  if (Array.isArray(parent) && typeof last === 'number') {
+    parent.splice(last, 1);
+  } else {
+    delete parent[last];
+  }
+
+  return true;
+}
+
+// Function to expand a path with * segments (`images[*].alt`, `seo.*`) into the
+// concrete paths, as segment lists, that exist in data: * stands for every
+// element of an array or key of an object. A path without * expands to itself.
+function expandPath(data, fieldPath) {
+  const segments = parsePath(typeof fieldPath === 'string' ? fieldPath.replace(/\[\*\]/g, '.*') : fieldPath);
+  let paths = [[]];
+
+  segments.forEach(segment => {
+    const next = [];
+    paths.forEach(current => {
+      if (segment !== '*') {
+        next.push(current.concat(segment));
+        return;
+      }
+      const value = current.length > 0 ? getPath(data, current) : data;
+      if (Array.isArray(value)) {
+        value.forEach((item, index) => next.push(current.concat(index)));
+      } else if (isContainer(value)) {
+        Object.keys(value).forEach(key => next.push(current.concat(key)));
+      }
+    });
+    paths = next;
+  });
+
+  return paths;
+}
+
+module.exports = {
+  parsePath,
+  formatPath,
+  getPath,
+  hasPath,
+  setPath,
+  deletePath,
+  expandPath
+};
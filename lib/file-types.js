@@ -0,0 +1,96 @@
+const frontmatter = require('./frontmatter');
+const asciidoc = require('./asciidoc');
+
+// Per-file-type handlers. Each one knows where a content file keeps its metadata
+// and how to read and rewrite it:
+//
+//   markdown  .md .markdown        YAML, TOML or JSON frontmatter
+//   mdx       .mdx                 YAML or TOML frontmatter; a leading { is JSX, and
+//                                  import/export lines stay below the block
+//   markdoc   .mdoc .markdoc       YAML frontmatter
+//   html      .html .htm           YAML frontmatter (Jekyll). HTML files without a
+//                                  block are plain templates and are left alone
+//   asciidoc  .adoc .asciidoc      YAML, TOML or JSON frontmatter (Hugo), otherwise
+//                                  the document header's title and attributes. Files
+//                                  with neither (partials, includes) are left alone
+//
+// A handler has { name, extensions, formats, requiresBlock } and
+//   locate(fileContent)                 the metadata block, or null when there is none
+//   parse(fileContent)                  { data, content, format }
+//   update(fileContent, data, options)  the file text with data written back
+//   convert(fileContent, format)        the file text with its block in another format
+//   localTimes(fileContent)             date-times written without an offset, as
+//                                       { path: text } (see findLocalTimes)
+// Files with other extensions are handled as Markdown.
+
+// Function to build a handler for a file type that keeps its metadata in a
+// frontmatter block
+function frontmatterHandler(name, extensions, formats, options = {}) {
+  return {
+    name,
+    extensions,
+    formats,
+    requiresBlock: Boolean(options.requiresBlock),
+    locate: fileContent => frontmatter.locateFrontmatter(fileContent, formats),
+    parse: fileContent => frontmatter.parseFrontmatter(fileContent, { formats }),
+    update: (fileContent, data, updateOptions = {}) =>
+      frontmatter.updateFrontmatter(fileContent, data, { ...updateOptions, formats }),
+    convert: (fileContent, format) => frontmatter.convertFrontmatter(fileContent, format, { formats }),
+    localTimes: fileContent => frontmatter.findLocalTimes(fileContent, { formats })
+  };
+}
+
+// AsciiDoc files use a frontmatter block when they open with one, and their
+// document header otherwise. Header attributes are always written back as
+// attributes; conversion leaves them alone.
+const asciidocBlock = frontmatterHandler('asciidoc', ['.adoc', '.asciidoc'], frontmatter.FRONTMATTER_FORMATS);
+
+// Function to find an AsciiDoc header that has a title or an attribute entry,
+// or null. A file with neither is an include or a partial, not a document.
+function locateAsciidocHeader(fileContent) {
+  const header = asciidoc.locateHeader(fileContent);
+  return header.title || header.attributes.length > 0 ? header : null;
+}
+
+const asciidocHandler = {
+  ...asciidocBlock,
+  requiresBlock: true,
+  locate: fileContent => asciidocBlock.locate(fileContent) || locateAsciidocHeader(fileContent),
+  parse: fileContent => asciidocBlock.locate(fileContent)
+    ? asciidocBlock.parse(fileContent)
+    : asciidoc.parseHeader(fileContent),
+  update: (fileContent, data, options = {}) => asciidocBlock.locate(fileContent)
+    ? asciidocBlock.update(fileContent, data, options)
+    : asciidoc.updateHeader(fileContent, data, { renames: options.renames }),
+  convert: (fileContent, format) => asciidocBlock.locate(fileContent)
+    ? asciidocBlock.convert(fileContent, format)
+    : fileContent,
+  // Header attributes are plain strings, so only a block has dates to find
+  localTimes: fileContent => asciidocBlock.localTimes(fileContent)
+};
+
+const markdownHandler = frontmatterHandler('markdown', ['.md', '.markdown'], frontmatter.FRONTMATTER_FORMATS);
+
+const FILE_TYPES = [
+  markdownHandler,
+  frontmatterHandler('mdx', ['.mdx'], ['yaml', 'toml']),
+  frontmatterHandler('markdoc', ['.mdoc', '.markdoc'], ['yaml']),
+  frontmatterHandler('html', ['.html', '.htm'], ['yaml'], { requiresBlock: true }),
+  asciidocHandler
+];
+
+// The default for --extension: Markdown only. The other types are opted into
+// with --extension, so existing runs do not start rewriting templates.
+const DEFAULT_EXTENSIONS = markdownHandler.extensions.join(',');
+
+// Function to pick the handler for a file by its extension
+function getFileType(filePath) {
+  const lowerPath = filePath.toLowerCase();
+  return FILE_TYPES.find(type => type.extensions.some(ext => lowerPath.endsWith(ext))) || markdownHandler;
+}
+
+module.exports = {
+  FILE_TYPES,
+  DEFAULT_EXTENSIONS,
+  getFileType
+};
@@ -0,0 +1,267 @@
+const fs = require('fs');
+const path = require('path');
+const ignore = require('ignore');
+const { DEFAULT_EXTENSIONS } = require('./file-types');
+
+// Directory traversal for the content tools.
+//
+// Walks honor .gitignore and .frontmatterignore files (in the walked directory,
+// its subdirectories and its parents up to the git root) unless ignoreFiles is
+// false, and always skip .git and node_modules. --include/--exclude take
+// gitignore-style globs matched against paths relative to the walk root:
+// `drafts/` or `drafts/**` excludes a folder, `*.draft.md` matches at any depth,
+// `blog/*.md` only directly inside blog/.
+
+const IGNORE_FILES = ['.gitignore', '.frontmatterignore'];
+const ALWAYS_IGNORED = ['.git/', 'node_modules/'];
+
+// Function to turn the comma-separated --extension value into a list
+function parseExtensions(extension) {
+  if (Array.isArray(extension)) {
+    return extension;
+  }
+
+  return extension.split(',').map(ext => ext.trim()).filter(Boolean);
+}
+
+// Function to check whether a file name has one of the given extensions
+// (ignoring case, so .MD and .Markdown match too)
+function hasExtension(fileName, extensions) {
+  const lowerName = fileName.toLowerCase();
+  return extensions.some(ext => lowerName.endsWith(ext.toLowerCase()));
+}
+
+// Function to turn a glob option (a single string or a list) into a list
+function parseGlobs(globs) {
+  if (!globs) return [];
+  return (Array.isArray(globs) ? globs : [globs]).filter(Boolean);
+}
+
+// Function to write a path with forward slashes, the way ignore rules expect
+function toPosix(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+// Function to read the ignore rules defined directly in a directory, or null
+function readIgnoreRules(dir) {
+  const rules = ignore();
+  let found = false;
+
+  IGNORE_FILES.forEach(name => {
+    const filePath = path.join(dir, name);
+    if (fs.existsSync(filePath)) {
+      // Added one file at a time: ignore() only splits lines of a plain string
+      rules.add(fs.readFileSync(filePath, 'utf8'));
+      found = true;
+    }
+  });
+
+  return found ? { base: dir, rules } : null;
+}
+
+// Function to gather ignore rules from the parents of a directory, up to the
+// enclosing git repository's root (or nothing when it is not inside one)
+function parentIgnoreRules(dir) {
+  const parents = [];
+  let current = path.resolve(dir);
+
+  while (true) {
+    const parent = path.dirname(current);
+    if (fs.existsSync(path.join(current, '.git')) || parent === current) {
+      break;
+    }
+    current = parent;
+    parents.unshift(current);
+  }
+
+  if (!fs.existsSync(path.join(current, '.git'))) {
+    return [];
+  }
+
+  return parents.map(readIgnoreRules).filter(Boolean);
+}
+
+// Function to check a path against a stack of ignore rules. Each rule set sees
+// the path relative to the directory its ignore file lives in.
+function isIgnored(itemPath, isDirectory, ruleStack) {
+  const absolute = path.resolve(itemPath);
+
+  return ruleStack.some(({ base, rules }) => {
+    const relative = toPosix(path.relative(path.resolve(base), absolute));
+    return relative !== '' && !relative.startsWith('..') && rules.ignores(isDirectory ? `${relative}/` : relative);
+  });
+}
+
+// Function to build the rules a walk applies: which folders to descend into and
+// which files to collect. Shared by collectFiles and collectFilesAsync.
+function createWalk(dirPath, options) {
+  const extensions = parseExtensions(options.extension || DEFAULT_EXTENSIONS);
+  const recursive = options.recursive !== false;
+  const maxDepth = options.maxDepth === null || options.maxDepth === undefined ? Infinity : Number(options.maxDepth);
+  const includes = parseGlobs(options.include);
+  const include = includes.length > 0 ? ignore().add(includes) : null;
+  const exclude = ignore().add(ALWAYS_IGNORED).add(parseGlobs(options.exclude));
+  const useIgnoreFiles = options.ignoreFiles !== false;
+
+  return {
+    rootRules: () => useIgnoreFiles ? parentIgnoreRules(dirPath) : [],
+
+    // The rule stack for a folder's contents: its parents' rules plus its own
+    rulesFor(dir, ruleStack) {
+      const ownRules = useIgnoreFiles ? readIgnoreRules(dir) : null;
+      return ownRules ? ruleStack.concat(ownRules) : ruleStack;
+    },
+
+    acceptsDirectory(itemPath, depth, rules) {
+      const relativePath = toPosix(path.relative(dirPath, itemPath));
+      return recursive && depth < maxDepth &&
+        !exclude.ignores(`${relativePath}/`) && !isIgnored(itemPath, true, rules);
+    },
+
+    acceptsFile(itemPath, rules) {
+      const relativePath = toPosix(path.relative(dirPath, itemPath));
+      return hasExtension(path.basename(itemPath), extensions) &&
+        (!include || include.ignores(relativePath)) &&
+        !exclude.ignores(relativePath) && !isIgnored(itemPath, false, rules);
+    }
+  };
+}
+
+// Function to recursively collect content files below a directory.
+// Options: extension, recursive, maxDepth (directory levels below dirPath to
+// descend into; 0 means dirPath only), include, exclude and ignoreFiles.
+// Unreadable directories are reported through `errors` instead of aborting the walk.
+// Files come back in path order, folder by folder, whatever order the file
+// system lists them in.
+function collectFiles(dirPath, options = {}, errors = []) {
+  const walker = createWalk(dirPath, options);
+  const files = [];
+
+  function walk(dir, depth, ruleStack) {
+    let items;
+    try {
+      items = fs.readdirSync(dir).sort();
+    } catch (error) {
+      errors.push({ path: dir, message: error.message });
+      return;
+    }
+
+    const rules = walker.rulesFor(dir, ruleStack);
+
+    for (const item of items) {
+      const itemPath = path.join(dir, item);
+      let stats;
+      try {
+        stats = fs.statSync(itemPath);
+      } catch (error) {
+        errors.push({ path: itemPath, message: error.message });
+        continue;
+      }
+
+      if (stats.isDirectory()) {
+        if (walker.acceptsDirectory(itemPath, depth, rules)) {
+          walk(itemPath, depth + 1, rules);
+        }
+      } else if (stats.isFile() && walker.acceptsFile(itemPath, rules)) {
+        files.push(itemPath);
+      }
+    }
+  }
+
+  walk(dirPath, 0, walker.rootRules());
+  return files;
+}
+
+// Function to collect the same files as collectFiles without blocking: folders
+// are listed and their entries stat'ed concurrently, and the result comes back
+// in the same order (errors too). onFound(count) is called as files are found.
+async function collectFilesAsync(dirPath, options = {}, errors = [], onFound = null) {
+  const walker = createWalk(dirPath, options);
+  let found = 0;
+
+  // Returns { files, errors } for one folder and everything below it
+  async function walk(dir, depth, ruleStack) {
+    let items;
+    try {
+      items = (await fs.promises.readdir(dir)).sort();
+    } catch (error) {
+      return { files: [], errors: [{ path: dir, message: error.message }] };
+    }
+
+    const rules = walker.rulesFor(dir, ruleStack);
+
+    const entries = await Promise.all(items.map(async item => {
+      const itemPath = path.join(dir, item);
+      let stats;
+      try {
+        stats = await fs.promises.stat(itemPath);
+      } catch (error) {
+        return { files: [], errors: [{ path: itemPath, message: error.message }] };
+      }
+
+      if (stats.isDirectory() && walker.acceptsDirectory(itemPath, depth, rules)) {
+        return walk(itemPath, depth + 1, rules);
+      }
+      if (stats.isFile() && walker.acceptsFile(itemPath, rules)) {
+        found++;
+        if (onFound) onFound(found);
+        return { files: [itemPath], errors: [] };
+      }
+      return { files: [], errors: [] };
+    }));
+
+    return {
+      files: entries.flatMap(entry => entry.files),
+      errors: entries.flatMap(entry => entry.errors)
+    };
+  }
+
+  const result = await walk(dirPath, 0, walker.rootRules());
+  errors.push(...result.errors);
+  return result.files;
+}
+
+// Function to build a check that tells, for a single path, whether a
+// collectFiles walk of dirPath would return it, or descend into it when
+// isDirectory is set (for watch mode, which hears about one path at a time).
+// Ignore files are read again on every call, so edits to them apply straight away.
+function createFileFilter(dirPath, options = {}) {
+  const walker = createWalk(dirPath, options);
+  const rootRules = walker.rootRules();
+
+  return (itemPath, isDirectory = false) => {
+    const relative = path.relative(dirPath, itemPath);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      return false;
+    }
+    if (!relative) {
+      return isDirectory;
+    }
+
+    const parts = relative.split(path.sep);
+    let dir = dirPath;
+    let rules = walker.rulesFor(dirPath, rootRules);
+
+    for (let depth = 0; depth < parts.length - 1; depth++) {
+      dir = path.join(dir, parts[depth]);
+      if (!walker.acceptsDirectory(dir, depth, rules)) {
+        return false;
+      }
+      rules = walker.rulesFor(dir, rules);
+    }
+
+    return isDirectory
+      ? walker.acceptsDirectory(itemPath, parts.length - 1, rules)
+      : walker.acceptsFile(itemPath, rules);
+  };
+}
+
+module.exports = {
+  IGNORE_FILES,
+  parseExtensions,
+  parseGlobs,
+  hasExtension,
+  collectFiles,
+  collectFilesAsync,
+  createFileFilter
+};
@@ -0,0 +1,623 @@
+const matter = require('gray-matter');
+const YAML = require('yaml');
+const TOML = require('smol-toml');
+const { parsePath, formatPath } = require('./field-path');
+
+// Reading and writing frontmatter blocks.
+//
+// Three formats are understood, told apart by the opening delimiter:
+//
+//   yaml  ---            (also ---json / ---toml, naming the language explicitly)
+//   toml  +++            (Hugo style)
+//   json  ;;;  or a bare { ... } object at the top of the file (Hugo style)
+//
+// Writes are format-preserving: instead of re-emitting the whole YAML block with
+// matter.stringify, updateFrontmatter compares the original and updated data and
+// splices new text in for the keys that changed only. Comments, key order, quoting
+// and untouched values stay byte-identical. TOML and JSON blocks are re-rendered
+// in their own format, and only the block is replaced, so the body is never
+// touched. Files without a block get a freshly generated one.
+
+const FRONTMATTER_FORMATS = ['yaml', 'toml', 'json'];
+
+// Opening delimiters and the format they imply
+const DELIMITERS = { '---': 'yaml', '+++': 'toml', ';;;': 'json' };
+
+// Placeholder key used when rendering a single entry
+const ENTRY_KEY = 'x';
+
+// Options for writing YAML. Dates at midnight UTC are written as plain dates;
+// other Dates keep their `Z`, since a timestamp without one reads as local time
+// to --mode coerce (see findLocalTimes).
+const YAML_WRITE_OPTIONS = {
+  version: '1.1',
+  customTags: tags => tags.map(tag => (tag.tag === 'tag:yaml.org,2002:timestamp'
+    ? { ...tag, stringify: ({ value }) => value.toISOString().replace(/T00:00:00\.000Z$/, '').replace(/\.000Z$/, 'Z') }
+    : tag))
+};
+
+// Function to parse a file's frontmatter. Passing options keeps gray-matter from
+// returning its cached (and possibly already mutated) data object for files with
+// identical content. The result has gray-matter's { data, content } plus the
+// block's `format` (null when the file has no frontmatter). `formats` limits the
+// blocks that are recognized (see locateFrontmatter).
+function parseFrontmatter(fileContent, options = {}) {
+  const block = locateFrontmatter(fileContent, options.formats);
+
+  if (!block || !FRONTMATTER_FORMATS.includes(block.language) ||
+      (block.delimiter === '---' && block.language === 'yaml')) {
+    const file = matter(fileContent, {});
+    file.format = block ? block.language : null;
+    return file;
+  }
+
+  return {
+    data: parseBlock(fileContent.slice(block.start, block.end), block.language),
+    content: fileContent.slice(block.blockEnd),
+    format: block.language
+  };
+}
+
+// Function to parse the text inside a TOML or JSON block
+function parseBlock(text, format) {
+  if (format === 'toml') {
+    return fromToml(TOML.parse(text));
+  }
+  const data = text.trim() ? JSON.parse(text) : {};
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('JSON frontmatter must be an object');
+  }
+  return data;
+}
+
+// Function to turn smol-toml's values into the ones the YAML reader produces:
+// plain Dates and plain objects
+function fromToml(value) {
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Array.isArray(value)) return value.map(fromToml);
+  if (value !== null && typeof value === 'object') {
+    const object = {};
+    Object.keys(value).forEach(key => {
+      object[key] = fromToml(value[key]);
+    });
+    return object;
+  }
+  return value;
+}
+
+// YAML 1.1 timestamps with a time and no offset, which js-yaml reads as UTC
+const LOCAL_TIMESTAMP = /^\d{4}-\d{1,2}-\d{1,2}(?:[Tt]|[ \t]+)\d{1,2}:\d{2}:\d{2}(?:\.\d*)?$/;
+
+// Function to find the date-times a frontmatter block writes without an offset.
+// The readers turn them into Dates as if they were UTC, so their text is the
+// only record of the wall-clock time. Returns { path: text }, e.g.
+// { lastmod: '2024-03-10T23:30:00', 'events[0].start': '2024-03-10 09:00:00' }.
+function findLocalTimes(fileContent, options = {}) {
+  const block = locateFrontmatter(fileContent, options.formats);
+  const times = {};
+  if (!block) return times;
+
+  const text = fileContent.slice(block.start, block.end);
+  try {
+    if (block.language === 'yaml') {
+      const doc = YAML.parseDocument(text);
+      if (doc.errors.length === 0) collectYamlTimes(doc.contents, [], times);
+    } else if (block.language === 'toml') {
+      collectTomlTimes(TOML.parse(text), [], times);
+    }
+  } catch (error) {
+    // A block that cannot be parsed has no dates to read
+  }
+  return times;
+}
+
+// Function to collect the plain YAML scalars that are local timestamps
+function collectYamlTimes(node, segments, times) {
+  if (YAML.isMap(node)) {
+    node.items.forEach(pair => {
+      const key = YAML.isScalar(pair.key) ? pair.key.value : pair.key;
+      if (typeof key === 'string' || typeof key === 'number') {
+        collectYamlTimes(pair.value, [...segments, String(key)], times);
+      }
+    });
+  } else if (YAML.isSeq(node)) {
+    node.items.forEach((item, index) => collectYamlTimes(item, [...segments, index], times));
+  } else if (YAML.isScalar(node) && node.type === 'PLAIN' && LOCAL_TIMESTAMP.test(String(node.source))) {
+    times[formatPath(segments)] = node.source;
+  }
+}
+
+// Function to collect TOML local date-times (a time, but no offset)
+function collectTomlTimes(value, segments, times) {
+  if (value instanceof TOML.TomlDate) {
+    if (value.isLocal() && !value.isDate() && !value.isTime()) {
+      times[formatPath(segments)] = value.toISOString();
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach((item, index) => collectTomlTimes(item, [...segments, index], times));
+  } else if (value !== null && typeof value === 'object') {
+    Object.keys(value).forEach(key => collectTomlTimes(value[key], [...segments, key], times));
+  }
+}
+
+// Function to prepare data for a block. Dates at midnight UTC (how YAML reads
+// `2024-01-31`) are written as plain dates, and values TOML cannot hold (null)
+// are dropped from TOML maps. YAML keeps its Dates (see YAML_WRITE_OPTIONS).
+function toBlockValue(value, format) {
+  if (value instanceof Date) {
+    if (format === 'yaml') return value;
+    const iso = value.toISOString();
+    const plainDate = iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : null;
+    if (format === 'toml') return plainDate ? new TOML.TomlDate(plainDate) : value;
+    return plainDate || iso;
+  }
+  if (Array.isArray(value)) return value.map(item => toBlockValue(item, format));
+  if (value !== null && typeof value === 'object') {
+    const object = {};
+    Object.keys(value).forEach(key => {
+      if (value[key] === undefined || (format === 'toml' && value[key] === null)) return;
+      object[key] = toBlockValue(value[key], format);
+    });
+    return object;
+  }
+  return value;
+}
+
+// Function to render data as the text of a block in the given format, without
+// delimiters or a trailing line break
+function serializeData(data, format) {
+  if (format === 'toml') {
+    return TOML.stringify(toBlockValue(data, 'toml')).trim();
+  }
+  if (format === 'json') {
+    return JSON.stringify(toBlockValue(data, 'json'), null, 2);
+  }
+  if (Object.keys(data).length === 0) {
+    return '';
+  }
+  // Rendered like the patcher renders entries (see renderEntry)
+  return new YAML.Document(toBlockValue(data, 'yaml'), YAML_WRITE_OPTIONS)
+    .toString({ lineWidth: 0, flowCollectionPadding: false })
+    .trimEnd();
+}
+
+// Function to render a complete block (delimiters included) in the canonical
+// style of a format: ---, +++ or a bare JSON object
+function renderBlock(data, format, eol = '\n') {
+  const text = serializeData(data, format);
+
+  if (format === 'json') {
+    return text.replace(/\n/g, eol) + eol;
+  }
+
+  const delimiter = format === 'toml' ? '+++' : '---';
+  return [delimiter, ...(text ? [text] : []), delimiter].join('\n').replace(/\n/g, eol) + eol;
+}
+
+// Function to serialize frontmatter from scratch (files that have no block yet)
+function stringifyFrontmatter(content, data, outputFormat) {
+  if (outputFormat === 'toml' || outputFormat === 'json') {
+    return renderBlock(data, outputFormat) + (content.endsWith('\n') ? content : `${content}\n`);
+  }
+
+  return matter.stringify(content, data);
+}
+
+// Function to find the frontmatter block at the top of a file. Returns null when
+// the file has none, or
+//   { language, delimiter, offset, start, end, blockEnd }
+// where start..end is the text inside the delimiters, offset..blockEnd the whole
+// block including its closing line break, and delimiter is null for bare JSON.
+// Only +++, ;;; and bare JSON blocks whose format is listed in `formats` count;
+// in MDX, say, a leading { is a JSX expression rather than JSON frontmatter.
+function locateFrontmatter(fileContent, formats = FRONTMATTER_FORMATS) {
+  const offset = fileContent.charCodeAt(0) === 0xFEFF ? 1 : 0;
+  const delimiter = fileContent.slice(offset, offset + 3);
+
+  if (fileContent.charAt(offset) === '{') {
+    return formats.includes('json') ? locateJsonObject(fileContent, offset) : null;
+  }
+
+  if (!DELIMITERS[delimiter] || fileContent.charAt(offset + 3) === delimiter.charAt(0) ||
+      (delimiter !== '---' && !formats.includes(DELIMITERS[delimiter]))) {
+    return null;
+  }
+
+  const openEnd = fileContent.indexOf('\n', offset);
+  if (openEnd === -1) {
+    return null;
+  }
+
+  const closeIndex = fileContent.indexOf(`\n${delimiter}`, openEnd - 1);
+  if (closeIndex === -1) {
+    return null;
+  }
+
+  return {
+    language: fileContent.slice(offset + 3, openEnd).trim() || DELIMITERS[delimiter],
+    delimiter,
+    offset,
+    start: openEnd + 1,
+    end: Math.max(openEnd + 1, closeIndex + 1),
+    blockEnd: skipLineBreak(fileContent, closeIndex + 1 + delimiter.length)
+  };
+}
+
+// Function to step over one line break (\n or \r\n) at index, if there is one
+function skipLineBreak(text, index) {
+  if (text.charAt(index) === '\r' && text.charAt(index + 1) === '\n') return index + 2;
+  if (text.charAt(index) === '\n') return index + 1;
+  return index;
+}
+
+// Function to find a bare JSON object opening the file: the first line must be
+// just "{", and the object runs to its matching brace
+function locateJsonObject(fileContent, offset) {
+  const firstLineEnd = fileContent.indexOf('\n', offset);
+  if (fileContent.slice(offset, firstLineEnd === -1 ? fileContent.length : firstLineEnd).trim() !== '{') {
+    return null;
+  }
+
+  let depth = 0;
+  let inString = false;
+
+  for (let i = offset; i < fileContent.length; i++) {
+    const char = fileContent[i];
+
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}' && --depth === 0) {
+      return {
+        language: 'json',
+        delimiter: null,
+        offset,
+        start: offset,
+        end: i + 1,
+        blockEnd: skipLineBreak(fileContent, i + 1)
+      };
+    }
+  }
+
+  return null;
+}
+
+// Function to check whether a block is already written the canonical way for a format
+function isCanonical(block, format) {
+  if (block.language !== format) return false;
+  if (format === 'json') return block.delimiter === null;
+  return block.delimiter === (format === 'toml' ? '+++' : '---');
+}
+
+// Function to compare frontmatter values (Dates by time, objects by content)
+function isEqual(a, b) {
+  if (a instanceof Date || b instanceof Date) {
+    return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+  }
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) &&
+      a.length === b.length && a.every((item, index) => isEqual(item, b[index]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length &&
+      keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key]));
+  }
+  return a === b;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+function hasKey(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key) && object[key] !== undefined;
+}
+
+// Function to pick up the indentation conventions of the original YAML
+function detectStyle(source) {
+  const indents = source
+    .split('\n')
+    .map(line => /^( +)[^\s#-]/.exec(line))
+    .filter(Boolean)
+    .map(match => match[1].length);
+  const seq = /^( *)[^\s#-][^\n]*:[ \t]*\r?\n( *)- /m.exec(source);
+
+  return {
+    eol: source.includes('\r\n') ? '\r\n' : '\n',
+    indent: indents.length > 0 ? Math.min(8, Math.min(...indents)) : 2,
+    indentSeq: seq ? seq[2].length > seq[1].length : true
+  };
+}
+
+// Function to render "key: value" for a single entry, keeping the old node's
+// flow/block and quoting style where the new value allows it
+function renderEntry(keyText, value, indentText, oldNode, style, inlineComment) {
+  const doc = new YAML.Document({ [ENTRY_KEY]: value }, YAML_WRITE_OPTIONS);
+  const node = doc.contents.items[0].value;
+
+  if (oldNode && YAML.isCollection(oldNode) && YAML.isCollection(node) && oldNode.flow) {
+    node.flow = true;
+  }
+  if (oldNode && YAML.isScalar(oldNode) && YAML.isScalar(node) &&
+      typeof oldNode.value === 'string' && typeof node.value === 'string' && oldNode.type) {
+    node.type = oldNode.type;
+  }
+
+  // Folded strings (>) are re-folded; everything else stays on one line
+  const text = doc.toString({
+    lineWidth: node.type === 'BLOCK_FOLDED' ? 80 : 0,
+    indent: style.indent,
+    indentSeq: style.indentSeq,
+    flowCollectionPadding: false
+  });
+  const lines = (keyText + text.slice(ENTRY_KEY.length)).replace(/\n$/, '').split('\n');
+
+  if (inlineComment && lines.length === 1) {
+    lines[0] += inlineComment;
+  }
+
+  return lines
+    .map((line, index) => (index === 0 || line ? indentText + line : line))
+    .join(style.eol) + style.eol;
+}
+
+// Function to render a key the way YAML would write it (quoted only if needed)
+function renderKey(key) {
+  return YAML.stringify(key, YAML_WRITE_OPTIONS).trim();
+}
+
+// Function to work out the text span occupied by one map entry:
+// from the start of its key's line to the end of its value, excluding trailing
+// blank or comment lines that belong to whatever comes next
+function entrySpan(source, pair) {
+  const keyStart = pair.key.range[0];
+  const lineStart = source.lastIndexOf('\n', keyStart - 1) + 1;
+  const indentText = source.slice(lineStart, keyStart);
+  const valueEnd = pair.value ? pair.value.range[1] : pair.key.range[1];
+
+  let end;
+  if (source.charAt(valueEnd - 1) === '\n') {
+    end = valueEnd;
+  } else {
+    const newline = source.indexOf('\n', valueEnd);
+    end = newline === -1 ? source.length : newline + 1;
+  }
+
+  while (end > lineStart) {
+    const previousLineStart = source.lastIndexOf('\n', end - 2) + 1;
+    if (previousLineStart <= lineStart) break;
+
+    const line = source.slice(previousLineStart, end);
+    const comment = /^(\s*)#/.exec(line);
+    if (/^\s*$/.test(line) || (comment && comment[1].length <= indentText.length)) {
+      end = previousLineStart;
+    } else {
+      break;
+    }
+  }
+
+  const lineEnd = source.indexOf('\n', valueEnd);
+  const rest = source.slice(valueEnd, lineEnd === -1 ? source.length : lineEnd).replace(/\r$/, '');
+
+  return {
+    lineStart,
+    end,
+    indentText,
+    keyText: source.slice(pair.key.range[0], pair.key.range[1]),
+    inlineComment: /^[ \t]+#/.test(rest) ? rest : ''
+  };
+}
+
+// Function to find the new key for a key renamed within the same parent map
+function renamedKey(renames, basePath, key) {
+  const sameParent = segments => segments.length === basePath.length + 1 &&
+    basePath.every((segment, index) => String(segment) === String(segments[index]));
+  const rename = renames.find(({ from, to }) =>
+    sameParent(from) && sameParent(to) && String(from[from.length - 1]) === key);
+
+  return rename ? String(rename.to[rename.to.length - 1]) : null;
+}
+
+// Function to collect the text edits turning oldObject into newObject for one block map
+function patchMap(source, map, oldObject, newObject, style, renames, basePath, edits) {
+  const seen = new Set();
+  let lastSpan = null;
+  let indentText = null;
+
+  for (const pair of map.items) {
+    if (!YAML.isScalar(pair.key)) {
+      return false;
+    }
+
+    const key = String(pair.key.value);
+    const span = entrySpan(source, pair);
+
+    if (/\S/.test(span.indentText) || (indentText !== null && span.indentText !== indentText)) {
+      return false;
+    }
+
+    indentText = span.indentText;
+    lastSpan = span;
+    seen.add(key);
+
+    const newKey = renamedKey(renames, basePath, key);
+    if (newKey && !hasKey(newObject, key) && hasKey(newObject, newKey)) {
+      seen.add(newKey);
+
+      if (isEqual(oldObject[key], newObject[newKey])) {
+        edits.push({ start: pair.key.range[0], end: pair.key.range[1], text: renderKey(newKey) });
+      } else {
+        edits.push({
+          start: span.lineStart,
+          end: span.end,
+          text: renderEntry(renderKey(newKey), newObject[newKey], span.indentText, pair.value, style, span.inlineComment)
+        });
+      }
+      continue;
+    }
+
+    if (!hasKey(newObject, key)) {
+      edits.push({ start: span.lineStart, end: span.end, text: '' });
+      continue;
+    }
+
+    if (isEqual(oldObject[key], newObject[key])) {
+      continue;
+    }
+
+    if (YAML.isMap(pair.value) && !pair.value.flow && pair.value.items.length > 0 &&
+        isPlainObject(oldObject[key]) && isPlainObject(newObject[key])) {
+      const editCount = edits.length;
+      if (patchMap(source, pair.value, oldObject[key], newObject[key], style, renames, basePath.concat(key), edits)) {
+        continue;
+      }
+      edits.length = editCount;
+    }
+
+    edits.push({
+      start: span.lineStart,
+      end: span.end,
+      text: renderEntry(span.keyText, newObject[key], span.indentText, pair.value, style, span.inlineComment)
+    });
+  }
+
+  const added = Object.keys(newObject).filter(key => !seen.has(key) && hasKey(newObject, key));
+  if (added.length > 0) {
+    const position = lastSpan ? lastSpan.end : source.length;
+    const prefix = position > 0 && source.charAt(position - 1) !== '\n' ? style.eol : '';
+
+    edits.push({
+      start: position,
+      end: position,
+      text: prefix + added
+        .map(key => renderEntry(renderKey(key), newObject[key], indentText || '', null, style, ''))
+        .join('')
+    });
+  }
+
+  return true;
+}
+
+// Function to apply the minimal set of edits to a YAML document.
+// Returns null when the document cannot be patched safely.
+function patchYaml(source, data, renames) {
+  // Parse with the YAML 1.2 core schema so keys like `y` or `on` stay strings, as
+  // they do for gray-matter; new values are rendered with the 1.1 schema so that
+  // strings which js-yaml would read back as dates or booleans get quoted
+  const doc = YAML.parseDocument(source);
+  if (doc.errors.length > 0) {
+    return null;
+  }
+
+  const contents = doc.contents;
+  const isEmpty = contents === null || (YAML.isScalar(contents) && contents.value === null);
+  if (!isEmpty && (!YAML.isMap(contents) || contents.flow)) {
+    return null;
+  }
+
+  const oldData = matter.engines.yaml.parse(source) || {};
+  const style = detectStyle(source);
+  const edits = [];
+
+  const renameList = Object.keys(renames || {}).map(from => ({
+    from: parsePath(from),
+    to: parsePath(renames[from])
+  }));
+
+  if (!patchMap(source, isEmpty ? { items: [] } : contents, oldData, data, style, renameList, [], edits)) {
+    return null;
+  }
+
+  return edits
+    .sort((a, b) => b.start - a.start)
+    .reduce((text, edit) => text.slice(0, edit.start) + edit.text + text.slice(edit.end), source);
+}
+
+// Function to pick the line break used inside a block
+function blockEol(fileContent, block) {
+  return fileContent.slice(block.offset, block.blockEnd).includes('\r\n') ? '\r\n' : '\n';
+}
+
+// Function to write updated frontmatter data back into a file's original text.
+// `renames` ({ oldPath: newPath }) lets keys renamed within the same parent
+// object keep their position. `outputFormat` (yaml, toml or json) rewrites the
+// block in that format; by default each file keeps the format it has.
+// `formats` lists the formats the file type can hold.
+function updateFrontmatter(fileContent, data, options = {}) {
+  const formats = options.formats || FRONTMATTER_FORMATS;
+  const block = locateFrontmatter(fileContent, formats);
+  const known = block && FRONTMATTER_FORMATS.includes(block.language);
+  const format = options.outputFormat || (known ? block.language : 'yaml');
+
+  checkFormat(format, formats);
+
+  if (known && block.language === format) {
+    const source = fileContent.slice(block.start, block.end);
+
+    if (format === 'yaml') {
+      const patched = patchYaml(source, data, options.renames);
+
+      if (patched !== null) {
+        return fileContent.slice(0, block.start) + patched + fileContent.slice(block.end);
+      }
+    }
+
+    // Keep the original delimiters (;;; or ---json, say) and re-render what is between them
+    const eol = blockEol(fileContent, block);
+    const text = serializeData(data, format).replace(/\n/g, eol);
+    const inner = block.delimiter && text ? text + eol : text;
+    return fileContent.slice(0, block.start) + inner + fileContent.slice(block.end);
+  }
+
+  if (known) {
+    return fileContent.slice(0, block.offset) +
+      renderBlock(data, format, blockEol(fileContent, block)) +
+      fileContent.slice(block.blockEnd);
+  }
+
+  const { content } = parseFrontmatter(fileContent, options);
+  return stringifyFrontmatter(content, data, format);
+}
+
+// Function to refuse writing a format the file type cannot hold
+function checkFormat(format, formats) {
+  if (!formats.includes(format)) {
+    throw new Error(`Cannot write ${format} frontmatter to this file type (supported: ${formats.join(', ')})`);
+  }
+}
+
+// Function to rewrite a file's frontmatter block in another format, in that
+// format's canonical style. The body after the block is kept byte for byte.
+// Files without a block, and blocks already in the target style, are returned
+// unchanged.
+function convertFrontmatter(fileContent, format, options = {}) {
+  const formats = options.formats || FRONTMATTER_FORMATS;
+  const block = locateFrontmatter(fileContent, formats);
+
+  if (!block || !FRONTMATTER_FORMATS.includes(block.language) || isCanonical(block, format)) {
+    return fileContent;
+  }
+
+  checkFormat(format, formats);
+  const { data } = parseFrontmatter(fileContent, options);
+  return fileContent.slice(0, block.offset) +
+    renderBlock(data, format, blockEol(fileContent, block)) +
+    fileContent.slice(block.blockEnd);
+}
+
+module.exports = {
+  FRONTMATTER_FORMATS,
+  parseFrontmatter,
+  stringifyFrontmatter,
+  locateFrontmatter,
+  findLocalTimes,
+  updateFrontmatter,
+  convertFrontmatter,
+  isCanonical,
+  isEqual
+};
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const { formatPath, getPath, setPath, expandPath } = require('./field-path');
+const { collectStrings } = require('./replace');
+
+// Image references in frontmatter for `frontmatter-editor.js images`.
+//
+// A string value is an image reference when it ends in an image extension
+// (`/uploads/hero.jpg`, `cover.webp?v=2`), or when its field name says it is an
+// image (`image`, `ogImage`, `heroImage`, `images[0].src`, `thumbnail`, ...) and
+// the value looks like a path or URL. Only the value's own key counts, or the
+// key above a generic one like `src` or `url`, so `images[0].alt` is text.
+//
+// Local references are checked against the disk:
+//   /uploads/a.png   root-relative, looked up in each static root in turn
+//   ./a.png, a.png   relative to the file that references it
+// Remote references (https://..., //cdn..., data:) are never checked.
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.avif', '.svg', '.bmp', '.ico', '.tif', '.tiff', '.heic'];
+const IMAGE_KEY_PATTERN = /image|img|thumbnail|thumb|cover|banner|avatar|logo|photo|picture|icon|poster|hero|screenshot/i;
+const REMOTE_PATTERN = /^(?:[a-z][a-z0-9+.-]*:|\/\/)/i;
+const GENERIC_KEYS = ['src', 'url', 'href', 'path', 'file'];
+
+// Function to drop a reference's query string and fragment
+function stripQuery(ref) {
+  return ref.replace(/[?#].*$/, '');
+}
+
+function isRemote(ref) {
+  return REMOTE_PATTERN.test(ref);
+}
+
+// Function to check whether a value, found at the given path, refers to an image
+function isImageRef(value, segments) {
+  const ref = value.trim();
+  if (!ref) return false;
+  if (/^data:image\//i.test(ref)) return true;
+
+  const extension = path.extname(stripQuery(ref)).toLowerCase();
+  if (IMAGE_EXTENSIONS.includes(extension)) return true;
+
+  return namesImage(segments) && !/\s/.test(ref) && (ref.includes('/') || ref.includes('.'));
+}
+
+// Function to check whether the key a value sits under names an image. Array
+// indexes are skipped, and generic keys defer to the key above them.
+function namesImage(segments) {
+  const keys = segments.filter(segment => typeof segment === 'string');
+
+  for (let i = keys.length - 1; i >= 0; i--) {
+    if (IMAGE_KEY_PATTERN.test(keys[i])) return true;
+    if (!GENERIC_KEYS.includes(keys[i].toLowerCase())) return false;
+  }
+  return false;
+}
+
+// Function to list the image references in a file's frontmatter as
+// [{ field, segments, value, remote }]. `fields` limits the search to the
+// given paths (which may use *).
+function findImages(data, fields) {
+  const roots = fields && fields.length > 0
+    ? fields.flatMap(field => expandPath(data, field))
+    : [[]];
+  const seen = new Set();
+  const images = [];
+
+  roots.forEach(root => {
+    const value = root.length > 0 ? getPath(data, root) : data;
+
+    collectStrings(value, root, []).forEach(([segments, text]) => {
+      const field = formatPath(segments);
+      if (seen.has(field) || !isImageRef(text, segments)) return;
+      seen.add(field);
+      images.push({ field, segments, value: text, remote: isRemote(text.trim()) });
+    });
+  });
+
+  return images;
+}
+
+// Function to work out where a local reference points on disk. Returns the
+// candidate paths in lookup order; the reference resolves when one exists.
+function candidatePaths(ref, filePath, roots) {
+  let local = stripQuery(ref.trim());
+  try {
+    local = decodeURI(local);
+  } catch (error) {
+    // Keep malformed %-escapes as they are
+  }
+
+  if (local.startsWith('/')) {
+    return roots.map(root => path.join(root, local));
+  }
+  return [path.resolve(path.dirname(filePath), local)];
+}
+
+// Function to check the local image references of a file. Returns one
+// { field, value, message } per reference that does not resolve to a file.
+function checkImages(images, filePath, roots) {
+  return images
+    .filter(image => !image.remote)
+    .filter(image => !candidatePaths(image.value, filePath, roots).some(candidate => {
+      try {
+        return fs.statSync(candidate).isFile();
+      } catch (error) {
+        return false;
+      }
+    }))
+    .map(image => ({
+      field: image.field,
+      value: image.value,
+      message: `not found: ${image.value}`
+    }));
+}
+
+// Function to compute the rewritten form of one reference.
+// Options: toAbsolute (turn file-relative paths into root-relative ones, using
+// the first static root as the site root), from/to (swap a leading prefix).
+function rewriteRef(ref, filePath, options) {
+  let result = ref;
+
+  if (options.toAbsolute && !isRemote(result) && !result.startsWith('/')) {
+    const root = path.resolve(options.roots[0]);
+    const target = path.resolve(path.dirname(filePath), result);
+    const relative = path.relative(root, target);
+
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new Error(`${ref} is outside ${options.roots[0]}`);
+    }
+    result = `/${relative.split(path.sep).join('/')}`;
+  }
+
+  if (options.from !== undefined && options.from !== null && result.startsWith(options.from)) {
+    result = (options.to || '') + result.slice(options.from.length);
+  }
+
+  return result;
+}
+
+// Function to rewrite the image references of a file in place. Returns one
+// change per reference that changed: { type: 'rewrite-image', field, oldValue, value }.
+function rewriteImages(data, images, filePath, options) {
+  const changes = [];
+
+  images.forEach(image => {
+    const value = rewriteRef(image.value, filePath, options);
+    if (value !== image.value) {
+      setPath(data, image.segments, value);
+      changes.push({ type: 'rewrite-image', field: image.field, oldValue: image.value, value });
+    }
+  });
+
+  return changes;
+}
+
+module.exports = {
+  IMAGE_EXTENSIONS,
+  isImageRef,
+  findImages,
+  checkImages,
+  rewriteRef,
+  rewriteImages
+};
@@ -0,0 +1,264 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { hashContent, writeFileAtomic } = require('./writer');
+
+// Run journals for undo.
+//
+// Every run that writes files records the original content of each file before
+// it is overwritten. Journals are newline-delimited JSON files under
+// <stateDir>/history/<run-id>.ndjson: a header line describing the run, one line
+// per written file (or renamed file), and an "undone" line once the run has
+// been reverted.
+// Entries are appended before each write, so a run that crashes half way can
+// still be undone.
+
+const DEFAULT_STATE_DIR = '.frontmatter';
+const DEFAULT_HISTORY_LIMIT = 50;
+
+function historyDir(stateDir) {
+  return path.join(stateDir || DEFAULT_STATE_DIR, 'history');
+}
+
+// Function to build a sortable run id such as 20241005-142233-1a2b
+function createRunId(now = new Date()) {
+  const pad = value => String(value).padStart(2, '0');
+  const date = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}`;
+  const time = `${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+  return `${date}-${time}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+// Function to start a journal for a run. The file is only created once the
+// first write is recorded, so runs that change nothing leave no history behind.
+function createJournal(options = {}) {
+  const dir = historyDir(options.stateDir);
+  const id = createRunId();
+  const file = path.join(dir, `${id}.ndjson`);
+  let count = 0;
+
+  function start() {
+    if (count === 0) {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(file, JSON.stringify({
+        type: 'run',
+        id,
+        tool: options.tool || null,
+        command: options.command || null,
+        undoes: options.undoes || null,
+        cwd: process.cwd(),
+        startedAt: new Date().toISOString()
+      }) + '\n', 'utf8');
+      pruneHistory(options.stateDir, options.historyLimit || DEFAULT_HISTORY_LIMIT, id);
+    }
+    count++;
+  }
+
+  function record(filePath, originalContent, newContent) {
+    start();
+    fs.appendFileSync(file, JSON.stringify({
+      type: 'file',
+      path: path.resolve(filePath),
+      original: originalContent,
+      originalHash: hashContent(originalContent),
+      newHash: hashContent(newContent)
+    }) + '\n', 'utf8');
+  }
+
+  // Function to note a file about to be moved from one path to another
+  function recordRename(fromPath, toPath) {
+    start();
+    fs.appendFileSync(file, JSON.stringify({
+      type: 'rename',
+      from: path.resolve(fromPath),
+      to: path.resolve(toPath)
+    }) + '\n', 'utf8');
+  }
+
+  return {
+    id,
+    file,
+    record,
+    recordRename,
+    count: () => count
+  };
+}
+
+// Function to read a journal into { id, header, files, renames, undone }
+function readRun(stateDir, id) {
+  const file = path.join(historyDir(stateDir), `${id}.ndjson`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No run with id ${id} in ${historyDir(stateDir)}`);
+  }
+
+  const run = { id, header: null, files: [], renames: [], undone: null };
+
+  fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).forEach(line => {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      // A run interrupted mid-append can leave a partial last line
+      return;
+    }
+
+    if (entry.type === 'run') run.header = entry;
+    else if (entry.type === 'file') run.files.push(entry);
+    else if (entry.type === 'rename') run.renames.push(entry);
+    else if (entry.type === 'undone') run.undone = entry;
+  });
+
+  return run;
+}
+
+// Function to list recorded runs, newest first
+function listRuns(stateDir) {
+  const dir = historyDir(stateDir);
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .filter(name => name.endsWith('.ndjson'))
+    .map(name => {
+      const id = name.slice(0, -'.ndjson'.length);
+      const run = readRun(stateDir, id);
+      return {
+        id,
+        tool: run.header ? run.header.tool : null,
+        command: run.header ? run.header.command : null,
+        startedAt: run.header ? run.header.startedAt : null,
+        undoes: run.header ? run.header.undoes || null : null,
+        files: new Set(run.files.map(file => file.path)).size + run.renames.length,
+        undone: run.undone ? run.undone.at : null
+      };
+    })
+    // Run ids only have second precision, so order by the recorded start time
+    .sort((a, b) => (b.startedAt || '').localeCompare(a.startedAt || '') || b.id.localeCompare(a.id));
+}
+
+// Function to drop the oldest journals beyond the history limit
+function pruneHistory(stateDir, limit, keepId) {
+  const dir = historyDir(stateDir);
+  const ids = fs.readdirSync(dir)
+    .filter(name => name.endsWith('.ndjson'))
+    .map(name => name.slice(0, -'.ndjson'.length))
+    .filter(id => id !== keepId)
+    .sort();
+
+  ids.slice(0, Math.max(0, ids.length - (limit - 1))).forEach(id => {
+    fs.unlinkSync(path.join(dir, `${id}.ndjson`));
+  });
+}
+
+// Function to find the run a plain `undo` reverts: the latest run that is
+// neither undone nor itself an undo, so repeated undos walk back through the history
+function latestRunId(stateDir) {
+  const latest = listRuns(stateDir).find(run => !run.undone && !run.undoes);
+  if (!latest) {
+    throw new Error('Nothing to undo: no runs left that have not been undone');
+  }
+  return latest.id;
+}
+
+// Function to restore the files written by a run (the latest one when no id is given). Files changed since the run are reported as conflicts
+// and left alone unless `force` is set. The restore itself is journaled through
+// `options.journal`, so an undo can be undone too.
+function undoRun(stateDir, id, options = {}) {
+  id = id || latestRunId(stateDir);
+
+  const run = readRun(stateDir, id);
+  if (run.undone && !options.force) {
+    throw new Error(`Run ${id} was already undone at ${run.undone.at}`);
+  }
+
+  // A file written more than once in a run goes back to its first recorded
+  // content, and must currently match its last recorded write
+  const byPath = new Map();
+  run.files.forEach(entry => {
+    const existing = byPath.get(entry.path);
+    byPath.set(entry.path, existing ? { ...existing, newHash: entry.newHash } : entry);
+  });
+
+  const result = { id, restored: [], conflicts: [], errors: [] };
+
+  byPath.forEach(entry => {
+    try {
+      if (!fs.existsSync(entry.path)) {
+        if (!options.force) {
+          result.conflicts.push({ path: entry.path, reason: 'deleted since the run' });
+          return;
+        }
+      } else {
+        const current = fs.readFileSync(entry.path, 'utf8');
+        if (current === entry.original) {
+          return;
+        }
+        if (hashContent(current) !== entry.newHash && !options.force) {
+          result.conflicts.push({ path: entry.path, reason: 'modified since the run' });
+          return;
+        }
+        if (!options.dryRun && options.journal) {
+          options.journal.record(entry.path, current, entry.original);
+        }
+      }
+
+      if (!options.dryRun) {
+        writeFileAtomic(entry.path, entry.original);
+      }
+      result.restored.push(entry.path);
+    } catch (error) {
+      result.errors.push({ path: entry.path, message: error.message });
+    }
+  });
+
+  // Renamed files are moved back, the latest rename first
+  run.renames.slice().reverse().forEach(entry => {
+    try {
+      if (!fs.existsSync(entry.to)) {
+        result.conflicts.push({ path: entry.to, reason: 'moved or deleted since the run' });
+        return;
+      }
+      if (fs.existsSync(entry.from) && !sameFile(entry.from, entry.to)) {
+        result.conflicts.push({ path: entry.from, reason: 'another file has taken its name since the run' });
+        return;
+      }
+      if (!options.dryRun) {
+        if (options.journal) {
+          options.journal.recordRename(entry.to, entry.from);
+        }
+        fs.renameSync(entry.to, entry.from);
+      }
+      result.restored.push(entry.from);
+    } catch (error) {
+      result.errors.push({ path: entry.to, message: error.message });
+    }
+  });
+
+  if (!options.dryRun && result.conflicts.length === 0 && result.errors.length === 0) {
+    fs.appendFileSync(path.join(historyDir(stateDir), `${id}.ndjson`), JSON.stringify({
+      type: 'undone',
+      at: new Date().toISOString(),
+      by: options.journal && options.journal.count() > 0 ? options.journal.id : null
+    }) + '\n', 'utf8');
+  }
+
+  return result;
+}
+
+// Function to check whether two paths are the same file (as they are on a
+// case-insensitive file system when only the case differs)
+function sameFile(a, b) {
+  const statA = fs.statSync(a);
+  const statB = fs.statSync(b);
+  return statA.ino === statB.ino && statA.dev === statB.dev;
+}
+
+module.exports = {
+  DEFAULT_STATE_DIR,
+  hashContent,
+  createJournal,
+  readRun,
+  listRuns,
+  latestRunId,
+  undoRun
+};
@@ -0,0 +1,156 @@
+// Pure frontmatter transformations shared by the CLI tools and the library API.
+// Nothing in here touches the filesystem or prints; each function mutates the
+// given data object and returns a list of the changes it made. Field names may be
+// nested paths (see field-path.js).
+
+const schema = require('./schema');
+const { getPath, hasPath, setPath, deletePath } = require('./field-path');
+
+// Function to split a delimited string into a cleaned up array
+function splitValue(value, delimiter) {
+  return value
+    .split(delimiter)
+    .map(item => item.trim())
+    .filter(item => item.length > 0);
+}
+
+// Function to apply --unique-values / --sort-arrays to an array
+function processArray(values, options) {
+  let processedArray = options.uniqueValues ? [...new Set(values)] : [...values];
+
+  if (options.sortArrays) {
+    processedArray.sort();
+  }
+
+  return processedArray;
+}
+
+// Function to convert string fields to arrays (and tidy existing arrays)
+function toArray(data, options) {
+  const changes = [];
+
+  for (const field of options.fields) {
+    const value = getPath(data, field);
+
+    if (value && typeof value === 'string') {
+      const processedArray = processArray(splitValue(value, options.delimiter), options);
+
+      setPath(data, field, processedArray);
+      changes.push({
+        type: 'convert-to-array',
+        field,
+        oldValue: value,
+        values: processedArray
+      });
+    } else if (Array.isArray(value) && (options.sortArrays || options.uniqueValues)) {
+      const processedArray = processArray(value, options);
+
+      if (JSON.stringify(value) !== JSON.stringify(processedArray)) {
+        setPath(data, field, processedArray);
+        changes.push({
+          type: 'process-array',
+          field,
+          oldValue: value,
+          values: processedArray
+        });
+      }
+    }
+  }
+
+  return changes;
+}
+
+// Function to convert array fields to delimited strings
+function toString(data, options) {
+  const changes = [];
+
+  for (const field of options.fields) {
+    const value = getPath(data, field);
+
+    if (value && Array.isArray(value)) {
+      const stringValue = value.join(options.delimiter);
+
+      setPath(data, field, stringValue);
+      changes.push({
+        type: 'convert-to-string',
+        field,
+        oldValue: value,
+        value: stringValue
+      });
+    }
+  }
+
+  return changes;
+}
+
+// Function to apply --add-field, --remove-field and --rename-field
+function applyFieldOperations(data, options) {
+  const changes = [];
+
+  if (options.addField && !getPath(data, options.addField)) {
+    const oldValue = getPath(data, options.addField);
+    setPath(data, options.addField, options.addValue);
+    changes.push({
+      type: 'add-field',
+      field: options.addField,
+      oldValue,
+      value: options.addValue
+    });
+  }
+
+  if (options.removeField && hasPath(data, options.removeField)) {
+    const oldValue = getPath(data, options.removeField);
+    deletePath(data, options.removeField);
+    changes.push({
+      type: 'remove-field',
+      field: options.removeField,
+      oldValue
+    });
+  }
+
+  if (options.renameField && options.newFieldName && hasPath(data, options.renameField)) {
+    const value = getPath(data, options.renameField);
+    deletePath(data, options.renameField);
+    setPath(data, options.newFieldName, value);
+    changes.push({
+      type: 'rename-field',
+      oldField: options.renameField,
+      newField: options.newFieldName
+    });
+  }
+
+  return changes;
+}
+
+// Function to check that the given fields are present (null/undefined count as missing)
+function validateFields(data, fields) {
+  return schema.validate(data, schema.createSchema(fields));
+}
+
+// Function to count field types for --stats
+function collectStats(data) {
+  const stats = { fields: 0, arrays: 0, strings: 0, other: 0 };
+
+  Object.keys(data).forEach(key => {
+    stats.fields++;
+    if (Array.isArray(data[key])) {
+      stats.arrays++;
+    } else if (typeof data[key] === 'string') {
+      stats.strings++;
+    } else {
+      stats.other++;
+    }
+  });
+
+  return stats;
+}
+
+module.exports = {
+  splitValue,
+  processArray,
+  toArray,
+  toString,
+  applyFieldOperations,
+  validateFields,
+  collectStats
+};
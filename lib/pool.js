@@ -0,0 +1,66 @@
+const os = require('os');
+
+// Bounded concurrency for the async directory runs.
+//
+// At most `concurrency` items are worked on at once. Results are handed to
+// onResult in input order: a file that finishes early waits for the ones
+// listed before it, so logs and reports read the same as a one-at-a-time run.
+
+// The default number of files worked on at once
+const DEFAULT_CONCURRENCY = Math.max(2, Math.min(16, os.cpus().length * 4));
+
+// Function to turn a --concurrency value into a positive whole number
+function parseConcurrency(value) {
+  if (value === null || value === undefined || value === '') {
+    return DEFAULT_CONCURRENCY;
+  }
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`Concurrency must be a whole number of 1 or more (got ${value})`);
+  }
+  return number;
+}
+
+// Function to run worker(item, index) over items with at most `concurrency`
+// running at once. onDone(result, index) is called as each one finishes and
+// onResult(result, index) in input order. Resolves to the results in input
+// order. A worker that throws rejects the whole run, so workers should catch
+// their own errors.
+async function mapInOrder(items, concurrency, worker, callbacks = {}) {
+  const results = new Array(items.length);
+  const finished = new Array(items.length).fill(false);
+  let next = 0;
+  let emitted = 0;
+
+  function emit() {
+    while (emitted < items.length && finished[emitted]) {
+      if (callbacks.onResult) callbacks.onResult(results[emitted], emitted);
+      emitted++;
+    }
+  }
+
+  async function run() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+      finished[index] = true;
+      if (callbacks.onDone) callbacks.onDone(results[index], index);
+      emit();
+    }
+  }
+
+  const runners = [];
+  for (let i = 0; i < Math.min(concurrency, items.length); i++) {
+    runners.push(run());
+  }
+  await Promise.all(runners);
+
+  return results;
+}
+
+module.exports = {
+  DEFAULT_CONCURRENCY,
+  parseConcurrency,
+  mapInOrder
+};
@@ -0,0 +1,113 @@
+// A one-line progress bar for long directory runs, drawn on stderr so it never
+// ends up in piped output or reports:
+//
+//   [#########---------------] 15,210/40,000 38%  changed 1,204  errors 3  ETA 1m 12s
+//
+// It only draws on a terminal. Output printed through log() clears the bar
+// first and redraws it afterwards, so file results and the bar do not mix.
+
+const BAR_WIDTH = 24;
+const REDRAW_INTERVAL_MS = 100;
+
+// Function to format a count with thousands separators
+function formatCount(count) {
+  return count.toLocaleString('en-US');
+}
+
+// Function to format a duration in milliseconds as 45s, 3m 20s or 1h 05m
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${String(seconds % 60).padStart(2, '0')}s`;
+
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+// Function to estimate the time left from the rate so far, or null while
+// there is too little to go on
+function estimateRemaining(state, elapsedMs) {
+  if (!state.total || state.done < 1 || elapsedMs < 500) return null;
+  return (elapsedMs / state.done) * (state.total - state.done);
+}
+
+// Function to render the progress line for a state from the API's onProgress:
+// { phase: 'scan' | 'process', found, total, done, modified, errors }
+function renderLine(state, elapsedMs) {
+  if (state.phase === 'scan') {
+    return `Scanning... ${formatCount(state.found || 0)} files found`;
+  }
+
+  const fraction = state.total > 0 ? state.done / state.total : 1;
+  const filled = Math.round(fraction * BAR_WIDTH);
+  const remaining = estimateRemaining(state, elapsedMs);
+
+  return [
+    `[${'#'.repeat(filled)}${'-'.repeat(BAR_WIDTH - filled)}]`,
+    `${formatCount(state.done)}/${formatCount(state.total)} ${Math.floor(fraction * 100)}%`,
+    ` changed ${formatCount(state.modified)}`,
+    ` errors ${formatCount(state.errors)}`,
+    remaining === null ? '' : ` ETA ${formatDuration(remaining)}`
+  ].join(' ').trimEnd();
+}
+
+// Function to create a progress bar. Options: stream (default stderr) and
+// enabled (default: when the stream is a terminal).
+function createProgress(options = {}) {
+  const stream = options.stream || process.stderr;
+  const enabled = options.enabled === undefined ? Boolean(stream.isTTY) : Boolean(options.enabled);
+  const startedAt = Date.now();
+  let state = null;
+  let shown = false;
+  let lastDraw = 0;
+
+  function clear() {
+    if (shown) {
+      stream.write('\r\x1b[2K');
+      shown = false;
+    }
+  }
+
+  function draw() {
+    if (!state) return;
+    const width = stream.columns || 80;
+    stream.write(`\r\x1b[2K${renderLine(state, Date.now() - startedAt).slice(0, width - 1)}`);
+    shown = true;
+    lastDraw = Date.now();
+  }
+
+  return {
+    enabled,
+
+    // Function to take a new state; redraws at most every 100ms
+    update(newState) {
+      state = newState;
+      if (enabled && Date.now() - lastDraw >= REDRAW_INTERVAL_MS) {
+        draw();
+      }
+    },
+
+    // Function to print something without it getting mixed into the bar
+    log(print) {
+      if (!enabled) {
+        print();
+        return;
+      }
+      clear();
+      print();
+      draw();
+    },
+
+    // Function to remove the bar once the run is over
+    done() {
+      if (enabled) clear();
+    }
+  };
+}
+
+module.exports = {
+  formatDuration,
+  renderLine,
+  createProgress
+};
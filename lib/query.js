@@ -0,0 +1,217 @@
+const path = require('path');
+const { getPath } = require('./field-path');
+const { compareValues } = require('./where');
+
+// Corpus queries for `frontmatter-editor.js query`: pick columns from every
+// file's frontmatter, sort the rows, optionally group and count them, and format
+// the result as a terminal table, CSV, JSON or Markdown. Filtering happens
+// before this, with --where. Nothing in here touches the filesystem.
+//
+// Columns are field paths plus $file (the file's path) and $name (its name).
+// Grouping by an array field (tags) counts a file once under each element.
+
+const QUERY_FORMATS = ['table', 'csv', 'json', 'markdown'];
+const DEFAULT_COLUMNS = ['$file', 'title'];
+const MAX_TABLE_CELL = 60;
+
+// Function to read a column for a file
+function columnValue(record, column) {
+  if (column === '$file') return record.file;
+  if (column === '$name') return path.basename(record.file);
+  return getPath(record.data, column);
+}
+
+// Function to parse "date,-title" or "date:desc" into [{ column, descending }]
+function parseSort(sort) {
+  if (!sort) return [];
+
+  return (Array.isArray(sort) ? sort : sort.split(','))
+    .map(key => key.trim())
+    .filter(Boolean)
+    .map(key => {
+      const descending = key.startsWith('-') || /:desc$/i.test(key);
+      return { column: key.replace(/^[-+]/, '').replace(/:(asc|desc)$/i, ''), descending };
+    });
+}
+
+// Function to order two values for sorting. Missing values sort last in either
+// direction, values that cannot be compared (a date and a word, say) fall back
+// to their text.
+function sortOrder(a, b, descending) {
+  const missingA = a === undefined || a === null;
+  const missingB = b === undefined || b === null;
+  if (missingA || missingB) return missingA === missingB ? 0 : missingA ? 1 : -1;
+
+  const order = compareValues(a, b);
+  const ascending = order !== null ? order : String(a).localeCompare(String(b));
+  return descending ? -ascending : ascending;
+}
+
+function sortRows(rows, keys) {
+  if (keys.length === 0) return rows;
+
+  return rows.slice().sort((a, b) => {
+    for (const key of keys) {
+      const order = sortOrder(a[key.column], b[key.column], key.descending);
+      if (order !== 0) return order;
+    }
+    return 0;
+  });
+}
+
+// Function to run a query over [{ file, data }] records.
+// Options: columns, sort, groupBy, count and limit.
+// Returns { columns, rows }, where each row maps column names to raw values.
+function runQuery(records, options = {}) {
+  const columns = options.columns && options.columns.length > 0 ? options.columns : DEFAULT_COLUMNS;
+  let result;
+
+  if (options.groupBy) {
+    const groups = new Map();
+
+    records.forEach(record => {
+      const value = columnValue(record, options.groupBy);
+      const keys = Array.isArray(value) ? [...new Set(value.map(formatValue))] : [formatValue(value)];
+      keys.forEach(key => groups.set(key, (groups.get(key) || 0) + 1));
+    });
+
+    result = {
+      columns: [options.groupBy, 'count'],
+      rows: [...groups.entries()].map(([key, count]) => ({ [options.groupBy]: key === '' ? null : key, count }))
+    };
+
+    // Biggest groups first unless asked otherwise
+    const sortKeys = parseSort(options.sort);
+    result.rows = sortRows(result.rows, sortKeys.length > 0
+      ? sortKeys
+      : [{ column: 'count', descending: true }, { column: options.groupBy, descending: false }]);
+  } else if (options.count) {
+    result = { columns: ['count'], rows: [{ count: records.length }] };
+  } else {
+    const rows = records.map(record => {
+      const row = {};
+      columns.forEach(column => {
+        row[column] = columnValue(record, column);
+      });
+      // Sort keys may name fields that are not shown
+      parseSort(options.sort).forEach(key => {
+        if (!(key.column in row)) {
+          Object.defineProperty(row, key.column, { value: columnValue(record, key.column), enumerable: false });
+        }
+      });
+      return row;
+    });
+
+    result = { columns, rows: sortRows(rows, parseSort(options.sort)) };
+  }
+
+  if (options.limit) {
+    result.rows = result.rows.slice(0, options.limit);
+  }
+
+  return result;
+}
+
+// Function to turn a value into display text. Dates at midnight UTC (YAML
+// dates without a time) print as plain dates.
+function formatValue(value) {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) {
+    const iso = value.toISOString();
+    return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+  }
+  if (Array.isArray(value)) return value.map(formatValue).join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+// Function to convert a value for JSON output (dates as strings, the rest as is)
+function toJsonValue(value) {
+  if (value === undefined) return null;
+  if (value instanceof Date) return formatValue(value);
+  if (Array.isArray(value)) return value.map(toJsonValue);
+  if (value && typeof value === 'object') {
+    const object = {};
+    Object.keys(value).forEach(key => {
+      object[key] = toJsonValue(value[key]);
+    });
+    return object;
+  }
+  return value;
+}
+
+function truncate(text, width) {
+  return text.length > width ? `${text.slice(0, width - 1)}…` : text;
+}
+
+function toTable(result, chalk) {
+  const cells = result.rows.map(row => result.columns.map(column =>
+    truncate(formatValue(row[column]).replace(/\s*\n\s*/g, ' '), MAX_TABLE_CELL)));
+  const widths = result.columns.map((column, index) =>
+    Math.max(column.length, ...cells.map(row => row[index].length)));
+  const line = values => values.map((value, index) => value.padEnd(widths[index])).join('  ').trimEnd();
+  const bold = chalk ? chalk.bold : text => text;
+
+  return [
+    bold(line(result.columns)),
+    line(widths.map(width => '-'.repeat(width))),
+    ...cells.map(line)
+  ].join('\n');
+}
+
+function csvCell(text) {
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(result) {
+  return [
+    result.columns.map(csvCell).join(','),
+    ...result.rows.map(row => result.columns.map(column => csvCell(formatValue(row[column]))).join(','))
+  ].join('\n');
+}
+
+function toMarkdown(result) {
+  const cell = text => text.replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+
+  return [
+    `| ${result.columns.map(cell).join(' | ')} |`,
+    `| ${result.columns.map(() => '---').join(' | ')} |`,
+    ...result.rows.map(row => `| ${result.columns.map(column => cell(formatValue(row[column]))).join(' | ')} |`)
+  ].join('\n');
+}
+
+function toJson(result) {
+  return JSON.stringify(result.rows.map(row => {
+    const object = {};
+    result.columns.forEach(column => {
+      object[column] = toJsonValue(row[column]);
+    });
+    return object;
+  }), null, 2);
+}
+
+// Function to render a query result in one of QUERY_FORMATS. chalk is only used
+// for the table header.
+function formatQuery(result, format = 'table', chalk = null) {
+  switch (format) {
+    case 'table':
+      return toTable(result, chalk);
+    case 'csv':
+      return toCsv(result);
+    case 'json':
+      return toJson(result);
+    case 'markdown':
+      return toMarkdown(result);
+    default:
+      throw new Error(`Unknown query output format: ${format} (expected one of ${QUERY_FORMATS.join(', ')})`);
+  }
+}
+
+module.exports = {
+  QUERY_FORMATS,
+  DEFAULT_COLUMNS,
+  parseSort,
+  runQuery,
+  formatValue,
+  formatQuery
+};
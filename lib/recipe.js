@@ -0,0 +1,240 @@
+const fs = require('fs');
+const path = require('path');
+const matter = require('gray-matter');
+const operations = require('./operations');
+const { getPath, hasPath, setPath, deletePath } = require('./field-path');
+
+// Recipe files list the steps of a run, applied in order to each file in one
+// pass (--recipe <file>):
+//
+//   description: Tidy up tags
+//   steps:
+//     - rename: { from: keywords, to: tags }
+//     - to-array: { fields: tags, delimiter: "," }
+//     - unique: tags
+//     - sort: tags
+//     - default: { field: status, value: draft }
+//     - remove: legacyId
+//
+// Steps:
+//   rename     { from, to }                 move a field to a new name
+//   to-array   { fields, delimiter }        split string fields into arrays
+//   to-string  { fields, delimiter }        join array fields into strings
+//   unique     fields                       drop duplicate array values
+//   sort       fields                       sort array values
+//   default    { field, value }             set a field that is missing, null or ""
+//   set        { field, value }             set a field, replacing its value
+//   remove     fields                       delete fields
+//
+// `fields` may be one field, a comma-separated string or a list; the short
+// form `unique: tags` stands for `unique: { fields: tags }`. Every field may be
+// a nested path. Each step sees the result of the ones before it.
+
+const STEP_TYPES = ['rename', 'to-array', 'to-string', 'unique', 'sort', 'default', 'set', 'remove'];
+
+// The parameters each step takes, and which of them are required
+const STEP_PARAMS = {
+  rename: { from: true, to: true },
+  'to-array': { fields: true, delimiter: false },
+  'to-string': { fields: true, delimiter: false },
+  unique: { fields: true },
+  sort: { fields: true },
+  default: { field: true, value: false },
+  set: { field: true, value: false },
+  remove: { fields: true }
+};
+
+// Function to turn a fields parameter into a list of field paths
+function parseFields(fields) {
+  const list = Array.isArray(fields) ? fields : String(fields).split(',');
+  return list.map(field => String(field).trim()).filter(Boolean);
+}
+
+// Function to check one step and bring it into the form { type, ...params }
+function normalizeStep(step, index) {
+  const where = `Recipe step ${index + 1}`;
+
+  // A step that has been normalized already
+  if (step && typeof step.type === 'string' && STEP_TYPES.includes(step.type)) {
+    const { type, ...params } = step;
+    step = { [type]: params };
+  }
+
+  if (!step || typeof step !== 'object' || Array.isArray(step) || Object.keys(step).length !== 1) {
+    throw new Error(`${where} must be an object with a single step name, e.g. { remove: legacyId }`);
+  }
+
+  const type = Object.keys(step)[0];
+  if (!STEP_TYPES.includes(type)) {
+    throw new Error(`${where}: unknown step "${type}" (expected one of ${STEP_TYPES.join(', ')})`);
+  }
+
+  let params = step[type];
+  if (type === 'rename' && (typeof params === 'string' || Array.isArray(params))) {
+    throw new Error(`${where} (rename) needs { from, to }`);
+  }
+  if (typeof params === 'string' || Array.isArray(params)) {
+    params = 'fields' in STEP_PARAMS[type] ? { fields: params } : { field: params };
+  }
+  if (!params || typeof params !== 'object') {
+    throw new Error(`${where} (${type}) needs parameters`);
+  }
+
+  Object.keys(params).forEach(key => {
+    if (!(key in STEP_PARAMS[type])) {
+      throw new Error(`${where} (${type}): unknown parameter "${key}"`);
+    }
+  });
+  Object.keys(STEP_PARAMS[type])
+    .filter(key => STEP_PARAMS[type][key] && (params[key] === undefined || params[key] === null || params[key] === ''))
+    .forEach(key => {
+      throw new Error(`${where} (${type}): "${key}" is required`);
+    });
+
+  const normalized = { type, ...params };
+  if (normalized.fields !== undefined) {
+    normalized.fields = parseFields(normalized.fields);
+  }
+  if ((type === 'to-array' || type === 'to-string') && normalized.delimiter === undefined) {
+    normalized.delimiter = ',';
+  }
+  if ((type === 'default' || type === 'set') && normalized.value === undefined) {
+    normalized.value = '';
+  }
+
+  return normalized;
+}
+
+// Function to build a recipe from a parsed recipe file (or a plain list of steps)
+function createRecipe(definition) {
+  const steps = Array.isArray(definition) ? definition : definition && definition.steps;
+
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new Error('Recipe must have a non-empty "steps" list');
+  }
+
+  return {
+    description: Array.isArray(definition) ? null : definition.description || null,
+    steps: steps.map(normalizeStep)
+  };
+}
+
+// Function to read a recipe from a .json, .yaml or .yml file
+function loadRecipe(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  let definition;
+
+  try {
+    definition = path.extname(filePath) === '.json'
+      ? JSON.parse(text)
+      : matter.engines.yaml.parse(text);
+  } catch (error) {
+    throw new Error(`Could not parse recipe ${filePath}: ${error.message}`);
+  }
+
+  try {
+    return createRecipe(definition);
+  } catch (error) {
+    throw new Error(`${filePath}: ${error.message}`);
+  }
+}
+
+// Function to sort or dedupe the array fields of an `unique` or `sort` step
+function tidyArrays(data, step) {
+  const changes = [];
+
+  step.fields.forEach(field => {
+    const value = getPath(data, field);
+    if (!Array.isArray(value)) return;
+
+    const values = operations.processArray(value, {
+      uniqueValues: step.type === 'unique',
+      sortArrays: step.type === 'sort'
+    });
+    if (JSON.stringify(values) !== JSON.stringify(value)) {
+      setPath(data, field, values);
+      changes.push({ type: 'process-array', field, oldValue: value, values });
+    }
+  });
+
+  return changes;
+}
+
+// Function to apply one step to a file's frontmatter, returning its changes
+function applyStep(data, step) {
+  switch (step.type) {
+    case 'rename':
+      return operations.applyFieldOperations(data, { renameField: step.from, newFieldName: step.to });
+
+    case 'to-array':
+      return operations.toArray(data, { fields: step.fields, delimiter: step.delimiter });
+
+    case 'to-string':
+      return operations.toString(data, { fields: step.fields, delimiter: step.delimiter });
+
+    case 'unique':
+    case 'sort':
+      return tidyArrays(data, step);
+
+    case 'default': {
+      const oldValue = getPath(data, step.field);
+      if ((oldValue !== undefined && oldValue !== null && oldValue !== '') || oldValue === step.value) return [];
+      setPath(data, step.field, step.value);
+      return [{ type: 'add-field', field: step.field, oldValue, value: step.value }];
+    }
+
+    case 'set': {
+      const oldValue = getPath(data, step.field);
+      if (JSON.stringify(oldValue) === JSON.stringify(step.value)) return [];
+      setPath(data, step.field, step.value);
+      return [{ type: 'set-field', field: step.field, oldValue, value: step.value }];
+    }
+
+    case 'remove':
+      return step.fields.filter(field => hasPath(data, field)).map(field => {
+        const oldValue = getPath(data, field);
+        deletePath(data, field);
+        return { type: 'remove-field', field, oldValue };
+      });
+  }
+
+  return [];
+}
+
+// Function to run every step of a recipe over a file's frontmatter, in order.
+// Returns the combined changes, each noting the (1-based) step it came from.
+function applyRecipe(data, recipe) {
+  const changes = [];
+
+  recipe.steps.forEach((step, index) => {
+    applyStep(data, step).forEach(change => {
+      changes.push({ ...change, step: index + 1 });
+    });
+  });
+
+  return changes;
+}
+
+// Function to describe a step in one line, e.g. "rename keywords -> tags"
+function describeStep(step) {
+  switch (step.type) {
+    case 'rename':
+      return `rename ${step.from} -> ${step.to}`;
+    case 'default':
+    case 'set':
+      return `${step.type} ${step.field} = ${JSON.stringify(step.value)}`;
+    case 'to-array':
+    case 'to-string':
+      return `${step.type} ${step.fields.join(', ')} (delimiter "${step.delimiter}")`;
+    default:
+      return `${step.type} ${step.fields.join(', ')}`;
+  }
+}
+
+module.exports = {
+  STEP_TYPES,
+  createRecipe,
+  loadRecipe,
+  applyRecipe,
+  describeStep
+};
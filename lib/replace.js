@@ -0,0 +1,144 @@
+const { formatPath, getPath, setPath, expandPath } = require('./field-path');
+
+// Find-and-replace over frontmatter values for `frontmatter-editor.js replace`.
+//
+// Only string values are searched: every string below the scoped fields (all of
+// the frontmatter by default), including array elements and nested objects.
+// Values are searched after YAML parsing, so multi-line, folded and quoted
+// strings are matched as the text they stand for. Scopes are field paths and may
+// use * for every array element or key: `images[*].alt`, `seo.*`.
+//
+// Literal search takes the replacement as-is. Regex search uses JavaScript
+// syntax with `$1`, `$<name>`, `$&` and `$$` in the replacement; ^ and $ match at
+// line breaks inside multi-line values.
+
+// Function to escape text for use inside a regular expression
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Function to fill in $1, $<name>, $&, $` , $' and $$ the way String.replace does
+function expandReplacement(replacement, match, input) {
+  const groups = match.groups || {};
+
+  return replacement.replace(/\$(\$|&|`|'|<([^>]*)>|\d{1,2})/g, (token, code, name) => {
+    if (code === '$') return '$';
+    if (code === '&') return match[0];
+    if (code === '`') return input.slice(0, match.index);
+    if (code === "'") return input.slice(match.index + match[0].length);
+    if (name !== undefined) return groups[name] === undefined ? '' : groups[name];
+
+    // $12 means group 12 only when there are that many groups, else $1 then "2"
+    let index = Number(code);
+    let rest = '';
+    if (index >= match.length && code.length === 2) {
+      index = Number(code[0]);
+      rest = code[1];
+    }
+    if (index === 0 || index >= match.length) return token;
+    return (match[index] === undefined ? '' : match[index]) + rest;
+  });
+}
+
+// Function to give a replacement the case of the text it replaces: ALL CAPS,
+// all lower case or Capitalized
+function matchCase(replacement, original) {
+  const letters = original.replace(/[^\p{L}]/gu, '');
+  if (!letters) return replacement;
+  if (letters === letters.toUpperCase() && letters !== letters.toLowerCase()) return replacement.toUpperCase();
+  if (letters === letters.toLowerCase()) return replacement.toLowerCase();
+  if (letters[0] === letters[0].toUpperCase() && letters.slice(1) === letters.slice(1).toLowerCase()) {
+    return replacement.charAt(0).toUpperCase() + replacement.slice(1);
+  }
+  return replacement;
+}
+
+// Function to build a replacer from { find, replacement, regex, ignoreCase, preserveCase }.
+// replacer.apply(text) returns { text, matches: [{ index, match, replacement }] }.
+function createReplacer(options) {
+  if (options.find === undefined || options.find === null || options.find === '') {
+    throw new Error('Nothing to find');
+  }
+
+  const flags = `gm${options.ignoreCase ? 'i' : ''}`;
+  const pattern = new RegExp(options.regex ? options.find : escapeRegExp(options.find), flags);
+  const replacement = options.replacement === undefined || options.replacement === null ? '' : String(options.replacement);
+
+  return {
+    pattern,
+    apply(text) {
+      const matches = [];
+      let result = '';
+      let position = 0;
+      let match;
+
+      pattern.lastIndex = 0;
+      while ((match = pattern.exec(text)) !== null) {
+        let newText = options.regex ? expandReplacement(replacement, match, text) : replacement;
+        if (options.preserveCase) {
+          newText = matchCase(newText, match[0]);
+        }
+
+        matches.push({ index: match.index, match: match[0], replacement: newText });
+        result += text.slice(position, match.index) + newText;
+        position = match.index + match[0].length;
+
+        // Step past empty matches so patterns like /x*/ cannot loop forever
+        if (match[0] === '') {
+          pattern.lastIndex += text.codePointAt(match.index) > 0xffff ? 2 : 1;
+        }
+      }
+
+      return { text: result + text.slice(position), matches };
+    }
+  };
+}
+
+// Function to list every string value below a path as [segments, text]
+function collectStrings(value, segments, strings) {
+  if (typeof value === 'string') {
+    strings.push([segments, value]);
+  } else if (Array.isArray(value)) {
+    value.forEach((item, index) => collectStrings(item, segments.concat(index), strings));
+  } else if (value !== null && typeof value === 'object' && !(value instanceof Date)) {
+    Object.keys(value).forEach(key => collectStrings(value[key], segments.concat(key), strings));
+  }
+  return strings;
+}
+
+// Function to run a replacer over a file's frontmatter, editing data in place.
+// `fields` lists the scopes (every field when empty). Returns one change per
+// string that changed: { type: 'replace', field, oldValue, value, matches }.
+function replaceInData(data, replacer, fields) {
+  const roots = fields && fields.length > 0
+    ? fields.flatMap(field => expandPath(data, field))
+    : [[]];
+  const seen = new Set();
+  const changes = [];
+
+  roots.forEach(root => {
+    const value = root.length > 0 ? getPath(data, root) : data;
+
+    collectStrings(value, root, []).forEach(([segments, text]) => {
+      const field = formatPath(segments);
+      if (seen.has(field)) return;
+      seen.add(field);
+
+      const outcome = replacer.apply(text);
+      if (outcome.matches.length > 0 && outcome.text !== text) {
+        setPath(data, segments, outcome.text);
+        changes.push({ type: 'replace', field, oldValue: text, value: outcome.text, matches: outcome.matches });
+      }
+    });
+  });
+
+  return changes;
+}
+
+module.exports = {
+  createReplacer,
+  replaceInData,
+  collectStrings,
+  expandReplacement,
+  matchCase
+};
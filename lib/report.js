@@ -0,0 +1,179 @@
+const fs = require('fs');
+
+// Machine-readable run reports (--report json|ndjson|junit).
+// A report is built from the run object returned by the API (or assembled by
+// frontmatter-editor.js in the same shape) and serialized in one of the formats below.
+
+const REPORT_FORMATS = ['json', 'ndjson', 'junit'];
+
+const DEFAULT_REPORT_FILES = {
+  json: 'frontmatter-report.json',
+  ndjson: 'frontmatter-report.ndjson',
+  junit: 'frontmatter-report.xml'
+};
+
+// Function to work out a single status word for a file result
+function fileStatus(result) {
+  if (result.error) return 'error';
+  if (result.skipped) return 'skipped';
+  if (result.validation) return result.validation.valid ? 'passed' : 'failed';
+  if (result.modified) return 'modified';
+  return 'unchanged';
+}
+
+// Function to flatten the different change shapes into { type, field, oldValue, newValue }
+function normalizeChange(change) {
+  if (change.type === 'rename-field') {
+    return { type: change.type, field: change.oldField, newField: change.newField };
+  }
+
+  const normalized = { type: change.type, field: change.field };
+  if ('oldValue' in change) normalized.oldValue = change.oldValue;
+  if ('values' in change) normalized.newValue = change.values;
+  else if ('value' in change) normalized.newValue = change.value;
+
+  return normalized;
+}
+
+// Function to turn a file result into a report entry
+function fileEntry(result) {
+  const entry = {
+    file: result.file,
+    status: fileStatus(result),
+    changes: (result.changes || []).map(normalizeChange)
+  };
+
+  if (result.skipped) entry.skipReason = result.skipped;
+  if (result.error) entry.error = result.error;
+  if (result.validation) entry.violations = result.validation.violations;
+  if (result.values) entry.values = result.values;
+  if (result.diff) entry.diff = result.diff;
+
+  return entry;
+}
+
+// Function to build a report object from a run
+function buildReport(run, meta = {}) {
+  return {
+    tool: meta.tool || 'frontmatter-array',
+    command: meta.command || run.mode || null,
+    startedAt: meta.startedAt || null,
+    finishedAt: meta.finishedAt || new Date().toISOString(),
+    dryRun: Boolean(run.dryRun),
+    check: Boolean(run.check),
+    summary: run.summary,
+    files: run.files.map(fileEntry),
+    errors: run.errors || []
+  };
+}
+
+// Function to escape text for XML attributes and bodies
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Function to describe a change on one line for JUnit system-out
+function describeChange(change) {
+  if (change.type === 'rename-field') {
+    return `${change.type} ${change.field} -> ${change.newField}`;
+  }
+  const parts = [change.type, change.field];
+  if ('oldValue' in change) parts.push(`old=${JSON.stringify(change.oldValue)}`);
+  if ('newValue' in change) parts.push(`new=${JSON.stringify(change.newValue)}`);
+  return parts.join(' ');
+}
+
+// Function to render a report as JUnit XML: one test case per file, with
+// validation failures as <failure> and processing errors as <error>.
+// In --check runs a file that would be modified is a failure too.
+function toJUnit(report) {
+  const suiteName = `${report.tool}${report.command ? `.${report.command}` : ''}`;
+  const isFailure = file => file.status === 'failed' || (report.check && file.status === 'modified');
+  const failures = report.files.filter(isFailure).length;
+  const errors = report.files.filter(file => file.status === 'error').length + report.errors.length;
+  const skipped = report.files.filter(file => file.status === 'skipped').length;
+  const lines = [];
+
+  lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+  lines.push(`<testsuites name="${escapeXml(report.tool)}" tests="${report.files.length}" failures="${failures}" errors="${errors}" skipped="${skipped}">`);
+  lines.push(`  <testsuite name="${escapeXml(suiteName)}" tests="${report.files.length}" failures="${failures}" errors="${errors}" skipped="${skipped}"${report.startedAt ? ` timestamp="${escapeXml(report.startedAt)}"` : ''}>`);
+
+  report.files.forEach(file => {
+    lines.push(`    <testcase classname="${escapeXml(suiteName)}" name="${escapeXml(file.file)}">`);
+
+    if (file.status === 'failed') {
+      const messages = file.violations.map(v => `${v.path} ${v.message} (${v.rule})`);
+      lines.push(`      <failure message="${escapeXml(`${file.violations.length} validation problem(s)`)}" type="validation">${escapeXml(messages.join('\n'))}</failure>`);
+    } else if (isFailure(file)) {
+      lines.push(`      <failure message="${escapeXml(`would be modified (${file.changes.length} change(s))`)}" type="check">${escapeXml(file.changes.map(describeChange).join('\n'))}</failure>`);
+    } else if (file.status === 'error') {
+      lines.push(`      <error message="${escapeXml(file.error)}" type="error"/>`);
+    } else if (file.status === 'skipped') {
+      lines.push(`      <skipped message="${escapeXml(file.skipReason)}"/>`);
+    }
+
+    if (file.changes.length > 0 && !isFailure(file)) {
+      lines.push(`      <system-out>${escapeXml(file.changes.map(describeChange).join('\n'))}</system-out>`);
+    }
+
+    lines.push('    </testcase>');
+  });
+
+  report.errors.forEach(error => {
+    lines.push(`    <testcase classname="${escapeXml(suiteName)}" name="${escapeXml(error.path)}">`);
+    lines.push(`      <error message="${escapeXml(error.message)}" type="error"/>`);
+    lines.push('    </testcase>');
+  });
+
+  lines.push('  </testsuite>');
+  lines.push('</testsuites>');
+
+  return lines.join('\n') + '\n';
+}
+
+// Function to render a report as newline-delimited JSON: one record per file,
+// then one per traversal error, then a closing summary record
+function toNdjson(report) {
+  const { files, errors, ...meta } = report;
+  const lines = [];
+
+  files.forEach(file => lines.push(JSON.stringify({ type: 'file', ...file })));
+  errors.forEach(error => lines.push(JSON.stringify({ type: 'error', ...error })));
+  lines.push(JSON.stringify({ type: 'summary', ...meta }));
+
+  return lines.join('\n') + '\n';
+}
+
+// Function to serialize a report in the requested format
+function serializeReport(report, format) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(report, null, 2) + '\n';
+    case 'ndjson':
+      return toNdjson(report);
+    case 'junit':
+      return toJUnit(report);
+    default:
+      throw new Error(`Unknown report format: ${format} (expected one of ${REPORT_FORMATS.join(', ')})`);
+  }
+}
+
+// Function to write a report to disk, returning the path written
+function writeReport(report, format, filePath) {
+  const target = filePath || DEFAULT_REPORT_FILES[format];
+  fs.writeFileSync(target, serializeReport(report, format), 'utf8');
+  return target;
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  fileStatus,
+  buildReport,
+  serializeReport,
+  writeReport
+};
@@ -0,0 +1,215 @@
+const fs = require('fs');
+const path = require('path');
+const matter = require('gray-matter');
+const { getPath } = require('./field-path');
+
+// Schema files describe per-field rules for --mode validate:
+//
+//   fields:
+//     title:  { type: string, required: true, maxLength: 70 }
+//     status: { enum: [draft, published] }
+//     tags:   { type: array, minLength: 1, items: { type: string, pattern: "^[a-z0-9-]+$" } }
+//     date:   { type: date, required: true }
+//     author: { type: object, properties: { name: { type: string, required: true } } }
+//
+// Every rule is optional. A field is only "missing" when it is undefined or null,
+// so 0, false and "" count as present. Field names may be nested paths
+// (`seo.title`, `images[0].src`). Enum values may be dates: `2024-01-01` in the
+// schema matches the same date in a file.
+
+const TYPES = ['string', 'array', 'number', 'boolean', 'date', 'object'];
+const RULES = ['type', 'required', 'enum', 'pattern', 'minLength', 'maxLength', 'min', 'max', 'items', 'properties'];
+
+// Function to normalize the short forms allowed in schema files
+// ("tags: array" or "items: string") into rule objects
+function normalizeRule(rule, where) {
+  if (typeof rule === 'string') {
+    rule = { type: rule };
+  }
+
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw new Error(`Invalid schema rule for ${where}: expected an object`);
+  }
+
+  Object.keys(rule).forEach(key => {
+    if (!RULES.includes(key)) {
+      throw new Error(`Unknown schema rule "${key}" for ${where}`);
+    }
+  });
+
+  if (rule.type && !TYPES.includes(rule.type)) {
+    throw new Error(`Unknown type "${rule.type}" for ${where} (expected one of ${TYPES.join(', ')})`);
+  }
+
+  const normalized = { ...rule };
+
+  if (normalized.pattern !== undefined) {
+    normalized.pattern = new RegExp(normalized.pattern);
+  }
+  if (normalized.items !== undefined) {
+    normalized.items = normalizeRule(normalized.items, `${where}[]`);
+  }
+  if (normalized.properties !== undefined) {
+    normalized.properties = normalizeFields(normalized.properties, where);
+  }
+
+  return normalized;
+}
+
+// Function to normalize a { field: rule } map
+function normalizeFields(fields, prefix) {
+  const normalized = {};
+
+  Object.keys(fields || {}).forEach(field => {
+    const fieldPath = prefix ? `${prefix}.${field}` : field;
+    normalized[field] = normalizeRule(fields[field], fieldPath);
+  });
+
+  return normalized;
+}
+
+// Function to build a schema object, either from a parsed schema file
+// or from a plain list of required field names (the --fields shorthand)
+function createSchema(definition) {
+  if (Array.isArray(definition)) {
+    const fields = {};
+    definition.forEach(field => {
+      fields[field] = { required: true };
+    });
+    return { fields: normalizeFields(fields) };
+  }
+
+  if (!definition || typeof definition !== 'object' || !definition.fields) {
+    throw new Error('Schema must have a top-level "fields" map');
+  }
+
+  return { fields: normalizeFields(definition.fields) };
+}
+
+// Function to read a schema from a .json, .yaml or .yml file
+function loadSchema(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  let definition;
+
+  try {
+    definition = path.extname(filePath) === '.json'
+      ? JSON.parse(text)
+      : matter.engines.yaml.parse(text);
+  } catch (error) {
+    throw new Error(`Could not parse schema ${filePath}: ${error.message}`);
+  }
+
+  return createSchema(definition);
+}
+
+// Function to describe the type of a frontmatter value in schema terms
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value instanceof Date) return 'date';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+// Function to check a value against a type. Dates may be YAML timestamps
+// (parsed into Date objects) or strings that parse as a date.
+function matchesType(value, type) {
+  switch (type) {
+    case 'date':
+      if (value instanceof Date) return !isNaN(value.getTime());
+      return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value) && !isNaN(Date.parse(value));
+    case 'number':
+      return typeof value === 'number' && !isNaN(value);
+    case 'object':
+      return typeOf(value) === 'object';
+    default:
+      return typeOf(value) === type;
+  }
+}
+
+// Function to format a value for violation messages
+function describe(value) {
+  if (value instanceof Date) return value.toISOString();
+  return JSON.stringify(value);
+}
+
+// Function to check one value against a rule, pushing every violation found
+function checkValue(value, rule, fieldPath, violations) {
+  const violation = (ruleName, message) => violations.push({ path: fieldPath, rule: ruleName, message });
+
+  if (value === undefined || value === null) {
+    if (rule.required) {
+      violation('required', 'is required');
+    }
+    return;
+  }
+
+  if (rule.type && !matchesType(value, rule.type)) {
+    violation('type', `expected ${rule.type}, got ${typeOf(value)}`);
+    return;
+  }
+
+  // Compared by their description, so Dates match the same day or instant
+  if (rule.enum && !rule.enum.some(allowed => describe(allowed) === describe(value))) {
+    violation('enum', `${describe(value)} is not one of ${rule.enum.map(describe).join(', ')}`);
+  }
+
+  if (rule.pattern && typeof value === 'string' && !rule.pattern.test(value)) {
+    violation('pattern', `${describe(value)} does not match ${rule.pattern}`);
+  }
+
+  if (typeof value === 'string' || Array.isArray(value)) {
+    const unit = Array.isArray(value) ? 'items' : 'characters';
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      violation('minLength', `has ${value.length} ${unit}, expected at least ${rule.minLength}`);
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      violation('maxLength', `has ${value.length} ${unit}, expected at most ${rule.maxLength}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (rule.min !== undefined && value < rule.min) {
+      violation('min', `${value} is less than ${rule.min}`);
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      violation('max', `${value} is greater than ${rule.max}`);
+    }
+  }
+
+  if (rule.items && Array.isArray(value)) {
+    value.forEach((item, index) => checkValue(item, rule.items, `${fieldPath}[${index}]`, violations));
+  }
+
+  if (rule.properties && typeOf(value) === 'object') {
+    checkFields(value, rule.properties, fieldPath, violations);
+  }
+}
+
+// Function to check every field of a schema map against an object
+function checkFields(data, fields, prefix, violations) {
+  Object.keys(fields).forEach(field => {
+    const fieldPath = prefix ? `${prefix}.${field}` : field;
+    checkValue(getPath(data, field), fields[field], fieldPath, violations);
+  });
+}
+
+// Function to validate frontmatter data against a schema.
+// Returns every violation rather than stopping at the first one.
+function validate(data, schema) {
+  const violations = [];
+  checkFields(data || {}, schema.fields, '', violations);
+
+  return {
+    valid: violations.length === 0,
+    missingFields: violations.filter(v => v.rule === 'required').map(v => v.path),
+    violations
+  };
+}
+
+module.exports = {
+  TYPES,
+  createSchema,
+  loadSchema,
+  typeOf,
+  validate
+};
@@ -0,0 +1,325 @@
+const path = require('path');
+const { getPath } = require('./field-path');
+const { hashContent } = require('./writer');
+
+// Spreadsheet round-trips for `frontmatter-editor.js export` and `import`.
+//
+// A sheet has one row per file: a $file column with the path relative to the
+// exported directory, one column per field and a $hash column fingerprinting the
+// file's frontmatter at export time, so import can tell when a file was edited
+// on disk after the export. Cells are plain text in CSV and TSV:
+//
+//   arrays   one; two; three      (as a JSON list when an item contains ";")
+//   dates    2024-01-31, or a full ISO timestamp when there is a time
+//   objects  JSON
+//
+// On import a cell is read back using the type the field currently has on disk,
+// so numbers stay numbers and dates stay dates. JSON sheets keep native types.
+
+const SHEET_FORMATS = ['csv', 'tsv', 'json'];
+const FILE_COLUMN = '$file';
+const HASH_COLUMN = '$hash';
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// Function to pick a sheet format from a file name (csv when unknown)
+function formatFromPath(filePath) {
+  const extension = filePath ? path.extname(filePath).slice(1).toLowerCase() : '';
+  return SHEET_FORMATS.includes(extension) ? extension : 'csv';
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+// Function to encode a frontmatter value as cell text
+function encodeCell(value) {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) {
+    const iso = value.toISOString();
+    return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+  }
+  if (Array.isArray(value)) {
+    const items = value.map(encodeCell);
+    const ambiguous = value.some(item => item !== null && typeof item === 'object' && !(item instanceof Date)) ||
+      items.some(item => item.includes(';') || item.trim() !== item || item === '');
+    return ambiguous ? JSON.stringify(value) : items.join('; ');
+  }
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function parseJson(text) {
+  try {
+    return { ok: true, value: JSON.parse(text) };
+  } catch (error) {
+    return { ok: false };
+  }
+}
+
+// Function to decode cell text, using the field's current value to decide the type
+function decodeCell(text, currentValue) {
+  const trimmed = text.trim();
+
+  if (Array.isArray(currentValue)) {
+    if (trimmed.startsWith('[')) {
+      const parsed = parseJson(trimmed);
+      if (parsed.ok && Array.isArray(parsed.value)) return parsed.value;
+    }
+    return trimmed.split(';').map(item => item.trim()).filter(Boolean);
+  }
+  if (currentValue instanceof Date) {
+    return DATE_PATTERN.test(trimmed) ? new Date(/[T ]/.test(trimmed) && !/(?:Z|[+-]\d{2}:?\d{2})$/.test(trimmed) ? `${trimmed}Z` : trimmed) : text;
+  }
+  if (typeof currentValue === 'number') {
+    return trimmed !== '' && !isNaN(trimmed) ? Number(trimmed) : text;
+  }
+  if (typeof currentValue === 'boolean') {
+    if (/^true$/i.test(trimmed)) return true;
+    if (/^false$/i.test(trimmed)) return false;
+    return text;
+  }
+  if ((currentValue !== null && typeof currentValue === 'object') ||
+      ((currentValue === undefined || currentValue === null) && /^[[{]/.test(trimmed))) {
+    const parsed = parseJson(trimmed);
+    if (parsed.ok) return parsed.value;
+  }
+  return text;
+}
+
+// Function to fingerprint a file's frontmatter (the body is not included, so
+// body edits after an export do not block the import)
+function rowHash(data) {
+  return hashContent(JSON.stringify(data)).slice(0, 12);
+}
+
+// Function to list every top-level field in the records, in first-seen order
+function allColumns(records) {
+  const columns = [];
+  records.forEach(record => {
+    Object.keys(record.data).forEach(key => {
+      if (!columns.includes(key)) columns.push(key);
+    });
+  });
+  return columns;
+}
+
+// Function to build a sheet from [{ file, data }] records. Paths are stored
+// relative to baseDir with forward slashes.
+function buildSheet(records, columns, baseDir) {
+  const fields = columns && columns.length > 0 ? columns : allColumns(records);
+
+  return {
+    columns: [FILE_COLUMN, ...fields, HASH_COLUMN],
+    fields,
+    rows: records.map(record => {
+      const row = { [FILE_COLUMN]: path.relative(baseDir, record.file).split(path.sep).join('/') };
+      fields.forEach(field => {
+        row[field] = getPath(record.data, field);
+      });
+      row[HASH_COLUMN] = rowHash(record.data);
+      return row;
+    })
+  };
+}
+
+function delimitedCell(text, delimiter) {
+  return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Function to convert a value for a JSON sheet (dates as text, the rest native)
+function toJsonValue(value) {
+  if (value === undefined) return null;
+  if (value instanceof Date) return encodeCell(value);
+  if (Array.isArray(value)) return value.map(toJsonValue);
+  if (value && typeof value === 'object') {
+    const object = {};
+    Object.keys(value).forEach(key => {
+      object[key] = toJsonValue(value[key]);
+    });
+    return object;
+  }
+  return value;
+}
+
+// Function to write a sheet as CSV, TSV or JSON text
+function serializeSheet(sheet, format) {
+  if (format === 'json') {
+    return JSON.stringify(sheet.rows.map(row => {
+      const object = {};
+      sheet.columns.forEach(column => {
+        object[column] = toJsonValue(row[column]);
+      });
+      return object;
+    }), null, 2) + '\n';
+  }
+
+  const delimiter = format === 'tsv' ? '\t' : ',';
+  const line = cells => cells.map(cell => delimitedCell(cell, delimiter)).join(delimiter);
+
+  return [
+    line(sheet.columns),
+    ...sheet.rows.map(row => line(sheet.columns.map(column => encodeCell(row[column]))))
+  ].join('\n') + '\n';
+}
+
+// Function to split CSV/TSV text into rows of cells. Handles quoted cells with
+// delimiters, doubled quotes and line breaks, CRLF line endings and a BOM.
+function parseDelimited(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let started = false;
+
+  for (let i = text.charCodeAt(0) === 0xfeff ? 1 : 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+      started = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+      started = true;
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      if (started || cell !== '') {
+        row.push(cell);
+        rows.push(row);
+      }
+      row = [];
+      cell = '';
+      started = false;
+    } else {
+      cell += char;
+      started = true;
+    }
+  }
+
+  if (started || cell !== '') {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+// Function to read a sheet back into { columns, rows }. Row values are cell
+// text for CSV/TSV and native values for JSON.
+function parseSheet(text, format) {
+  let columns;
+  let rows;
+
+  if (format === 'json') {
+    const parsed = JSON.parse(text);
+    if (!Array.isArray(parsed)) {
+      throw new Error('A JSON sheet must be an array of row objects');
+    }
+    columns = [];
+    parsed.forEach(row => Object.keys(row).forEach(key => {
+      if (!columns.includes(key)) columns.push(key);
+    }));
+    rows = parsed;
+  } else {
+    const lines = parseDelimited(text, format === 'tsv' ? '\t' : ',');
+    if (lines.length === 0) {
+      throw new Error('The sheet is empty');
+    }
+    columns = lines[0].map(column => column.trim());
+    rows = lines.slice(1).map(cells => {
+      const row = {};
+      columns.forEach((column, index) => {
+        row[column] = cells[index] === undefined ? '' : cells[index];
+      });
+      return row;
+    });
+  }
+
+  if (!columns.includes(FILE_COLUMN)) {
+    throw new Error(`The sheet has no ${FILE_COLUMN} column`);
+  }
+
+  return {
+    columns,
+    fields: columns.filter(column => column !== FILE_COLUMN && column !== HASH_COLUMN),
+    rows
+  };
+}
+
+// Function to work out what importing one row would do to a file's data.
+// Returns { conflict, changes: [{ field, oldValue, value }], emptied: [field] }.
+// Cells that became empty are listed in `emptied` and only turn into removals
+// with clearEmpty; a $hash that no longer matches the file is a conflict.
+function planRow(data, row, fields, options = {}) {
+  const plan = { conflict: null, changes: [], emptied: [] };
+
+  if (row[HASH_COLUMN] && !options.force) {
+    if (rowHash(data) !== String(row[HASH_COLUMN])) {
+      plan.conflict = 'changed on disk since the export';
+      return plan;
+    }
+  }
+
+  fields.forEach(field => {
+    const cell = row[field];
+    const oldValue = getPath(data, field);
+
+    if (cell === undefined) return;
+
+    if (isEmpty(cell) || (typeof cell === 'string' && cell.trim() === '')) {
+      if (!isEmpty(oldValue)) {
+        plan.emptied.push(field);
+        if (options.clearEmpty) {
+          plan.changes.push({ field, oldValue, value: undefined });
+        }
+      }
+      return;
+    }
+
+    const value = typeof cell === 'string' ? decodeCell(cell, oldValue) : decodeJsonCell(cell, oldValue);
+    if (encodeCell(value) !== encodeCell(oldValue) || typeOfCell(value) !== typeOfCell(oldValue)) {
+      plan.changes.push({ field, oldValue, value });
+    }
+  });
+
+  return plan;
+}
+
+// Function to read a native JSON cell, turning date strings back into dates
+// where the field holds a date
+function decodeJsonCell(value, currentValue) {
+  if (currentValue instanceof Date && typeof value === 'string') {
+    return decodeCell(value, currentValue);
+  }
+  return value;
+}
+
+// Function to compare types loosely enough that an untouched cell is never a change
+function typeOfCell(value) {
+  if (value === undefined || value === null) return 'empty';
+  if (Array.isArray(value)) return 'array';
+  if (value instanceof Date) return 'date';
+  return typeof value;
+}
+
+module.exports = {
+  SHEET_FORMATS,
+  FILE_COLUMN,
+  HASH_COLUMN,
+  formatFromPath,
+  encodeCell,
+  decodeCell,
+  buildSheet,
+  serializeSheet,
+  parseSheet,
+  planRow
+};
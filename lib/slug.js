@@ -0,0 +1,217 @@
+const fs = require('fs');
+const path = require('path');
+
+// Slugs for `frontmatter-editor.js slug`.
+//
+// A slug is made from a title (or any text) by transliterating it to plain
+// Latin letters, lowercasing it and joining the words with the separator:
+//
+//   "Crème Brûlée & Co."   -> creme-brulee-and-co
+//   "Straße in Łódź"       -> strasse-in-lodz
+//
+// Accents are dropped (é -> e) and a few letters that have no accent-free
+// form are spelled out (ß -> ss, æ -> ae, ø -> o). A transliteration map
+// ("ä=ae,ö=oe,ü=ue") is applied before that, for languages with their own
+// conventions. Anything left that is not a letter or digit separates words.
+//
+// Filenames map to slugs and back:
+//
+//   my-post.md               my-post
+//   2024-01-05-my-post.md    my-post     (Jekyll's date prefix is kept on rename)
+//   my-post.en.md            my-post     (Hugo's language suffix is kept on rename)
+//   my-post/index.md         my-post     (page bundles take the folder name)
+
+const SEPARATORS = ['-', '_', '.'];
+
+// Letters that NFKD normalization does not reduce to plain Latin letters
+const DEFAULT_TRANSLITERATION = {
+  'ß': 'ss',
+  'æ': 'ae',
+  'Æ': 'AE',
+  'œ': 'oe',
+  'Œ': 'OE',
+  'ø': 'o',
+  'Ø': 'O',
+  'đ': 'd',
+  'Đ': 'D',
+  'ð': 'd',
+  'Ð': 'D',
+  'ł': 'l',
+  'Ł': 'L',
+  'þ': 'th',
+  'Þ': 'TH',
+  'ı': 'i',
+  '&': ' and ',
+  '@': ' at '
+};
+
+const BUNDLE_FILES = /^_?index\./i;
+const FILENAME_PATTERN = /^(\d{4}-\d{2}-\d{2}-)?(.+?)((?:\.[a-z]{2}(?:-[a-z]{2})?)?\.[^.]+)$/i;
+
+// Function to read a transliteration map given as "ä=ae,ö=oe" or an object
+function parseTransliteration(value) {
+  if (!value) return {};
+  if (typeof value === 'object') return { ...value };
+
+  const map = {};
+  String(value).split(',').map(pair => pair.trim()).filter(Boolean).forEach(pair => {
+    const index = pair.indexOf('=');
+    if (index < 1) {
+      throw new Error(`Invalid transliteration "${pair}" (expected from=to, e.g. ä=ae)`);
+    }
+    map[pair.slice(0, index)] = pair.slice(index + 1);
+  });
+  return map;
+}
+
+// Function to check slug options and fill in their defaults.
+// Options: separator (default "-"), lowercase (default true), transliterate.
+function createSlugger(options = {}) {
+  const separator = options.separator === undefined || options.separator === null ? '-' : String(options.separator);
+  if (!SEPARATORS.includes(separator)) {
+    throw new Error(`Invalid slug separator: "${separator}" (expected one of ${SEPARATORS.join(' ')})`);
+  }
+
+  return {
+    separator,
+    lowercase: options.lowercase !== false,
+    transliteration: parseTransliteration(options.transliterate)
+  };
+}
+
+// Function to replace every key of a map in a text, longest keys first
+function replaceAll(text, map) {
+  return Object.keys(map)
+    .sort((a, b) => b.length - a.length)
+    .reduce((result, key) => result.split(key).join(map[key]), text);
+}
+
+// Function to turn a text into a slug. Returns "" when nothing is left (a
+// title in a script without a transliteration map, say).
+function slugify(text, slugger = createSlugger()) {
+  let slug = replaceAll(String(text), slugger.transliteration);
+  slug = replaceAll(slug, DEFAULT_TRANSLITERATION)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '');
+
+  if (slugger.lowercase) {
+    slug = slug.toLowerCase();
+  }
+
+  return slug
+    .replace(/[^A-Za-z0-9]+/g, slugger.separator)
+    .split(slugger.separator)
+    .filter(Boolean)
+    .join(slugger.separator);
+}
+
+// Function to split a content file's path into the parts a slug touches:
+// { bundle, dir, prefix, stem, suffix }. For a page bundle (index.md or
+// _index.md) the stem is the folder name.
+function splitFilename(filePath) {
+  const base = path.basename(filePath);
+
+  if (BUNDLE_FILES.test(base)) {
+    const folder = path.dirname(filePath);
+    return { bundle: true, dir: path.dirname(folder), prefix: '', stem: path.basename(folder), suffix: '' };
+  }
+
+  const match = FILENAME_PATTERN.exec(base);
+  if (!match) {
+    return { bundle: false, dir: path.dirname(filePath), prefix: '', stem: base, suffix: '' };
+  }
+  return { bundle: false, dir: path.dirname(filePath), prefix: match[1] || '', stem: match[2], suffix: match[3] };
+}
+
+// Function to make the slug a file's name stands for
+function slugFromFilename(filePath, slugger) {
+  return slugify(splitFilename(filePath).stem, slugger);
+}
+
+// Function to check a slug can be used as a filename. Returns the problem, or null.
+function checkSlug(slug) {
+  if (typeof slug !== 'string' || slug.trim() === '') return 'is empty';
+  if (/[/\\]/.test(slug)) return 'contains a slash';
+  if (slug === '.' || slug === '..') return 'is not a valid filename';
+  return null;
+}
+
+// Function to find the path a file gets when renamed to match its slug, or
+// null for page bundles (whose folder would have to move)
+function renameTarget(filePath, slug) {
+  const parts = splitFilename(filePath);
+  if (parts.bundle) return null;
+  return path.join(parts.dir, parts.prefix + slug + parts.suffix);
+}
+
+// Function to check whether two paths are the same file (as they are on a
+// case-insensitive file system when only the case differs)
+function isSameFile(a, b) {
+  try {
+    const statA = fs.statSync(a);
+    const statB = fs.statSync(b);
+    return statA.ino === statB.ino && statA.dev === statB.dev;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Function to find files that would end up with the same slug in the same
+// folder (and so the same URL). `entries` is [{ file, slug }]; returns
+// [{ slug, dir, files }].
+function findSlugCollisions(entries) {
+  const groups = new Map();
+
+  entries.filter(entry => entry.slug).forEach(entry => {
+    const dir = splitFilename(entry.file).dir;
+    const key = `${dir}\0${entry.slug.toLowerCase()}`;
+    if (!groups.has(key)) groups.set(key, { slug: entry.slug, dir, files: [] });
+    groups.get(key).files.push(entry.file);
+  });
+
+  return [...groups.values()].filter(group => group.files.length > 1);
+}
+
+// Function to find renames that cannot be made safely. `renames` is
+// [{ file, target }]; returns [{ file, target, reason }]. Two files may not
+// get the same name, and a target may not already exist, even as another
+// file of the run (unless it is the file itself with a different case).
+function findRenameCollisions(renames) {
+  const byTarget = new Map();
+  const sources = new Set(renames.map(rename => path.resolve(rename.file).toLowerCase()));
+  const collisions = [];
+
+  renames.forEach(rename => {
+    const key = path.resolve(rename.target).toLowerCase();
+    if (!byTarget.has(key)) byTarget.set(key, []);
+    byTarget.get(key).push(rename);
+  });
+
+  renames.forEach(rename => {
+    const key = path.resolve(rename.target).toLowerCase();
+    const others = byTarget.get(key).filter(other => other !== rename);
+
+    if (others.length > 0) {
+      collisions.push({ ...rename, reason: `would get the same name as ${others.map(other => other.file).join(', ')}` });
+    } else if (fs.existsSync(rename.target) && !isSameFile(rename.file, rename.target)) {
+      collisions.push({
+        ...rename,
+        reason: sources.has(key) ? 'target is another file being renamed' : 'target already exists'
+      });
+    }
+  });
+
+  return collisions;
+}
+
+module.exports = {
+  DEFAULT_TRANSLITERATION,
+  createSlugger,
+  slugify,
+  splitFilename,
+  slugFromFilename,
+  checkSlug,
+  renameTarget,
+  findSlugCollisions,
+  findRenameCollisions
+};
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const { createFileFilter } = require('./files');
+const { hashContent } = require('./writer');
+
+// Watch mode for `frontmatter-array.js --watch`.
+//
+// Content files below the directory are handed to onFile as they are created
+// or saved, once they have been quiet for `debounce` ms (editors often write a
+// file in several steps). Only files a directory run would process are passed
+// on: the same extensions, include/exclude globs, ignore files and depth.
+//
+// Every folder gets a watcher of its own instead of one recursive watcher:
+// files are saved by replacing them (editors do it, and so does the writer),
+// and only a folder watch keeps seeing a file after it has been replaced.
+// New folders are watched, and the files already in them handed on, as they appear.
+//
+// A file the handler has just written would come straight back as a change.
+// The hash of what was written is remembered and an event for a file that
+// still has exactly that content is dropped, so runs cannot feed themselves.
+
+const DEFAULT_DEBOUNCE_MS = 300;
+
+// Function to watch dirPath and call onFile(filePath) for each created or
+// changed file. onFile returns true when it wrote the file. Errors from the
+// watchers go to onError. Returns { close }.
+function watchDirectory(dirPath, options, onFile, onError) {
+  const accepts = createFileFilter(dirPath, options);
+  const debounce = options.debounce === undefined || options.debounce === null
+    ? DEFAULT_DEBOUNCE_MS
+    : Number(options.debounce);
+  const watchers = new Map();
+  const timers = new Map();
+  const ownWrites = new Map();
+
+  function readHash(filePath) {
+    try {
+      return hashContent(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      // Deleted, renamed away or not a file
+      return null;
+    }
+  }
+
+  function settle(filePath) {
+    timers.delete(filePath);
+
+    const hash = readHash(filePath);
+    if (hash === null || ownWrites.get(filePath) === hash) {
+      return;
+    }
+    ownWrites.delete(filePath);
+
+    if (onFile(filePath)) {
+      const written = readHash(filePath);
+      if (written !== null) {
+        ownWrites.set(filePath, written);
+      }
+    }
+  }
+
+  function schedule(filePath) {
+    clearTimeout(timers.get(filePath));
+    timers.set(filePath, setTimeout(() => {
+      try {
+        settle(filePath);
+      } catch (error) {
+        onError(error);
+      }
+    }, debounce));
+  }
+
+  // Function to look at a path a folder watcher reported (isNew) or the
+  // initial walk found
+  function notice(itemPath, isNew) {
+    let stats;
+    try {
+      stats = fs.statSync(itemPath);
+    } catch (error) {
+      // Gone again: a deleted file, or an editor's temp file
+      return;
+    }
+
+    if (stats.isDirectory()) {
+      if (!watchers.has(itemPath) && accepts(itemPath, true)) {
+        watchFolder(itemPath, isNew);
+      }
+    } else if (stats.isFile() && accepts(itemPath)) {
+      schedule(itemPath);
+    }
+  }
+
+  // Function to watch one folder and the accepted folders below it. Folders
+  // that appear while watching have their files handed on too, since those
+  // may have been written before the watch started.
+  function watchFolder(dir, isNew) {
+    let watcher;
+    try {
+      watcher = fs.watch(dir, (eventType, fileName) => {
+        if (fileName) notice(path.join(dir, fileName.toString()), true);
+      });
+    } catch (error) {
+      onError(error);
+      return;
+    }
+    watcher.on('error', error => {
+      // A watched folder that is deleted stops its watcher; that is not an error
+      if (!fs.existsSync(dir)) {
+        watcher.close();
+        watchers.delete(dir);
+        return;
+      }
+      onError(error);
+    });
+    watchers.set(dir, watcher);
+
+    let items = [];
+    try {
+      items = fs.readdirSync(dir).sort();
+    } catch (error) {
+      onError(error);
+    }
+    items.forEach(item => {
+      const itemPath = path.join(dir, item);
+      let stats;
+      try {
+        stats = fs.statSync(itemPath);
+      } catch (error) {
+        return;
+      }
+      if (stats.isDirectory()) {
+        notice(itemPath, isNew);
+      } else if (isNew && stats.isFile() && accepts(itemPath)) {
+        schedule(itemPath);
+      }
+    });
+  }
+
+  watchFolder(dirPath, false);
+
+  return {
+    close() {
+      timers.forEach(timer => clearTimeout(timer));
+      timers.clear();
+      watchers.forEach(watcher => watcher.close());
+      watchers.clear();
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_DEBOUNCE_MS,
+  watchDirectory
+};
@@ -0,0 +1,350 @@
+const path = require('path');
+const { getPath } = require('./field-path');
+
+// --where expressions select files by their frontmatter values:
+//
+//   draft == true                       category: forex
+//   date >= 2024-01-01 and date < 2025-01-01
+//   category in [forex, crypto]         tags contains "seo"
+//   tags exists and not aiKeywords exists
+//   title =~ /^how to/i                 (rating > 3 or featured) and not draft
+//
+// Operators: == (also = and :), !=, <, <=, >, >=, in, not in, contains,
+// =~ (regex match), !~, exists, and the combinators and/or/not (&&, ||, !).
+// A field on its own is true when its value is truthy. Fields may be nested
+// paths (seo.title, images[0].src); $file and $name refer to the file's path and
+// name. Values are numbers, true/false/null, dates (2024-01-31, optionally with a
+// time), 'quoted' or "quoted" strings, /regex/flags, [lists], or bare words,
+// which are read as strings.
+//
+// A missing or null field never equals, matches or compares to anything, so
+// `status != draft` is true for files without a status.
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+const PATH_PATTERN = /^\$?[A-Za-z_][\w$-]*(?:\.[A-Za-z_$][\w$-]*|\[\d+\]|\[(["']).*?\1\])*/;
+const NUMBER_PATTERN = /^-?\d+(?:\.\d+)?(?![\w-])/;
+const KEYWORDS = ['and', 'or', 'not', 'in', 'contains', 'exists', 'true', 'false', 'null'];
+
+// Function to split an expression into tokens, each with its column for error messages
+function tokenize(source) {
+  const tokens = [];
+  let position = 0;
+
+  while (position < source.length) {
+    const rest = source.slice(position);
+    const whitespace = rest.match(/^\s+/);
+    if (whitespace) {
+      position += whitespace[0].length;
+      continue;
+    }
+
+    const column = position + 1;
+    let match;
+
+    if ((match = rest.match(/^(==|!=|<=|>=|=~|!~|&&|\|\||[=:<>!()[\],])/))) {
+      tokens.push({ type: 'op', value: match[1], column });
+    } else if ((match = rest.match(/^(["'])((?:\\.|(?!\1).)*)\1/))) {
+      tokens.push({ type: 'string', value: match[2].replace(/\\(.)/g, '$1'), column });
+    } else if ((match = rest.match(/^\/((?:\\.|[^/\\])+)\/([gimsuy]*)/))) {
+      tokens.push({ type: 'regex', value: new RegExp(match[1], match[2].replace('g', '')), column });
+    } else if ((match = rest.match(/^\d{4}-\d{2}-\d{2}(?:T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?(?![\w-])/))) {
+      tokens.push({ type: 'date', value: parseDate(match[0]), column });
+    } else if ((match = rest.match(NUMBER_PATTERN))) {
+      tokens.push({ type: 'number', value: Number(match[0]), column });
+    } else if ((match = rest.match(PATH_PATTERN))) {
+      const word = match[0];
+      tokens.push(KEYWORDS.includes(word.toLowerCase())
+        ? { type: 'keyword', value: word.toLowerCase(), column }
+        : { type: 'word', value: word, column });
+    } else {
+      throw new Error(`Invalid --where expression: unexpected "${rest[0]}" at column ${column}`);
+    }
+
+    position += match[0].length;
+  }
+
+  return tokens;
+}
+
+// Function to parse a date literal. Dates without a time or zone are UTC, the
+// same way YAML reads them.
+function parseDate(text) {
+  const iso = text.replace(' ', 'T');
+  const hasZone = /(?:Z|[+-]\d{2}:?\d{2})$/.test(iso) && iso.includes('T');
+  return new Date(hasZone ? iso : `${iso}${iso.includes('T') ? '' : 'T00:00:00'}Z`);
+}
+
+// Function to parse an expression into a tree of
+// { type: 'and'|'or', left, right }, { type: 'not', operand },
+// { type: 'compare', field, operator, value }, { type: 'exists', field } and
+// { type: 'truthy', field }
+function parseWhere(source) {
+  const tokens = tokenize(source);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const fail = (message, token = peek()) => {
+    const where = token ? `at column ${token.column}` : 'at the end';
+    throw new Error(`Invalid --where expression: ${message} ${where}`);
+  };
+  const isOp = (token, ...values) => token && (token.type === 'op' || token.type === 'keyword') && values.includes(token.value);
+
+  function parseOr() {
+    let left = parseAnd();
+    while (isOp(peek(), 'or', '||')) {
+      index++;
+      left = { type: 'or', left, right: parseAnd() };
+    }
+    return left;
+  }
+
+  function parseAnd() {
+    let left = parseNot();
+    while (isOp(peek(), 'and', '&&')) {
+      index++;
+      left = { type: 'and', left, right: parseNot() };
+    }
+    return left;
+  }
+
+  function parseNot() {
+    if (isOp(peek(), 'not', '!')) {
+      index++;
+      return { type: 'not', operand: parseNot() };
+    }
+    return parsePrimary();
+  }
+
+  function parseField() {
+    const token = peek();
+    if (!token || token.type !== 'word') {
+      fail('expected a field name');
+    }
+    index++;
+    return token.value;
+  }
+
+  function parseValue() {
+    const token = peek();
+    if (!token) fail('expected a value');
+
+    if (isOp(token, '[')) {
+      index++;
+      const values = [];
+      while (!isOp(peek(), ']')) {
+        values.push(parseValue());
+        if (isOp(peek(), ',')) {
+          index++;
+        } else if (!isOp(peek(), ']')) {
+          fail('expected "," or "]"');
+        }
+      }
+      index++;
+      return values;
+    }
+
+    index++;
+    switch (token.type) {
+      case 'string':
+      case 'number':
+      case 'date':
+      case 'regex':
+      case 'word':
+        return token.value;
+      case 'keyword':
+        if (token.value === 'true') return true;
+        if (token.value === 'false') return false;
+        if (token.value === 'null') return null;
+        return token.value;
+      default:
+        return fail('expected a value', token);
+    }
+  }
+
+  function parsePrimary() {
+    if (isOp(peek(), '(')) {
+      index++;
+      const inner = parseOr();
+      if (!isOp(peek(), ')')) fail('expected ")"');
+      index++;
+      return inner;
+    }
+
+    if (isOp(peek(), 'exists')) {
+      index++;
+      return { type: 'exists', field: parseField() };
+    }
+
+    const field = parseField();
+    const token = peek();
+
+    if (isOp(token, 'exists')) {
+      index++;
+      return { type: 'exists', field };
+    }
+    if (isOp(token, 'not') && isOp(tokens[index + 1], 'in')) {
+      index += 2;
+      return { type: 'not', operand: { type: 'compare', field, operator: 'in', value: parseValue() } };
+    }
+    if (isOp(token, '==', '=', ':', '!=', '<', '<=', '>', '>=', '=~', '!~', 'in', 'contains')) {
+      index++;
+      const operator = token.value === '=' || token.value === ':' ? '==' : token.value;
+      const value = parseValue();
+      if (operator === 'in' && !Array.isArray(value)) {
+        fail('"in" expects a [list]', token);
+      }
+      return { type: 'compare', field, operator, value };
+    }
+
+    return { type: 'truthy', field };
+  }
+
+  if (tokens.length === 0) {
+    fail('empty expression');
+  }
+
+  const tree = parseOr();
+  if (index < tokens.length) {
+    fail(`unexpected "${tokens[index].value}"`);
+  }
+  return tree;
+}
+
+// Function to read a value as a date when it looks like one
+function asDate(value) {
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+  if (typeof value === 'string' && DATE_PATTERN.test(value.trim())) return parseDate(value.trim());
+  return null;
+}
+
+// Function to read a value as a number when it is one (or a numeric string)
+function asNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(value)) return Number(value);
+  return null;
+}
+
+// Function to compare two values: a negative number, 0, a positive number, or
+// null when they cannot be compared
+function compareValues(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) return null;
+
+  if (a instanceof Date || b instanceof Date) {
+    const dateA = asDate(a);
+    const dateB = asDate(b);
+    return dateA && dateB ? dateA.getTime() - dateB.getTime() : null;
+  }
+  if (typeof a === 'number' || typeof b === 'number') {
+    const numberA = asNumber(a);
+    const numberB = asNumber(b);
+    return numberA !== null && numberB !== null ? numberA - numberB : null;
+  }
+  if (typeof a === 'string' && typeof b === 'string') {
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+  return null;
+}
+
+function isEqualValue(a, b) {
+  if (b === null) return a === null || a === undefined;
+  if (a === null || a === undefined) return false;
+  if (typeof a === 'boolean' || typeof b === 'boolean') return a === b;
+  if (typeof a === 'object' && !(a instanceof Date)) return JSON.stringify(a) === JSON.stringify(b);
+  return compareValues(a, b) === 0;
+}
+
+function matchesPattern(value, pattern) {
+  if (value === null || value === undefined || typeof value === 'object') return false;
+  const regex = pattern instanceof RegExp ? pattern : new RegExp(pattern);
+  return regex.test(String(value));
+}
+
+// Function to evaluate one comparison. Arrays on the left match when any
+// element does, except for contains (which looks inside them) and equality
+// against a list.
+function compare(fieldValue, operator, value) {
+  switch (operator) {
+    case '==':
+      if (Array.isArray(fieldValue) && !Array.isArray(value)) {
+        return fieldValue.some(item => isEqualValue(item, value));
+      }
+      return isEqualValue(fieldValue, value);
+    case '!=':
+      return !compare(fieldValue, '==', value);
+    case 'in':
+      if (Array.isArray(fieldValue)) {
+        return fieldValue.some(item => value.some(option => isEqualValue(item, option)));
+      }
+      return value.some(option => isEqualValue(fieldValue, option));
+    case 'contains':
+      if (Array.isArray(fieldValue)) return fieldValue.some(item => isEqualValue(item, value));
+      if (typeof fieldValue === 'string') return value !== null && fieldValue.includes(String(value));
+      if (fieldValue && typeof fieldValue === 'object' && !(fieldValue instanceof Date)) {
+        return Object.prototype.hasOwnProperty.call(fieldValue, String(value));
+      }
+      return false;
+    case '=~':
+      if (Array.isArray(fieldValue)) return fieldValue.some(item => matchesPattern(item, value));
+      return matchesPattern(fieldValue, value);
+    case '!~':
+      return !compare(fieldValue, '=~', value);
+    default: {
+      const values = Array.isArray(fieldValue) ? fieldValue : [fieldValue];
+      return values.some(item => {
+        const order = compareValues(item, value);
+        if (order === null) return false;
+        if (operator === '<') return order < 0;
+        if (operator === '<=') return order <= 0;
+        if (operator === '>') return order > 0;
+        return order >= 0;
+      });
+    }
+  }
+}
+
+// Function to read a field, or one of the $file/$name pseudo-fields
+function resolveField(field, data, context) {
+  if (field === '$file') return context.file;
+  if (field === '$name') return context.file ? path.basename(context.file) : undefined;
+  return getPath(data, field);
+}
+
+// Function to evaluate a parsed expression against frontmatter data
+function evaluate(node, data, context = {}) {
+  switch (node.type) {
+    case 'and':
+      return evaluate(node.left, data, context) && evaluate(node.right, data, context);
+    case 'or':
+      return evaluate(node.left, data, context) || evaluate(node.right, data, context);
+    case 'not':
+      return !evaluate(node.operand, data, context);
+    case 'exists': {
+      const value = resolveField(node.field, data, context);
+      return value !== undefined && value !== null;
+    }
+    case 'truthy': {
+      const value = resolveField(node.field, data, context);
+      return Array.isArray(value) ? value.length > 0 : Boolean(value);
+    }
+    default:
+      return compare(resolveField(node.field, data, context), node.operator, node.value);
+  }
+}
+
+// Function to compile an expression (or a list of them, which must all match)
+// into a predicate (data, { file }) => boolean
+function compileWhere(expressions) {
+  const sources = (Array.isArray(expressions) ? expressions : [expressions]).filter(Boolean);
+  const trees = sources.map(parseWhere);
+
+  const predicate = (data, context = {}) => trees.every(tree => evaluate(tree, data || {}, context));
+  predicate.source = sources.length === 1 ? sources[0] : sources.map(source => `(${source})`).join(' and ');
+  return predicate;
+}
+
+module.exports = {
+  parseWhere,
+  evaluate,
+  compileWhere,
+  compareValues
+};
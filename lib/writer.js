@@ -0,0 +1,299 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Safe file writes.
+//
+// New content goes to a temporary file next to the target, which is then
+// renamed over it, so a crash mid-write leaves either the old or the new post,
+// never a truncated one. Before writing, the file is checked against the
+// snapshot taken when it was read (size and mtime, then a content hash); if
+// someone else saved it in between, it is left alone and reported as a conflict.
+//
+// In transaction mode writes are only staged. commit() re-checks every staged
+// file and then writes them all, restoring the ones already written if a later
+// write fails, so a multi-file run either lands completely or not at all.
+
+const CONFLICT_ACTIONS = ['skip', 'fail'];
+
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// Function to read a file along with what is needed to detect later changes.
+// The file is stat'ed before it is read, so an edit racing the read shows up
+// as a newer mtime and is then settled by comparing hashes.
+function readSnapshot(filePath) {
+  const stats = fs.statSync(filePath);
+  const content = fs.readFileSync(filePath, 'utf8');
+
+  return {
+    path: filePath,
+    content,
+    hash: hashContent(content),
+    size: stats.size,
+    mtimeMs: stats.mtimeMs
+  };
+}
+
+// Function to read a snapshot without blocking, for the async directory runs
+async function readSnapshotAsync(filePath) {
+  const stats = await fs.promises.stat(filePath);
+  const content = await fs.promises.readFile(filePath, 'utf8');
+
+  return {
+    path: filePath,
+    content,
+    hash: hashContent(content),
+    size: stats.size,
+    mtimeMs: stats.mtimeMs
+  };
+}
+
+// Function to check whether a file still matches its snapshot.
+// Returns null when unchanged, otherwise a short description of what happened.
+function findConflict(snapshot) {
+  let stats;
+  try {
+    stats = fs.statSync(snapshot.path);
+  } catch (error) {
+    if (error.code === 'ENOENT') return 'deleted since it was read';
+    throw error;
+  }
+
+  if (stats.size === snapshot.size && stats.mtimeMs === snapshot.mtimeMs) {
+    return null;
+  }
+
+  // A touched but otherwise identical file is not a conflict
+  return hashContent(fs.readFileSync(snapshot.path, 'utf8')) === snapshot.hash
+    ? null
+    : 'modified since it was read';
+}
+
+// Function to check a snapshot like findConflict does, without blocking
+async function findConflictAsync(snapshot) {
+  let stats;
+  try {
+    stats = await fs.promises.stat(snapshot.path);
+  } catch (error) {
+    if (error.code === 'ENOENT') return 'deleted since it was read';
+    throw error;
+  }
+
+  if (stats.size === snapshot.size && stats.mtimeMs === snapshot.mtimeMs) {
+    return null;
+  }
+
+  return hashContent(await fs.promises.readFile(snapshot.path, 'utf8')) === snapshot.hash
+    ? null
+    : 'modified since it was read';
+}
+
+// Function to name the temp file a write goes through
+function tempPathFor(target) {
+  return path.join(
+    path.dirname(target),
+    `.${path.basename(target)}.${process.pid}-${crypto.randomBytes(4).toString('hex')}.tmp`
+  );
+}
+
+// Function to replace a file's content through a temp file and a rename.
+// Symlinks are followed so the link itself is not replaced, and the original
+// file mode is kept.
+function writeFileAtomic(filePath, content) {
+  let target = filePath;
+  let mode = null;
+
+  try {
+    target = fs.realpathSync(filePath);
+    mode = fs.statSync(target).mode & 0o7777;
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const temp = tempPathFor(target);
+
+  try {
+    const fd = fs.openSync(temp, 'wx', mode === null ? 0o666 : mode);
+    try {
+      fs.writeFileSync(fd, content, 'utf8');
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    // openSync's mode is filtered through the umask; put the original bits back
+    if (mode !== null) {
+      fs.chmodSync(temp, mode);
+    }
+    fs.renameSync(temp, target);
+  } catch (error) {
+    try {
+      fs.unlinkSync(temp);
+    } catch (cleanupError) {
+      // The temp file was never created or is already gone
+    }
+    throw error;
+  }
+}
+
+// Function to write a file like writeFileAtomic does, without blocking
+async function writeFileAtomicAsync(filePath, content) {
+  let target = filePath;
+  let mode = null;
+
+  try {
+    target = await fs.promises.realpath(filePath);
+    mode = (await fs.promises.stat(target)).mode & 0o7777;
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const temp = tempPathFor(target);
+
+  try {
+    const handle = await fs.promises.open(temp, 'wx', mode === null ? 0o666 : mode);
+    try {
+      await handle.writeFile(content, 'utf8');
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+
+    if (mode !== null) {
+      await fs.promises.chmod(temp, mode);
+    }
+    await fs.promises.rename(temp, target);
+  } catch (error) {
+    await fs.promises.unlink(temp).catch(() => {
+      // The temp file was never created or is already gone
+    });
+    throw error;
+  }
+}
+
+// Function to create the writer a run uses for every file it changes.
+// Options: journal (records originals for undo) and transaction (stage writes
+// until commit()).
+function createWriter(options = {}) {
+  const staged = [];
+
+  function writeNow(snapshot, newContent) {
+    if (options.journal) {
+      options.journal.record(snapshot.path, snapshot.content, newContent);
+    }
+    writeFileAtomic(snapshot.path, newContent);
+  }
+
+  // Returns { written, staged, conflict }; conflict is null or the reason the
+  // file was left alone
+  function write(snapshot, newContent) {
+    const conflict = findConflict(snapshot);
+    if (conflict) {
+      return { written: false, staged: false, conflict };
+    }
+
+    if (options.transaction) {
+      staged.push({ snapshot, newContent });
+      return { written: false, staged: true, conflict: null };
+    }
+
+    writeNow(snapshot, newContent);
+    return { written: true, staged: false, conflict: null };
+  }
+
+  // Function to write a file like write() does, without blocking. The journal
+  // entry is made before the write starts, as write() does.
+  async function writeAsync(snapshot, newContent) {
+    const conflict = await findConflictAsync(snapshot);
+    if (conflict) {
+      return { written: false, staged: false, conflict };
+    }
+
+    if (options.transaction) {
+      staged.push({ snapshot, newContent });
+      return { written: false, staged: true, conflict: null };
+    }
+
+    if (options.journal) {
+      options.journal.record(snapshot.path, snapshot.content, newContent);
+    }
+    await writeFileAtomicAsync(snapshot.path, newContent);
+    return { written: true, staged: false, conflict: null };
+  }
+
+  // Function to write every staged file, or none of them.
+  // Returns { committed, written, conflicts, error }.
+  function commit() {
+    const result = { committed: false, written: [], conflicts: [], error: null };
+
+    staged.forEach(entry => {
+      const conflict = findConflict(entry.snapshot);
+      if (conflict) {
+        result.conflicts.push({ path: entry.snapshot.path, reason: conflict });
+      }
+    });
+
+    if (result.conflicts.length > 0) {
+      staged.length = 0;
+      return result;
+    }
+
+    const done = [];
+    try {
+      staged.forEach(entry => {
+        writeNow(entry.snapshot, entry.newContent);
+        done.push(entry);
+      });
+    } catch (error) {
+      result.error = `${staged[done.length].snapshot.path}: ${error.message}`;
+
+      const unrestored = [];
+      done.reverse().forEach(entry => {
+        try {
+          writeFileAtomic(entry.snapshot.path, entry.snapshot.content);
+        } catch (restoreError) {
+          unrestored.push(entry.snapshot.path);
+        }
+      });
+      if (unrestored.length > 0) {
+        result.error += ` (could not restore ${unrestored.join(', ')}; use undo)`;
+      }
+
+      staged.length = 0;
+      return result;
+    }
+
+    staged.length = 0;
+    result.committed = true;
+    result.written = done.map(entry => entry.snapshot.path);
+    return result;
+  }
+
+  // Function to drop every staged write
+  function abort() {
+    staged.length = 0;
+  }
+
+  return {
+    transaction: Boolean(options.transaction),
+    write,
+    writeAsync,
+    commit,
+    abort,
+    staged: () => staged.length
+  };
+}
+
+module.exports = {
+  CONFLICT_ACTIONS,
+  hashContent,
+  readSnapshot,
+  readSnapshotAsync,
+  findConflict,
+  findConflictAsync,
+  writeFileAtomic,
+  writeFileAtomicAsync,
+  createWriter
+};
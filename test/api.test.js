@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const api = require('../lib/api');
+const { makeSite, readFile } = require('./helpers');
+
+test('copies take the first source file with the target\'s name', t => {
+  const directory = makeSite(t, {
+    'source/a/post.md': '---\ntitle: From a\n---\n',
+    'source/b/post.md': '---\ntitle: From b\n---\n',
+    'source/other.md': '---\ntitle: Other\n---\n',
+    'target/b/post.md': '---\ntitle: Old\n---\nBody\n',
+    'target/misc/other.md': 'No frontmatter yet\n',
+    'target/new.md': '---\ntitle: New\n---\n'
+  });
+  const run = api.copyFrontmatter(path.join(directory, 'source'), path.join(directory, 'target'), { cache: false });
+
+  assert.strictEqual(run.sourceFiles, 3);
+  assert.strictEqual(readFile(directory, 'target/b/post.md'), '---\ntitle: From a\n---\nBody\n');
+  assert.match(readFile(directory, 'target/misc/other.md'), /^---\ntitle: Other\n---\n/);
+  assert.strictEqual(run.files.find(file => file.relativePath === 'new.md').skipped, 'no-source');
+});
+
+test('normalizeOptions rejects options a run cannot use', () => {
+  assert.throws(() => api.normalizeOptions({ mode: 'convert' }), /Convert mode needs an output format to convert to \(yaml, toml, json\)/);
+  assert.throws(() => api.normalizeOptions({ mode: 'coerce' }), /Coerce mode needs a type/);
+  assert.throws(() => api.normalizeOptions({ mode: 'validate', recipe: [{ remove: 'a' }] }), /A recipe cannot be used in validate mode/);
+  assert.throws(() => api.normalizeOptions({ concurrency: 0 }), /Concurrency must be a whole number/);
+  assert.deepStrictEqual(api.normalizeOptions({ recipe: [{ remove: 'a' }] }).recipe.steps, [{ type: 'remove', fields: ['a'] }]);
+});
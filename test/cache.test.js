@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const api = require('../lib/api');
+const { parseArguments } = require('../frontmatter-array');
+const { makeSite, readFile } = require('./helpers');
+
+const CLI = path.join(__dirname, '..', 'frontmatter-array.js');
+
+test('command line defaults can be passed to the API as they are', t => {
+  const directory = makeSite(t, { 'post.md': '---\naiKeywords: a, b\n---\nBody\n' });
+  const stateDir = path.join(directory, '.state');
+  const args = parseArguments(['node', 'frontmatter-array.js', directory]);
+
+  const result = api.processFile(path.join(directory, 'post.md'), { ...args, stateDir });
+
+  assert.strictEqual(result.error, null);
+  assert.strictEqual(result.modified, true);
+  assert.match(readFile(directory, 'post.md'), /- a\n\s*- b/);
+});
+
+test('cache: true opens and saves the cache in stateDir', t => {
+  const directory = makeSite(t, { 'post.md': '---\naiKeywords:\n  - a\n---\nBody\n' });
+  const stateDir = path.join(directory, '.state');
+  const file = path.join(directory, 'post.md');
+
+  const first = api.processFile(file, { cache: true, stateDir });
+  const second = api.processFile(file, { cache: true, stateDir });
+
+  assert.strictEqual(first.cached, false);
+  assert.strictEqual(second.cached, true);
+});
+
+test('cache: false runs without a cache', t => {
+  const directory = makeSite(t, { 'post.md': '---\naiKeywords:\n  - a\n---\nBody\n' });
+  const file = path.join(directory, 'post.md');
+
+  api.processFile(file, { cache: false });
+  assert.strictEqual(api.processFile(file, { cache: false }).cached, false);
+});
+
+test('a cache option that is not a cache is rejected', () => {
+  assert.throws(() => api.normalizeOptions({ cache: 'yes' }), /cache option/);
+  assert.throws(() => api.normalizeOptions({ cache: {} }), /cache option/);
+});
+
+test('files that fail validation are not cached', async t => {
+  const directory = makeSite(t, {
+    'good.md': '---\ntitle: Good\n---\nBody\n',
+    'bad.md': '---\ndraft: true\n---\nBody\n'
+  });
+  const options = { mode: 'validate', schema: { fields: { title: { required: true } } } };
+
+  const cache = api.cache.openCache({ stateDir: path.join(directory, '.state') });
+  await api.processDirectoryAsync(directory, { ...options, cache });
+  const again = await api.processDirectoryAsync(directory, { ...options, cache });
+
+  const byName = Object.fromEntries(again.files.map(result => [path.basename(result.file), result]));
+  assert.strictEqual(byName['good.md'].cached, true);
+  assert.strictEqual(byName['bad.md'].cached, false);
+  assert.strictEqual(byName['bad.md'].validation.valid, false);
+});
+
+test('dry runs and checks read the cache but never save it', async t => {
+  const directory = makeSite(t, { 'content/post.md': '---\naiKeywords:\n  - a\n---\nBody\n' });
+  const stateDir = path.join(directory, '.state');
+  const content = path.join(directory, 'content');
+
+  api.processDirectory(content, { dryRun: true, cache: api.cache.openCache({ stateDir }) });
+  await api.processDirectoryAsync(content, { check: true, cache: api.cache.openCache({ stateDir }) });
+  api.processFile(path.join(content, 'post.md'), { dryRun: true, cache: true, stateDir });
+  assert.strictEqual(fs.existsSync(stateDir), false);
+
+  api.processDirectory(content, { cache: api.cache.openCache({ stateDir }) });
+  const checked = api.processDirectory(content, { check: true, cache: api.cache.openCache({ stateDir }) });
+  assert.strictEqual(checked.files[0].cached, true);
+});
+
+test('--dry-run and --check leave no cache behind', t => {
+  const directory = makeSite(t, { 'content/post.md': '---\naiKeywords:\n  - a\n---\nBody\n' });
+
+  ['--dry-run', '--check'].forEach(flag => {
+    const run = spawnSync(process.execPath, [CLI, 'content', flag, '--no-progress'], {
+      cwd: directory,
+      encoding: 'utf8',
+      timeout: 30000
+    });
+    assert.strictEqual(run.status, 0, run.stderr);
+  });
+  assert.strictEqual(fs.existsSync(path.join(directory, '.frontmatter', 'cache.json')), false);
+});
+
+test('the cache key changes with the run configuration', () => {
+  const keyFor = options => api.cache.configKey(api.normalizeOptions(options));
+
+  assert.strictEqual(keyFor({ mode: 'to-array' }), keyFor({ mode: 'to-array' }));
+  assert.notStrictEqual(keyFor({ mode: 'to-array' }), keyFor({ mode: 'to-string' }));
+  assert.notStrictEqual(keyFor({ fields: ['tags'] }), keyFor({ fields: ['categories'] }));
+  assert.notStrictEqual(keyFor({ delimiter: ',' }), keyFor({ delimiter: ';' }));
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const { makeSite, readFile } = require('./helpers');
+
+const CLI = path.join(__dirname, '..', 'frontmatter-array.js');
+
+// Function to run frontmatter-array.js --check on a folder made by makeSite
+function check(directory, argv = []) {
+  return spawnSync(process.execPath, [CLI, 'content', '--check', '--no-progress', '--no-cache', ...argv], {
+    cwd: directory,
+    encoding: 'utf8',
+    timeout: 30000
+  });
+}
+
+test('--check exits with 0 when no file would change', t => {
+  const directory = makeSite(t, { 'content/post.md': '---\naiKeywords:\n  - a\n  - b\n---\nBody\n' });
+  const run = check(directory);
+
+  assert.strictEqual(run.status, 0, run.stdout + run.stderr);
+  assert.match(run.stdout, /Check passed/);
+});
+
+test('--check exits with 1 when files would change, and writes nothing', t => {
+  const post = '---\naiKeywords: a, b\n---\nBody\n';
+  const directory = makeSite(t, { 'content/post.md': post, 'content/done.md': '---\naiKeywords: [a]\n---\n' });
+  const run = check(directory);
+
+  assert.strictEqual(run.status, 1);
+  assert.match(run.stdout, /Check failed: 1 file\(s\) need attention/);
+  assert.match(run.stdout, /post\.md \(would be modified\)/);
+  assert.strictEqual(readFile(directory, 'content/post.md'), post);
+});
+
+test('--check exits with 1 when a file cannot be processed', t => {
+  const directory = makeSite(t, { 'content/broken.md': '---\ntitle: [unclosed\n---\nBody\n' });
+  const run = check(directory);
+
+  assert.strictEqual(run.status, 1);
+  assert.match(run.stdout, /broken\.md \(could not be processed\)/);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const api = require('../lib/api');
+const { createCoercion, coerceValue, coerceFields } = require('../lib/coerce');
+const { makeSite, readFile } = require('./helpers');
+
+// Function to coerce one file's fields to ISO dates and return the new text
+function coerceFile(t, content, timezone, fields = ['lastmod']) {
+  const directory = makeSite(t, { 'post.md': content });
+
+  const result = api.processFile(path.join(directory, 'post.md'), {
+    mode: 'coerce', coerceType: 'date', dateFormat: 'iso', timezone, fields
+  });
+  assert.strictEqual(result.error, null);
+  return readFile(directory, 'post.md');
+}
+
+test('unquoted YAML date-times without an offset are read in the timezone', t => {
+  const text = coerceFile(t, '---\nlastmod: 2024-03-10T23:30:00\n---\n', 'Europe/Berlin');
+  assert.match(text, /lastmod: "2024-03-10T23:30:00\+01:00"/);
+});
+
+test('the timezone applies to items of a list and to nested fields', t => {
+  const text = coerceFile(
+    t,
+    '---\nlastmod:\n  - 2024-07-01 08:00:00\n  - "2024-01-05T10:00"\nevent:\n  start: 2024-07-01T08:00:00\n---\n',
+    'Europe/Berlin',
+    ['lastmod', 'event.start']
+  );
+  assert.match(text, /- "2024-07-01T08:00:00\+02:00"/);
+  assert.match(text, /- "2024-01-05T10:00:00\+01:00"/);
+  assert.match(text, /start: "2024-07-01T08:00:00\+02:00"/);
+});
+
+test('date-times with an offset keep their instant', t => {
+  const text = coerceFile(t, '---\nlastmod: 2024-03-10T23:30:00Z\n---\n', 'Europe/Berlin');
+  assert.match(text, /lastmod: "2024-03-11T00:30:00\+01:00"/);
+});
+
+test('dates without a time keep their calendar day', t => {
+  const text = coerceFile(t, '---\nlastmod: 2024-03-10\n---\n', 'America/New_York');
+  assert.match(text, /lastmod: "2024-03-10T00:00:00-05:00"/);
+});
+
+test('TOML local date-times are read in the timezone', t => {
+  const text = coerceFile(t, '+++\nlastmod = 2024-03-10T23:30:00\n+++\n', '+05:30');
+  assert.match(text, /lastmod = "2024-03-10T23:30:00\+05:30"/);
+});
+
+test('strings are read in the timezone, across a daylight saving change', () => {
+  const coercion = createCoercion({ type: 'date', dateFormat: 'iso', timezone: 'Europe/Berlin' });
+  assert.deepStrictEqual(coerceValue('2024-03-31 12:00', coercion), { value: '2024-03-31T12:00:00+02:00' });
+  assert.deepStrictEqual(coerceValue('2024-03-30 12:00', coercion), { value: '2024-03-30T12:00:00+01:00' });
+});
+
+test('a value that is not a date is reported and nothing is changed', () => {
+  const data = { date: '2024-01-05', lastmod: 'next week' };
+  const coercion = createCoercion({ type: 'date' });
+  const { changes, problems } = coerceFields(data, ['date', 'lastmod'], coercion);
+
+  assert.deepStrictEqual(changes, []);
+  assert.strictEqual(problems.length, 1);
+  assert.strictEqual(problems[0].path, 'lastmod');
+  assert.strictEqual(data.date, '2024-01-05');
+});
+
+test('an unknown timezone is rejected', () => {
+  assert.throws(() => createCoercion({ type: 'date', timezone: 'Mars/Olympus' }), /Unknown timezone/);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const api = require('../lib/api');
+const { createDiff } = require('../lib/diff');
+const { makeSite } = require('./helpers');
+
+test('diff headers name files relative to the run directory', t => {
+  const directory = makeSite(t, { 'posts/hello.md': '---\naiKeywords: a, b\n---\n' });
+
+  const run = api.processDirectory(directory, { dryRun: true, diff: true });
+
+  assert.match(run.files[0].diff, /^--- a\/posts\/hello\.md\n\+\+\+ b\/posts\/hello\.md\n/);
+});
+
+test('copy diffs name targets relative to the target directory', t => {
+  const directory = makeSite(t, {
+    'source/post.md': '---\ntitle: Hello\n---\n',
+    'target/post.md': '---\ntitle: Draft\n---\n'
+  });
+
+  const run = api.copyFrontmatter(path.join(directory, 'source'), path.join(directory, 'target'), {
+    dryRun: true,
+    diff: true,
+    frontmatterFields: ['title']
+  });
+
+  assert.match(run.files[0].diff, /^--- a\/post\.md\n/);
+});
+
+test('paths are taken relative to the working directory by default', () => {
+  const patch = createDiff(path.join(process.cwd(), 'content', 'post.md'), 'a\n', 'b\n');
+  assert.match(patch, /^--- a\/content\/post\.md\n\+\+\+ b\/content\/post\.md\n@@/);
+  assert.strictEqual(createDiff('post.md', 'same\n', 'same\n'), null);
+});
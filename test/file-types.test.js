@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const api = require('../lib/api');
+const { makeSite, readFile } = require('./helpers');
+
+const ALL_TYPES = '.md,.markdown,.mdx,.mdoc,.markdoc,.html,.htm,.adoc,.asciidoc';
+
+test('only Markdown files are processed unless other types are asked for', t => {
+  const directory = makeSite(t, {
+    'post.md': 'Body\n',
+    'page.mdx': '---\ntitle: Page\n---\n',
+    'doc.adoc': '= Guide\n\nBody\n'
+  });
+
+  const run = api.processDirectory(directory, { addField: 'status', addValue: 'draft' });
+
+  assert.deepStrictEqual(run.files.map(result => path.basename(result.file)), ['post.md']);
+  assert.strictEqual(readFile(directory, 'page.mdx'), '---\ntitle: Page\n---\n');
+});
+
+test('files without a block or header are left alone when adding fields', t => {
+  const partial = 'Some included text.\n\nMore text.\n';
+  const template = '<html><body>{{ content }}</body></html>\n';
+  const directory = makeSite(t, {
+    'partial.adoc': partial,
+    'layout.html': template,
+    'doc.adoc': '= Guide\n:status: final\n\nBody\n',
+    'post.md': 'Body\n'
+  });
+
+  const run = api.processDirectory(directory, { extension: ALL_TYPES, addField: 'status', addValue: 'draft' });
+  const byName = Object.fromEntries(run.files.map(result => [path.basename(result.file), result]));
+
+  assert.strictEqual(byName['partial.adoc'].skipped, 'no-frontmatter');
+  assert.strictEqual(byName['layout.html'].skipped, 'no-frontmatter');
+  assert.strictEqual(readFile(directory, 'partial.adoc'), partial);
+  assert.strictEqual(readFile(directory, 'layout.html'), template);
+  assert.strictEqual(readFile(directory, 'doc.adoc'), '= Guide\n:status: final\n\nBody\n');
+  assert.match(readFile(directory, 'post.md'), /^---\nstatus: draft\n---\n/);
+});
+
+test('AsciiDoc headers are read and edited in place', t => {
+  const directory = makeSite(t, { 'doc.adoc': '= Guide\nJane Doe\n:keywords: a, b\n\nBody\n' });
+
+  api.processDirectory(directory, {
+    extension: '.adoc',
+    fields: ['keywords'],
+    addField: 'status',
+    addValue: 'draft',
+    mode: 'to-string'
+  });
+
+  assert.strictEqual(readFile(directory, 'doc.adoc'), '= Guide\nJane Doe\n:keywords: a, b\n:status: draft\n\nBody\n');
+});
+
+test('AsciiDoc files with a frontmatter block use the block', t => {
+  const directory = makeSite(t, { 'doc.adoc': '---\ntitle: Guide\n---\n= Guide\n\nBody\n' });
+
+  api.processDirectory(directory, { extension: '.adoc', addField: 'status', addValue: 'draft' });
+
+  assert.strictEqual(readFile(directory, 'doc.adoc'), '---\ntitle: Guide\nstatus: draft\n---\n= Guide\n\nBody\n');
+});
+
+test('MDX blocks go above import lines', t => {
+  const directory = makeSite(t, { 'page.mdx': "import Chart from './chart'\n\n<Chart />\n" });
+
+  api.processDirectory(directory, { extension: '.mdx', addField: 'title', addValue: 'Chart' });
+
+  assert.strictEqual(readFile(directory, 'page.mdx'), "---\ntitle: Chart\n---\nimport Chart from './chart'\n\n<Chart />\n");
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const { collectFiles, collectFilesAsync, createFileFilter } = require('../lib/files');
+const { makeSite } = require('./helpers');
+
+const POST = '---\ntitle: Post\n---\n';
+
+// Function to list the files a walk collects, relative to the walked folder
+function walk(root, options) {
+  return collectFiles(root, options).map(file => path.relative(root, file).split(path.sep).join('/'));
+}
+
+test('include and exclude globs match paths relative to the walk root', t => {
+  const directory = makeSite(t, {
+    'a.md': POST,
+    'notes.txt': 'not content',
+    'blog/b.md': POST,
+    'blog/c.draft.md': POST,
+    'blog/2024/d.md': POST,
+    'drafts/e.md': POST,
+    'node_modules/pkg/readme.md': POST
+  });
+
+  assert.deepStrictEqual(walk(directory), ['a.md', 'blog/2024/d.md', 'blog/b.md', 'blog/c.draft.md', 'drafts/e.md']);
+  assert.deepStrictEqual(walk(directory, { exclude: ['drafts/', '*.draft.md'] }), ['a.md', 'blog/2024/d.md', 'blog/b.md']);
+  assert.deepStrictEqual(walk(directory, { include: 'blog/*.md' }), ['blog/b.md', 'blog/c.draft.md']);
+  assert.deepStrictEqual(walk(directory, { include: ['blog/**'], exclude: 'blog/2024/' }), ['blog/b.md', 'blog/c.draft.md']);
+});
+
+test('.frontmatterignore and .gitignore apply to their folder and below', t => {
+  const directory = makeSite(t, {
+    '.gitignore': 'build/\n',
+    '.frontmatterignore': '*.draft.md\n',
+    'a.md': POST,
+    'a.draft.md': POST,
+    'build/b.md': POST,
+    'blog/.frontmatterignore': 'archive/\n',
+    'blog/e.draft.md': POST,
+    'blog/archive/c.md': POST,
+    'archive/d.md': POST
+  });
+
+  assert.deepStrictEqual(walk(directory), ['a.md', 'archive/d.md']);
+  assert.strictEqual(walk(directory, { ignoreFiles: false }).length, 6);
+});
+
+test('ignore files above the walk root count up to the git root', t => {
+  const directory = makeSite(t, {
+    '.frontmatterignore': '*.md\n',
+    'repo/.git/HEAD': 'ref: refs/heads/main\n',
+    'repo/.gitignore': 'drafts/\n',
+    'repo/site/.frontmatterignore': '*.old.md\n',
+    'repo/site/content/a.md': POST,
+    'repo/site/content/a.old.md': POST,
+    'repo/site/content/drafts/b.md': POST
+  });
+
+  // The rules above repo/ are outside the repository and do not apply
+  assert.deepStrictEqual(walk(path.join(directory, 'repo/site/content')), ['a.md']);
+});
+
+test('without a git repository only the walked folders\' ignore files apply', t => {
+  const directory = makeSite(t, {
+    '.frontmatterignore': '*.md\n',
+    'content/a.md': POST
+  });
+
+  assert.deepStrictEqual(walk(path.join(directory, 'content')), ['a.md']);
+});
+
+test('maxDepth limits how many folder levels are walked', t => {
+  const directory = makeSite(t, { 'a.md': POST, 'b/b.md': POST, 'b/c/c.md': POST });
+
+  assert.deepStrictEqual(walk(directory, { maxDepth: 0 }), ['a.md']);
+  assert.deepStrictEqual(walk(directory, { maxDepth: 1 }), ['a.md', 'b/b.md']);
+  assert.deepStrictEqual(walk(directory, { recursive: false }), ['a.md']);
+});
+
+test('the async walk finds the same files in the same order', async t => {
+  const directory = makeSite(t, {
+    '.frontmatterignore': 'skip/\n',
+    'z.md': POST,
+    'a/b.md': POST,
+    'a/a.md': POST,
+    'skip/c.md': POST
+  });
+  const options = { exclude: 'z.md' };
+
+  assert.deepStrictEqual(await collectFilesAsync(directory, options), collectFiles(directory, options));
+});
+
+test('the file filter agrees with the walk one path at a time', t => {
+  const directory = makeSite(t, {
+    '.frontmatterignore': 'drafts/\n',
+    'a.md': POST,
+    'b/b.md': POST,
+    'b/c/c.md': POST,
+    'drafts/d.md': POST
+  });
+  const accepts = createFileFilter(directory, { maxDepth: 1, exclude: '*.txt' });
+  const file = name => path.join(directory, name);
+
+  assert.strictEqual(accepts(file('a.md')), true);
+  assert.strictEqual(accepts(file('b/b.md')), true);
+  assert.strictEqual(accepts(file('b/c/c.md')), false);
+  assert.strictEqual(accepts(file('drafts/d.md')), false);
+  assert.strictEqual(accepts(file('notes.txt')), false);
+  assert.strictEqual(accepts(file('b'), true), true);
+  assert.strictEqual(accepts(file('drafts'), true), false);
+  assert.strictEqual(accepts(path.join(directory, '..', 'outside.md')), false);
+});
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parseFrontmatter, updateFrontmatter, convertFrontmatter } = require('../lib/frontmatter');
+
+const SOURCE = `---
+# Post settings
+title: 'Old title' # keep me
+tags: [a, b]
+categories:
+  - forex
+  - crypto
+summary: >
+  A long folded
+  summary line.
+body: |
+  line one
+  line two
+draft: true
+---
+Body
+`;
+
+// Function to parse a file's frontmatter, change it and write it back
+function edit(source, change, options) {
+  const { data } = parseFrontmatter(source, {});
+  change(data);
+  return updateFrontmatter(source, data, options);
+}
+
+// Function to swap one line of SOURCE for another
+function withLine(from, to) {
+  assert.ok(SOURCE.includes(from), from);
+  return SOURCE.replace(from, to);
+}
+
+test('unchanged data leaves the file byte for byte', () => {
+  assert.strictEqual(edit(SOURCE, () => {}), SOURCE);
+});
+
+test('a changed value keeps its quotes and inline comment, and the rest of the block', () => {
+  const updated = edit(SOURCE, data => { data.title = 'New title'; });
+  assert.strictEqual(updated, withLine("title: 'Old title' # keep me", "title: 'New title' # keep me"));
+});
+
+test('flow and block lists keep their style when items are added', () => {
+  const updated = edit(SOURCE, data => {
+    data.tags.push('c');
+    data.categories.push('stocks');
+  });
+  assert.strictEqual(
+    updated,
+    withLine('tags: [a, b]', 'tags: [a, b, c]').replace('  - crypto\n', '  - crypto\n  - stocks\n')
+  );
+});
+
+test('folded and literal scalars are untouched by other edits and keep their style when changed', () => {
+  assert.strictEqual(edit(SOURCE, data => { data.draft = false; }), withLine('draft: true', 'draft: false'));
+
+  const updated = edit(SOURCE, data => {
+    data.summary = 'Another folded summary.\n';
+    data.body = 'new\nbody\n';
+  });
+  assert.match(updated, /\nsummary: >\n  Another folded summary\.\nbody: \|\n  new\n  body\ndraft: true\n/);
+  assert.match(updated, /^---\n# Post settings\ntitle: 'Old title' # keep me\n/);
+});
+
+test('added keys go at the end and removed keys take only their own lines', () => {
+  assert.strictEqual(edit(SOURCE, data => { data.author = 'Jo'; }), withLine('draft: true\n', 'draft: true\nauthor: Jo\n'));
+  assert.strictEqual(edit(SOURCE, data => { delete data.tags; }), withLine('tags: [a, b]\n', ''));
+  assert.strictEqual(
+    edit(SOURCE, data => { delete data.summary; }),
+    withLine('summary: >\n  A long folded\n  summary line.\n', '')
+  );
+});
+
+test('renamed keys keep their position, value and comment', () => {
+  const updated = edit(SOURCE, data => {
+    data.headline = data.title;
+    delete data.title;
+  }, { renames: { title: 'headline' } });
+
+  assert.strictEqual(updated, withLine("title: 'Old title' # keep me", "headline: 'Old title' # keep me"));
+});
+
+test('nested maps are patched in place', () => {
+  const source = '---\nseo:\n  # search\n  title: Old\n  noindex: false\n---\n';
+  const updated = edit(source, data => {
+    data.seo.title = 'New';
+    data.seo.image = 'cover.png';
+  });
+  assert.strictEqual(updated, '---\nseo:\n  # search\n  title: New\n  noindex: false\n  image: cover.png\n---\n');
+});
+
+test('CRLF line breaks and plain dates survive an edit', () => {
+  const source = '---\r\ndate: 2024-01-31\r\ndraft: true\r\n---\r\nBody\r\n';
+  const updated = edit(source, data => { data.draft = false; });
+  assert.strictEqual(updated, '---\r\ndate: 2024-01-31\r\ndraft: false\r\n---\r\nBody\r\n');
+});
+
+test('strings that would read back as other types are quoted', () => {
+  const updated = edit('---\ntitle: Post\n---\n', data => {
+    data.version = '1.0';
+    data.enabled = 'yes';
+    data.published = '2024-01-31';
+  });
+  const { data } = parseFrontmatter(updated, {});
+  assert.deepStrictEqual(data, { title: 'Post', version: '1.0', enabled: 'yes', published: '2024-01-31' });
+});
+
+test('dates keep their form when a block is converted to YAML and back', () => {
+  const toml = '+++\ntitle = "Post"\ndate = 2024-01-01\nlastmod = 2024-01-02T10:30:00Z\n+++\nBody\n';
+  const yaml = convertFrontmatter(toml, 'yaml');
+  assert.match(yaml, /^date: 2024-01-01$/m);
+  assert.match(yaml, /^lastmod: 2024-01-02T10:30:00Z$/m);
+
+  const back = convertFrontmatter(yaml, 'toml');
+  assert.match(back, /^date = 2024-01-01$/m);
+  assert.match(back, /^lastmod = 2024-01-02T10:30:00\.000Z$/m);
+});
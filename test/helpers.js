@@ -0,0 +1,30 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Shared setup for the tests. Every test works in a temp folder of its own,
+// removed again when the test ends.
+
+// Function to make a temp folder holding `files` ({ 'posts/a.md': content })
+// for the test t
+function makeSite(t, files = {}) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'fm-test-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  Object.entries(files).forEach(([name, content]) => {
+    const file = path.join(directory, name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+  });
+  return directory;
+}
+
+// Function to read a file below a folder made by makeSite
+function readFile(directory, name) {
+  return fs.readFileSync(path.join(directory, name), 'utf8');
+}
+
+module.exports = {
+  makeSite,
+  readFile
+};
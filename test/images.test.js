@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const { isImageRef, findImages, checkImages, rewriteRef, rewriteImages } = require('../lib/images');
+const { makeSite } = require('./helpers');
+
+const DATA = {
+  title: 'Post',
+  image: '/uploads/hero.jpg',
+  cover: { url: 'covers/post' },
+  images: [
+    { src: './diagram.png', alt: 'Before/after' },
+    { src: 'https://cdn.example.com/photo.webp?v=2', alt: 'A photo.jpg' }
+  ],
+  seo: { canonical: '/posts/post/' }
+};
+
+test('values are images by extension or by the key they sit under', () => {
+  assert.strictEqual(isImageRef('photo.webp?v=2', ['anything']), true);
+  assert.strictEqual(isImageRef('data:image/png;base64,AAAA', ['body']), true);
+  assert.strictEqual(isImageRef('/media/hero', ['ogImage']), true);
+  assert.strictEqual(isImageRef('/media/hero', ['gallery', 0, 'src']), false);
+  assert.strictEqual(isImageRef('/media/hero', ['photos', 0, 'src']), true);
+  assert.strictEqual(isImageRef('Before/after', ['images', 0, 'alt']), false);
+  assert.strictEqual(isImageRef('a cover photo', ['cover']), false);
+});
+
+test('findImages lists references, and scopes may use *', () => {
+  assert.deepStrictEqual(findImages(DATA).map(image => image.field), [
+    'image', 'cover.url', 'images[0].src', 'images[1].src', 'images[1].alt'
+  ]);
+  assert.deepStrictEqual(findImages(DATA, ['images[*].src']).map(image => [image.field, image.remote]), [
+    ['images[0].src', false],
+    ['images[1].src', true]
+  ]);
+  assert.deepStrictEqual(findImages(DATA, ['images[*].alt']).map(image => image.value), ['A photo.jpg']);
+});
+
+test('checkImages looks root-relative paths up in each static root', t => {
+  const directory = makeSite(t, {
+    'static/uploads/hero.jpg': '',
+    'assets/covers/post': '',
+    'content/posts/diagram.png': ''
+  });
+  const file = path.join(directory, 'content/posts/post.md');
+  const roots = [path.join(directory, 'static'), path.join(directory, 'assets')];
+  const images = findImages({ ...DATA, images: [...DATA.images, { src: '/uploads/missing%20file.png' }] });
+
+  assert.deepStrictEqual(checkImages(images, file, roots), [
+    { field: 'cover.url', value: 'covers/post', message: 'not found: covers/post' },
+    { field: 'images[1].alt', value: 'A photo.jpg', message: 'not found: A photo.jpg' },
+    { field: 'images[2].src', value: '/uploads/missing%20file.png', message: 'not found: /uploads/missing%20file.png' }
+  ]);
+});
+
+test('rewrites make paths root-relative and swap prefixes', () => {
+  const file = path.join('/site', 'static', 'posts', 'post.md');
+  const options = { roots: ['/site/static'], toAbsolute: true };
+
+  assert.strictEqual(rewriteRef('./diagram.png', file, options), '/posts/diagram.png');
+  assert.strictEqual(rewriteRef('https://cdn.example.com/a.png', file, options), 'https://cdn.example.com/a.png');
+  assert.throws(() => rewriteRef('../../a.png', file, options), /outside \/site\/static/);
+  assert.strictEqual(rewriteRef('/uploads/a.png', file, { from: '/uploads/', to: '/media/' }), '/media/a.png');
+
+  const data = JSON.parse(JSON.stringify(DATA));
+  const changes = rewriteImages(data, findImages(data, ['image', 'images[*].src']), file, { from: '/uploads/', to: '/media/' });
+  assert.deepStrictEqual(changes, [{ type: 'rewrite-image', field: 'image', oldValue: '/uploads/hero.jpg', value: '/media/hero.jpg' }]);
+  assert.strictEqual(data.image, '/media/hero.jpg');
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const inquirer = require('inquirer');
+
+const { parseArguments, runInteractiveMode } = require('../frontmatter-array');
+const { makeSite, readFile } = require('./helpers');
+
+// Function to run an interactive session with canned answers (by question
+// name), returning what it printed
+async function runSession(argv, answers) {
+  const prompt = inquirer.prompt;
+  const isTTY = process.stdin.isTTY;
+  const log = console.log;
+  const error = console.error;
+  let output = '';
+
+  inquirer.prompt = async questions => Object.fromEntries(questions.map(question => [question.name, answers[question.name]]));
+  process.stdin.isTTY = true;
+  console.log = (...parts) => { output += parts.join(' ') + '\n'; };
+  console.error = console.log;
+
+  try {
+    await runInteractiveMode(parseArguments(['node', 'frontmatter-array.js', ...argv]), new Date());
+  } finally {
+    inquirer.prompt = prompt;
+    process.stdin.isTTY = isTTY;
+    console.log = log;
+    console.error = error;
+  }
+  return output;
+}
+
+test('interactive mode previews and applies changes with the default options', async t => {
+  const directory = makeSite(t, {
+    'content/post.md': '---\ntags: a, b\n---\nBody\n',
+    'content/done.md': '---\ntags:\n  - c\n---\nBody\n'
+  });
+  const site = path.join(directory, 'content');
+
+  const output = await runSession([site, '--interactive', '--state-dir', path.join(directory, '.state')], {
+    operations: ['to-array'],
+    fields: ['tags'],
+    delimiter: ',',
+    apply: 'all'
+  });
+
+  assert.doesNotMatch(output, /Error processing|keyFor/);
+  assert.match(output, /1 of 2 file\(s\) would change/);
+  assert.match(output, /Updated 1 file\(s\)/);
+  assert.match(readFile(site, 'post.md'), /- a\n\s*- b/);
+});
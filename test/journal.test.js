@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const api = require('../lib/api');
+const { createJournal, listRuns, readRun, undoRun } = require('../lib/journal');
+const { makeSite, readFile } = require('./helpers');
+
+// Function to run to-array over the content folder of a site, journaled
+function journaledRun(directory) {
+  const stateDir = path.join(directory, '.frontmatter');
+  const journal = createJournal({ stateDir, tool: 'test', command: 'to-array' });
+  api.processDirectory(path.join(directory, 'content'), { journal, cache: false });
+  return { stateDir, journal };
+}
+
+test('undo restores every file a run wrote', t => {
+  const directory = makeSite(t, {
+    'content/a.md': '---\naiKeywords: a, b # keep\n---\nA\n',
+    'content/nested/b.md': '---\naiKeywords: c\n---\nB\n',
+    'content/done.md': '---\naiKeywords: [d]\n---\n'
+  });
+  const { stateDir, journal } = journaledRun(directory);
+  assert.strictEqual(journal.count(), 2);
+  assert.notStrictEqual(readFile(directory, 'content/a.md'), '---\naiKeywords: a, b # keep\n---\nA\n');
+
+  const result = undoRun(stateDir);
+
+  assert.strictEqual(result.id, journal.id);
+  assert.strictEqual(result.restored.length, 2);
+  assert.deepStrictEqual(result.conflicts, []);
+  assert.strictEqual(readFile(directory, 'content/a.md'), '---\naiKeywords: a, b # keep\n---\nA\n');
+  assert.strictEqual(readFile(directory, 'content/nested/b.md'), '---\naiKeywords: c\n---\nB\n');
+  assert.ok(readRun(stateDir, journal.id).undone);
+  assert.throws(() => undoRun(stateDir), /Nothing to undo/);
+});
+
+test('undo moves renamed files back, latest rename first', t => {
+  const directory = makeSite(t, { 'content/draft.md': '---\nslug: post\n---\n' });
+  const stateDir = path.join(directory, '.frontmatter');
+  const file = name => path.join(directory, 'content', name);
+
+  const journal = createJournal({ stateDir });
+  journal.recordRename(file('draft.md'), file('post.md'));
+  fs.renameSync(file('draft.md'), file('post.md'));
+  journal.recordRename(file('post.md'), file('final.md'));
+  fs.renameSync(file('post.md'), file('final.md'));
+
+  const result = undoRun(stateDir, journal.id);
+
+  assert.deepStrictEqual(result.conflicts, []);
+  assert.deepStrictEqual(fs.readdirSync(path.join(directory, 'content')), ['draft.md']);
+  assert.strictEqual(readFile(directory, 'content/draft.md'), '---\nslug: post\n---\n');
+});
+
+test('undo does not move a file back over one that has taken its name', t => {
+  const directory = makeSite(t, { 'content/draft.md': '---\nslug: post\n---\n' });
+  const stateDir = path.join(directory, '.frontmatter');
+  const file = name => path.join(directory, 'content', name);
+
+  const journal = createJournal({ stateDir });
+  journal.recordRename(file('draft.md'), file('post.md'));
+  fs.renameSync(file('draft.md'), file('post.md'));
+  fs.writeFileSync(file('draft.md'), 'new draft\n');
+
+  const result = undoRun(stateDir, journal.id);
+
+  assert.deepStrictEqual(result.conflicts, [{ path: file('draft.md'), reason: 'another file has taken its name since the run' }]);
+  assert.strictEqual(readFile(directory, 'content/draft.md'), 'new draft\n');
+  assert.strictEqual(readFile(directory, 'content/post.md'), '---\nslug: post\n---\n');
+});
+
+test('undo leaves files changed since the run alone and is journaled itself', t => {
+  const directory = makeSite(t, {
+    'content/a.md': '---\naiKeywords: a, b\n---\n',
+    'content/b.md': '---\naiKeywords: c\n---\n'
+  });
+  const { stateDir, journal } = journaledRun(directory);
+  fs.writeFileSync(path.join(directory, 'content/b.md'), '---\naiKeywords: [edited]\n---\n');
+
+  const undoJournal = createJournal({ stateDir, undoes: journal.id });
+  const result = undoRun(stateDir, journal.id, { journal: undoJournal });
+
+  assert.deepStrictEqual(result.conflicts, [{ path: path.join(directory, 'content/b.md'), reason: 'modified since the run' }]);
+  assert.strictEqual(readFile(directory, 'content/a.md'), '---\naiKeywords: a, b\n---\n');
+  assert.strictEqual(readFile(directory, 'content/b.md'), '---\naiKeywords: [edited]\n---\n');
+  assert.strictEqual(readRun(stateDir, journal.id).undone, null);
+
+  // The partial undo can be undone in turn
+  assert.strictEqual(listRuns(stateDir)[0].undoes, journal.id);
+  undoRun(stateDir, undoJournal.id);
+  assert.notStrictEqual(readFile(directory, 'content/a.md'), '---\naiKeywords: a, b\n---\n');
+
+  undoRun(stateDir, journal.id, { force: true });
+  assert.strictEqual(readFile(directory, 'content/b.md'), '---\naiKeywords: c\n---\n');
+});
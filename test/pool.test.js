@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { mapInOrder, parseConcurrency, DEFAULT_CONCURRENCY } = require('../lib/pool');
+
+// Function to wait a number of milliseconds
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('results come back in input order, however the workers finish', async () => {
+  const delays = [40, 5, 25, 0, 15, 30];
+  const done = [];
+  const emitted = [];
+  let running = 0;
+  let mostRunning = 0;
+
+  const results = await mapInOrder(delays, 3, async (delay, index) => {
+    running++;
+    mostRunning = Math.max(mostRunning, running);
+    await sleep(delay);
+    running--;
+    return `item ${index}`;
+  }, {
+    onDone: (result, index) => done.push(index),
+    onResult: (result, index) => emitted.push([index, result])
+  });
+
+  assert.notDeepStrictEqual(done, [0, 1, 2, 3, 4, 5]);
+  assert.deepStrictEqual(emitted.map(([index]) => index), [0, 1, 2, 3, 4, 5]);
+  assert.deepStrictEqual(emitted.map(([, result]) => result), results);
+  assert.deepStrictEqual(results, ['item 0', 'item 1', 'item 2', 'item 3', 'item 4', 'item 5']);
+  assert.strictEqual(mostRunning, 3);
+});
+
+test('a result waits for the ones listed before it', async () => {
+  const emitted = [];
+  let releaseFirst;
+  const first = new Promise(resolve => { releaseFirst = resolve; });
+
+  const run = mapInOrder(['a', 'b', 'c'], 3, async (item, index) => {
+    if (index === 0) await first;
+    return item;
+  }, { onResult: result => emitted.push(result) });
+
+  await sleep(10);
+  assert.deepStrictEqual(emitted, []);
+  releaseFirst();
+  await run;
+  assert.deepStrictEqual(emitted, ['a', 'b', 'c']);
+});
+
+test('a concurrency of one runs the items one at a time', async () => {
+  const log = [];
+  await mapInOrder([1, 2, 3], 1, async item => {
+    log.push(`start ${item}`);
+    await sleep(1);
+    log.push(`end ${item}`);
+  });
+  assert.deepStrictEqual(log, ['start 1', 'end 1', 'start 2', 'end 2', 'start 3', 'end 3']);
+  assert.deepStrictEqual(await mapInOrder([], 4, async () => 1), []);
+});
+
+test('--concurrency takes whole numbers of 1 or more', () => {
+  assert.strictEqual(parseConcurrency('4'), 4);
+  assert.strictEqual(parseConcurrency(undefined), DEFAULT_CONCURRENCY);
+  assert.throws(() => parseConcurrency('0'), /whole number of 1 or more \(got 0\)/);
+  assert.throws(() => parseConcurrency('2.5'), /got 2\.5/);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parseSort, runQuery, formatQuery } = require('../lib/query');
+
+const RECORDS = [
+  { file: 'posts/b.md', data: { title: 'Beta', date: new Date('2024-03-01'), tags: ['seo', 'ads'], seo: { score: 7 } } },
+  { file: 'posts/a.md', data: { title: 'Alpha', date: new Date('2024-01-15'), tags: ['seo'], seo: { score: 9 } } },
+  { file: 'posts/c.md', data: { title: 'Gamma, "the third"', tags: [] } }
+];
+
+test('sort keys take a leading dash or :desc', () => {
+  assert.deepStrictEqual(parseSort('date,-title, rating:desc'), [
+    { column: 'date', descending: false },
+    { column: 'title', descending: true },
+    { column: 'rating', descending: true }
+  ]);
+  assert.deepStrictEqual(parseSort(''), []);
+});
+
+test('rows hold the chosen columns, sorted with missing values last', () => {
+  const result = runQuery(RECORDS, { columns: ['$name', 'seo.score'], sort: 'date' });
+
+  assert.deepStrictEqual(result.columns, ['$name', 'seo.score']);
+  assert.deepStrictEqual(result.rows.map(row => row.$name), ['a.md', 'b.md', 'c.md']);
+  assert.deepStrictEqual(result.rows.map(row => row['seo.score']), [9, 7, undefined]);
+  assert.deepStrictEqual(Object.keys(result.rows[0]), ['$name', 'seo.score']);
+
+  const descending = runQuery(RECORDS, { sort: '-date', limit: 2 });
+  assert.deepStrictEqual(descending.columns, ['$file', 'title']);
+  assert.deepStrictEqual(descending.rows.map(row => row.title), ['Beta', 'Alpha']);
+});
+
+test('grouping by an array field counts a file under each element', () => {
+  const result = runQuery(RECORDS, { groupBy: 'tags' });
+
+  assert.deepStrictEqual(result.columns, ['tags', 'count']);
+  assert.deepStrictEqual(result.rows, [{ tags: 'seo', count: 2 }, { tags: 'ads', count: 1 }]);
+  assert.deepStrictEqual(runQuery(RECORDS, { count: true }).rows, [{ count: 3 }]);
+});
+
+test('results render as CSV, Markdown, JSON and tables', () => {
+  const result = runQuery(RECORDS, { columns: ['title', 'date', 'tags'], sort: 'title' });
+
+  assert.strictEqual(formatQuery(result, 'csv'), [
+    'title,date,tags',
+    'Alpha,2024-01-15,seo',
+    'Beta,2024-03-01,"seo, ads"',
+    '"Gamma, ""the third""",,'
+  ].join('\n'));
+  assert.strictEqual(formatQuery(result, 'markdown').split('\n')[2], '| Alpha | 2024-01-15 | seo |');
+  assert.deepStrictEqual(JSON.parse(formatQuery(result, 'json'))[2], { title: 'Gamma, "the third"', date: null, tags: [] });
+  assert.deepStrictEqual(formatQuery(result, 'table').split('\n').slice(0, 3), [
+    'title               date        tags',
+    '------------------  ----------  --------',
+    'Alpha               2024-01-15  seo'
+  ]);
+  assert.throws(() => formatQuery(result, 'xml'), /Unknown query output format: xml/);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const { createRecipe, loadRecipe, applyRecipe, describeStep } = require('../lib/recipe');
+const { makeSite } = require('./helpers');
+
+test('steps are normalized from their short and long forms', () => {
+  const recipe = createRecipe({
+    description: 'Tidy up tags',
+    steps: [
+      { rename: { from: 'keywords', to: 'tags' } },
+      { 'to-array': { fields: 'tags' } },
+      { unique: 'tags, categories' },
+      { default: { field: 'status', value: 'draft' } },
+      { set: 'seo.noindex' },
+      { remove: ['legacyId'] }
+    ]
+  });
+
+  assert.strictEqual(recipe.description, 'Tidy up tags');
+  assert.deepStrictEqual(recipe.steps, [
+    { type: 'rename', from: 'keywords', to: 'tags' },
+    { type: 'to-array', fields: ['tags'], delimiter: ',' },
+    { type: 'unique', fields: ['tags', 'categories'] },
+    { type: 'default', field: 'status', value: 'draft' },
+    { type: 'set', field: 'seo.noindex', value: '' },
+    { type: 'remove', fields: ['legacyId'] }
+  ]);
+  assert.deepStrictEqual(createRecipe(recipe.steps).steps, recipe.steps);
+  assert.deepStrictEqual(recipe.steps.map(describeStep), [
+    'rename keywords -> tags',
+    'to-array tags (delimiter ",")',
+    'unique tags, categories',
+    'default status = "draft"',
+    'set seo.noindex = ""',
+    'remove legacyId'
+  ]);
+});
+
+test('invalid steps are rejected with their step number', () => {
+  const fails = (steps, message) => assert.throws(() => createRecipe({ steps }), message);
+
+  fails([], /non-empty "steps" list/);
+  fails([{ remove: 'a' }, { delete: 'a' }], /Recipe step 2: unknown step "delete"/);
+  fails([{ remove: 'a', sort: 'b' }], /Recipe step 1 must be an object with a single step name/);
+  fails(['remove'], /Recipe step 1 must be an object/);
+  fails([{ rename: 'keywords' }], /Recipe step 1 \(rename\) needs \{ from, to \}/);
+  fails([{ rename: { from: 'keywords' } }], /Recipe step 1 \(rename\): "to" is required/);
+  fails([{ sort: { fields: 'tags', order: 'desc' } }], /Recipe step 1 \(sort\): unknown parameter "order"/);
+  fails([{ default: { field: '', value: 'x' } }], /Recipe step 1 \(default\): "field" is required/);
+  fails([{ remove: null }], /Recipe step 1 \(remove\) needs parameters/);
+});
+
+test('steps run in order, each seeing the ones before it', () => {
+  const recipe = createRecipe([
+    { rename: { from: 'keywords', to: 'tags' } },
+    { 'to-array': { fields: 'tags' } },
+    { unique: 'tags' },
+    { sort: 'tags' },
+    { default: { field: 'status', value: 'draft' } },
+    { set: { field: 'seo.noindex', value: true } },
+    { remove: 'legacyId, missing' }
+  ]);
+  const data = { title: 'Post', keywords: 'seo, ads, seo', status: '', legacyId: 7 };
+  const changes = applyRecipe(data, recipe);
+
+  assert.deepStrictEqual(data, { title: 'Post', tags: ['ads', 'seo'], status: 'draft', seo: { noindex: true } });
+  assert.deepStrictEqual(changes.map(change => [change.step, change.type]), [
+    [1, 'rename-field'],
+    [2, 'convert-to-array'],
+    [3, 'process-array'],
+    [4, 'process-array'],
+    [5, 'add-field'],
+    [6, 'set-field'],
+    [7, 'remove-field']
+  ]);
+  assert.deepStrictEqual(applyRecipe(data, recipe), []);
+});
+
+test('recipe files name the file in their errors', t => {
+  const directory = makeSite(t, {
+    'tidy.yaml': 'steps:\n  - unique: tags\n  - sort: tags\n',
+    'broken.yaml': 'steps:\n  - unique: tags\n  - shuffle: tags\n',
+    'bad.json': '{ "steps": [ }'
+  });
+
+  assert.strictEqual(loadRecipe(path.join(directory, 'tidy.yaml')).steps.length, 2);
+  assert.throws(() => loadRecipe(path.join(directory, 'broken.yaml')), /broken\.yaml: Recipe step 2: unknown step "shuffle"/);
+  assert.throws(() => loadRecipe(path.join(directory, 'bad.json')), /Could not parse recipe .*bad\.json/);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createReplacer, replaceInData } = require('../lib/replace');
+const { parseFrontmatter, updateFrontmatter } = require('../lib/frontmatter');
+
+// Function to replace text in a file's frontmatter and write it back
+function replaceInFile(source, options, fields) {
+  const { data } = parseFrontmatter(source, {});
+  const changes = replaceInData(data, createReplacer(options), fields);
+  return { changes, text: updateFrontmatter(source, data) };
+}
+
+test('literal search takes the text and replacement as they are', () => {
+  const replacer = createReplacer({ find: 'a.b', replacement: '$1' });
+  assert.deepStrictEqual(replacer.apply('a.b axb a.b').text, '$1 axb $1');
+  assert.throws(() => createReplacer({ find: '' }), /Nothing to find/);
+});
+
+test('regex search fills in groups, and ^ matches at line breaks', () => {
+  const dates = createReplacer({ find: '(\\d{2})/(?<month>\\d{2})', replacement: '$<month>-$1', regex: true });
+  assert.strictEqual(dates.apply('31/01 and 28/02').text, '01-31 and 02-28');
+
+  const lines = createReplacer({ find: '^- ', replacement: '* ', regex: true });
+  assert.strictEqual(lines.apply('- one\n- two').text, '* one\n* two');
+
+  const empty = createReplacer({ find: 'x*', replacement: '-', regex: true });
+  assert.strictEqual(empty.apply('ab').text, '-a-b-');
+});
+
+test('preserveCase keeps the case of each match', () => {
+  const replacer = createReplacer({ find: 'forex', replacement: 'currency', ignoreCase: true, preserveCase: true });
+  assert.strictEqual(replacer.apply('forex Forex FOREX').text, 'currency Currency CURRENCY');
+});
+
+test('folded and literal strings are searched as text and keep their style', () => {
+  const source = '---\nsummary: >\n  Trading forex\n  every day.\nbody: |\n  forex line\n  other line\ntitle: "Forex"\n---\n';
+  const { changes, text } = replaceInFile(source, { find: 'forex', replacement: 'crypto' });
+
+  assert.deepStrictEqual(changes.map(change => change.field), ['summary', 'body']);
+  assert.strictEqual(changes[0].oldValue, 'Trading forex every day.\n');
+  assert.strictEqual(text, '---\nsummary: >\n  Trading crypto every day.\nbody: |\n  crypto line\n  other line\ntitle: "Forex"\n---\n');
+});
+
+test('scopes limit the search and may use * for every element', () => {
+  const source = [
+    '---',
+    'title: Old logo',
+    'images:',
+    '  - src: old-logo.png',
+    '    alt: Old logo',
+    '  - src: banner.png',
+    '    alt: Old banner',
+    'seo:',
+    '  title: Old logo',
+    '---',
+    ''
+  ].join('\n');
+  const { changes, text } = replaceInFile(source, { find: 'Old', replacement: 'New' }, ['images[*].alt', 'seo.*']);
+
+  assert.deepStrictEqual(changes.map(change => change.field), ['images[0].alt', 'images[1].alt', 'seo.title']);
+  assert.match(text, /^title: Old logo$/m);
+  assert.match(text, /^ {2}- src: old-logo\.png$/m);
+  assert.match(text, /^ {4}alt: New banner$/m);
+});
+
+test('strings in nested arrays are found without a scope, and other values are skipped', () => {
+  const data = { tags: ['seo', 'seo-tips'], rating: 5, date: new Date('2024-01-31'), nested: { list: [{ note: 'seo' }] } };
+  const changes = replaceInData(data, createReplacer({ find: 'seo', replacement: 'SEO' }));
+
+  assert.deepStrictEqual(changes.map(change => change.field), ['tags[0]', 'tags[1]', 'nested.list[0].note']);
+  assert.deepStrictEqual(data.tags, ['SEO', 'SEO-tips']);
+  assert.strictEqual(data.rating, 5);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { buildReport, serializeReport } = require('../lib/report');
+
+// A run with one file of every status, shaped like the API's run objects
+const RUN = {
+  mode: 'validate',
+  summary: { processed: 5, modified: 1, failed: 1, errors: 1, skipped: 1 },
+  files: [
+    { file: 'posts/ok.md', validation: { valid: true, violations: [] } },
+    {
+      file: 'posts/bad.md',
+      validation: { valid: false, violations: [{ path: 'title', rule: 'required', message: 'is required' }] }
+    },
+    { file: 'posts/broken.md', error: 'Could not parse frontmatter' },
+    { file: 'posts/draft.md', skipped: 'no frontmatter' },
+    { file: 'posts/edited.md', modified: true, changes: [{ type: 'add-value', field: 'tags', values: ['seo'] }] }
+  ],
+  errors: [{ path: 'posts/locked', message: 'EACCES: permission denied' }]
+};
+
+// Function to read an attribute of the first element with that name
+function attribute(xml, element, name) {
+  const match = xml.match(new RegExp(`<${element} [^>]*${name}="([^"]*)"`));
+  return match && match[1];
+}
+
+test('JSON reports give every file a status and keep the run summary', () => {
+  const report = JSON.parse(serializeReport(buildReport(RUN, { startedAt: '2024-01-01T00:00:00.000Z' }), 'json'));
+
+  assert.strictEqual(report.command, 'validate');
+  assert.deepStrictEqual(report.summary, RUN.summary);
+  assert.deepStrictEqual(report.files.map(file => file.status), ['passed', 'failed', 'error', 'skipped', 'modified']);
+  assert.deepStrictEqual(report.files[1].violations, RUN.files[1].validation.violations);
+  assert.deepStrictEqual(report.files[4].changes, [{ type: 'add-value', field: 'tags', newValue: ['seo'] }]);
+  assert.strictEqual(report.files[3].skipReason, 'no frontmatter');
+  assert.deepStrictEqual(report.errors, RUN.errors);
+});
+
+test('JUnit reports count failures, errors and skips', () => {
+  const xml = serializeReport(buildReport(RUN), 'junit');
+
+  assert.strictEqual(attribute(xml, 'testsuite', 'tests'), '5');
+  assert.strictEqual(attribute(xml, 'testsuite', 'failures'), '1');
+  assert.strictEqual(attribute(xml, 'testsuite', 'errors'), '2');
+  assert.strictEqual(attribute(xml, 'testsuite', 'skipped'), '1');
+  assert.strictEqual((xml.match(/<testcase /g) || []).length, 6);
+  assert.match(xml, /<failure message="1 validation problem\(s\)" type="validation">title is required \(required\)<\/failure>/);
+  assert.match(xml, /<skipped message="no frontmatter"\/>/);
+  assert.match(xml, /<system-out>add-value tags new=\[&quot;seo&quot;\]<\/system-out>/);
+});
+
+test('JUnit reports in --check runs fail files that would change', () => {
+  const xml = serializeReport(buildReport({ ...RUN, check: true }), 'junit');
+
+  assert.strictEqual(attribute(xml, 'testsuite', 'failures'), '2');
+  assert.match(xml, /<failure message="would be modified \(1 change\(s\)\)" type="check">/);
+});
+
+test('JUnit reports escape file names', () => {
+  const run = { summary: {}, files: [{ file: `Tom & Jerry's <"best">.md`, error: 'a < b' }], errors: [] };
+  const xml = serializeReport(buildReport(run), 'junit');
+
+  assert.match(xml, /<testcase [^>]*name="Tom &amp; Jerry&apos;s &lt;&quot;best&quot;&gt;\.md">/);
+  assert.match(xml, /<error message="a &lt; b" type="error"\/>/);
+});
+
+test('NDJSON reports end with a summary record', () => {
+  const lines = serializeReport(buildReport(RUN), 'ndjson').trim().split('\n').map(line => JSON.parse(line));
+
+  assert.deepStrictEqual(lines.map(line => line.type), ['file', 'file', 'file', 'file', 'file', 'error', 'summary']);
+  assert.deepStrictEqual(lines[6].summary, RUN.summary);
+});
+
+test('unknown formats are rejected', () => {
+  assert.throws(() => serializeReport(buildReport(RUN), 'xml'), /Unknown report format: xml/);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const { createSchema, loadSchema, validate } = require('../lib/schema');
+const { makeSite } = require('./helpers');
+
+// Function to list the "path rule" pairs a schema reports for data
+function violations(fields, data) {
+  return validate(data, createSchema({ fields })).violations.map(v => `${v.path} ${v.rule}`);
+}
+
+test('short forms become type rules', () => {
+  const schema = createSchema({ fields: { tags: 'array', authors: { items: 'string' } } });
+  assert.strictEqual(schema.fields.tags.type, 'array');
+  assert.strictEqual(schema.fields.authors.items.type, 'string');
+
+  assert.deepStrictEqual(violations({ tags: 'array' }, { tags: 'seo' }), ['tags type']);
+  assert.deepStrictEqual(violations({ authors: { items: 'string' } }, { authors: ['a', 2] }), ['authors[1] type']);
+});
+
+test('a list of field names makes every field required', () => {
+  const result = validate({ title: 'Post' }, createSchema(['title', 'date']));
+  assert.strictEqual(result.valid, false);
+  assert.deepStrictEqual(result.missingFields, ['date']);
+});
+
+test('only undefined and null count as missing', () => {
+  const fields = { count: { required: true }, draft: { required: true }, note: { required: true } };
+  assert.deepStrictEqual(violations(fields, { count: 0, draft: false, note: '' }), []);
+  assert.deepStrictEqual(violations(fields, { count: null, draft: false }), ['count required', 'note required']);
+});
+
+test('nested properties and items are checked with their paths', () => {
+  const fields = {
+    author: { type: 'object', properties: { name: { type: 'string', required: true } } },
+    images: { type: 'array', items: { properties: { src: { required: true }, alt: { maxLength: 5 } } } }
+  };
+  const data = {
+    author: { email: 'a@example.com' },
+    images: [{ src: 'a.png', alt: 'short' }, { alt: 'too long' }]
+  };
+  assert.deepStrictEqual(violations(fields, data), ['author.name required', 'images[1].src required', 'images[1].alt maxLength']);
+});
+
+test('patterns apply to strings only', () => {
+  const fields = { slug: { pattern: '^[a-z0-9-]+$' }, tags: { items: { pattern: '^[a-z]+$' } } };
+  assert.deepStrictEqual(violations(fields, { slug: 'my-post', tags: ['seo'] }), []);
+  assert.deepStrictEqual(violations(fields, { slug: 'My Post', tags: ['seo', 'Ads', 3] }), ['slug pattern', 'tags[1] pattern']);
+});
+
+test('dates may be YAML timestamps or date strings', () => {
+  const fields = { date: { type: 'date' } };
+  assert.deepStrictEqual(violations(fields, { date: new Date('2024-01-31') }), []);
+  assert.deepStrictEqual(violations(fields, { date: '2024-01-31T10:00:00Z' }), []);
+  assert.deepStrictEqual(violations(fields, { date: 'yesterday' }), ['date type']);
+  assert.deepStrictEqual(violations(fields, { date: 20240131 }), ['date type']);
+});
+
+test('enum values match dates by value', t => {
+  const directory = makeSite(t, {
+    'schema.yaml': 'fields:\n  status: { enum: [draft, published] }\n  launch: { enum: [2024-01-01, 2024-06-01] }\n'
+  });
+  const schema = loadSchema(path.join(directory, 'schema.yaml'));
+
+  assert.strictEqual(validate({ status: 'draft', launch: new Date('2024-06-01') }, schema).valid, true);
+  const result = validate({ status: 'archived', launch: new Date('2024-02-01') }, schema);
+  assert.deepStrictEqual(result.violations.map(v => v.rule), ['enum', 'enum']);
+});
+
+test('unknown rules and types are rejected', () => {
+  assert.throws(() => createSchema({ fields: { title: { type: 'text' } } }), /Unknown type "text" for title/);
+  assert.throws(() => createSchema({ fields: { title: { requried: true } } }), /Unknown schema rule "requried" for title/);
+  assert.throws(() => createSchema({ title: 'string' }), /top-level "fields" map/);
+});
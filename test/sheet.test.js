@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { buildSheet, serializeSheet, parseSheet, planRow, encodeCell, decodeCell } = require('../lib/sheet');
+
+const DATA = {
+  title: 'Hello, "world"',
+  date: new Date('2024-01-31'),
+  tags: ['seo', 'ads'],
+  rating: 4,
+  draft: false,
+  seo: { noindex: true }
+};
+
+// Function to export one record and read the sheet back
+function roundTrip(data, format, columns) {
+  const sheet = buildSheet([{ file: '/site/posts/a.md', data }], columns, '/site');
+  return parseSheet(serializeSheet(sheet, format), format);
+}
+
+test('cells encode arrays, dates and objects as text', () => {
+  assert.strictEqual(encodeCell(['a', 'b']), 'a; b');
+  assert.strictEqual(encodeCell(['a;b', 'c']), '["a;b","c"]');
+  assert.strictEqual(encodeCell(new Date('2024-01-31')), '2024-01-31');
+  assert.strictEqual(encodeCell(new Date('2024-01-31T10:30:00Z')), '2024-01-31T10:30:00.000Z');
+  assert.strictEqual(encodeCell({ a: 1 }), '{"a":1}');
+  assert.strictEqual(encodeCell(null), '');
+});
+
+test('cells are read back with the type the field has on disk', () => {
+  assert.deepStrictEqual(decodeCell('seo; ads ;', ['x']), ['seo', 'ads']);
+  assert.deepStrictEqual(decodeCell('2024-02-01', new Date('2024-01-31')), new Date('2024-02-01'));
+  assert.strictEqual(decodeCell('5', 4), 5);
+  assert.strictEqual(decodeCell('five', 4), 'five');
+  assert.strictEqual(decodeCell('TRUE', false), true);
+  assert.strictEqual(decodeCell('5', 'four'), '5');
+});
+
+test('an exported row imports back without changes in every format', () => {
+  ['csv', 'tsv', 'json'].forEach(format => {
+    const sheet = roundTrip(DATA, format);
+    assert.deepStrictEqual(sheet.fields, Object.keys(DATA));
+    assert.strictEqual(sheet.rows[0].$file, 'posts/a.md');
+
+    const plan = planRow(DATA, sheet.rows[0], sheet.fields);
+    assert.deepStrictEqual(plan, { conflict: null, changes: [], emptied: [] }, format);
+  });
+});
+
+test('edited cells become changes and emptied cells need clearEmpty', () => {
+  const sheet = roundTrip(DATA, 'csv', ['title', 'rating', 'tags', 'seo.noindex']);
+  const row = { ...sheet.rows[0], rating: '5', tags: '', 'seo.noindex': 'false' };
+
+  const plan = planRow(DATA, row, sheet.fields);
+  assert.deepStrictEqual(plan.changes, [
+    { field: 'rating', oldValue: 4, value: 5 },
+    { field: 'seo.noindex', oldValue: true, value: false }
+  ]);
+  assert.deepStrictEqual(plan.emptied, ['tags']);
+
+  const cleared = planRow(DATA, row, sheet.fields, { clearEmpty: true });
+  assert.deepStrictEqual(cleared.changes[1], { field: 'tags', oldValue: ['seo', 'ads'], value: undefined });
+});
+
+test('a row whose file changed after the export is a conflict', () => {
+  const sheet = roundTrip(DATA, 'csv');
+  const row = { ...sheet.rows[0], rating: '5' };
+  const edited = { ...DATA, draft: true };
+
+  assert.deepStrictEqual(planRow(edited, row, sheet.fields), {
+    conflict: 'changed on disk since the export',
+    changes: [],
+    emptied: []
+  });
+  // Forced, the sheet wins over the edit on disk
+  assert.deepStrictEqual(planRow(edited, row, sheet.fields, { force: true }).changes, [
+    { field: 'rating', oldValue: 4, value: 5 },
+    { field: 'draft', oldValue: true, value: false }
+  ]);
+
+  // Rows without a $hash (hand-made sheets) are never conflicts
+  const { $hash, ...unhashed } = row;
+  assert.strictEqual(planRow(edited, unhashed, sheet.fields).conflict, null);
+});
+
+test('CSV cells may hold quotes, delimiters and line breaks', () => {
+  const text = '\ufeff$file,title,summary\r\nposts/a.md,"Hello, ""world""","line one\nline two"\r\n\r\n';
+  const sheet = parseSheet(text, 'csv');
+
+  assert.deepStrictEqual(sheet.rows, [{ $file: 'posts/a.md', title: 'Hello, "world"', summary: 'line one\nline two' }]);
+  assert.throws(() => parseSheet('title\nPost\n', 'csv'), /no \$file column/);
+});
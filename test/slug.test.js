@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const slug = require('../lib/slug');
+const { makeSite, readFile } = require('./helpers');
+
+const EDITOR = path.join(__dirname, '..', 'frontmatter-editor.js');
+
+// Function to make a folder of content files and run the editor in it
+function runEditor(t, files, argv) {
+  const directory = makeSite(t);
+  fs.mkdirSync(path.join(directory, 'content'));
+  Object.entries(files).forEach(([name, content]) => {
+    fs.writeFileSync(path.join(directory, 'content', name), content);
+  });
+
+  const run = spawnSync(process.execPath, [EDITOR, ...argv, '--directory', 'content'], {
+    cwd: directory,
+    encoding: 'utf8',
+    env: { ...process.env, FORCE_COLOR: '0' },
+    timeout: 30000
+  });
+  return { ...run, content: path.join(directory, 'content') };
+}
+
+test('titles are transliterated into slugs', () => {
+  assert.strictEqual(slug.slugify('Crème Brûlée & Co.'), 'creme-brulee-and-co');
+  assert.strictEqual(slug.slugify('Straße in Łódź'), 'strasse-in-lodz');
+  assert.strictEqual(slug.slugify('Über uns', slug.createSlugger({ transliterate: 'Ü=Ue' })), 'ueber-uns');
+  assert.strictEqual(slug.slugify('Hello World', slug.createSlugger({ separator: '_', lowercase: false })), 'Hello_World');
+  assert.strictEqual(slug.slugify('日本語'), '');
+});
+
+test('filenames keep their date prefix and language suffix', () => {
+  assert.strictEqual(slug.slugFromFilename('posts/2024-01-05-my-post.md'), 'my-post');
+  assert.strictEqual(slug.renameTarget('posts/2024-01-05-old.en.md', 'new'), path.join('posts', '2024-01-05-new.en.md'));
+  assert.strictEqual(slug.slugFromFilename('posts/my-post/index.md'), 'my-post');
+  assert.strictEqual(slug.renameTarget('posts/my-post/index.md', 'new'), null);
+});
+
+test('slugs that end up the same in a folder are collisions', () => {
+  const collisions = slug.findSlugCollisions([
+    { file: 'posts/a.md', slug: 'hello' },
+    { file: 'posts/b.md', slug: 'Hello' },
+    { file: 'news/c.md', slug: 'hello' }
+  ]);
+  assert.deepStrictEqual(collisions, [{ slug: 'hello', dir: 'posts', files: ['posts/a.md', 'posts/b.md'] }]);
+});
+
+test('slug generate fills in missing slugs from the title', t => {
+  const run = runEditor(t, {
+    'draft.md': '---\ntitle: Crème Brûlée & Co.\n---\n',
+    'kept.md': '---\ntitle: Kept\nslug: my-own\n---\n'
+  }, ['slug']);
+
+  assert.strictEqual(run.status, 0, run.stderr);
+  assert.match(readFile(run.content, 'draft.md'), /slug: creme-brulee-and-co/);
+  assert.match(readFile(run.content, 'kept.md'), /slug: my-own/);
+});
+
+test('slug rename moves files to their slug and keeps the date prefix', t => {
+  const run = runEditor(t, { '2024-01-05-draft.md': '---\nslug: final\n---\n' }, ['slug', 'rename']);
+
+  assert.strictEqual(run.status, 0, run.stderr);
+  assert.deepStrictEqual(fs.readdirSync(run.content), ['2024-01-05-final.md']);
+});
+
+test('slug rename changes nothing when a target is taken', t => {
+  const run = runEditor(t, {
+    'a.md': '---\nslug: b\n---\n',
+    'b.md': '---\nslug: b\n---\n',
+    'c.md': '---\nslug: d\n---\n'
+  }, ['slug', 'rename']);
+
+  assert.strictEqual(run.status, 1);
+  assert.match(run.stdout + run.stderr, /collision/);
+  assert.deepStrictEqual(fs.readdirSync(run.content).sort(), ['a.md', 'b.md', 'c.md']);
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const { watchDirectory } = require('../lib/watch');
+const { makeSite, readFile } = require('./helpers');
+
+const CLI = path.join(__dirname, '..', 'frontmatter-array.js');
+
+// Function to wait until check() returns true, polling every 50 ms
+function waitFor(check, timeout = 5000) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const poll = () => {
+      if (check()) return resolve();
+      if (Date.now() - started > timeout) return reject(new Error('Timed out'));
+      setTimeout(poll, 50);
+    };
+    poll();
+  });
+}
+
+// Function to pause for ms milliseconds
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('--watch with the default options updates saved files', async t => {
+  const directory = makeSite(t);
+  const site = path.join(directory, 'content');
+  fs.mkdirSync(site);
+
+  // Run from the temp folder so the journal and cache land there
+  const child = spawn(process.execPath, [CLI, site, '--watch', '--no-progress'], {
+    cwd: directory,
+    env: { ...process.env, FORCE_COLOR: '0' }
+  });
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+
+  try {
+    await waitFor(() => output.includes('Watching'));
+    fs.writeFileSync(path.join(site, 'post.md'), '---\naiKeywords: a, b\n---\nBody\n');
+    await waitFor(() => output.includes('post.md'));
+    await sleep(200);
+
+    assert.doesNotMatch(output, /Error|❌/);
+    assert.match(readFile(site, 'post.md'), /- a\n\s*- b/);
+  } finally {
+    if (child.exitCode === null) {
+      child.kill();
+      await new Promise(resolve => child.once('exit', resolve));
+    }
+  }
+});
+
+test('a file saved several times in a row is handed on once', async t => {
+  const directory = makeSite(t);
+  const seen = [];
+  const watcher = watchDirectory(directory, { debounce: 150 }, filePath => {
+    seen.push(path.basename(filePath));
+    return false;
+  }, error => { throw error; });
+
+  try {
+    const file = path.join(directory, 'post.md');
+    for (let i = 0; i < 5; i++) {
+      fs.writeFileSync(file, `---\ntitle: Draft ${i}\n---\n`);
+      await sleep(20);
+    }
+    await waitFor(() => seen.length > 0);
+    await sleep(300);
+
+    assert.deepStrictEqual(seen, ['post.md']);
+  } finally {
+    watcher.close();
+  }
+});
+
+test('a file the handler wrote does not come back as a change', async t => {
+  const directory = makeSite(t);
+  const seen = [];
+  const watcher = watchDirectory(directory, { debounce: 50 }, filePath => {
+    seen.push(path.basename(filePath));
+    fs.writeFileSync(filePath, '---\ntitle: Rewritten\n---\n');
+    return true;
+  }, error => { throw error; });
+
+  try {
+    fs.writeFileSync(path.join(directory, 'post.md'), '---\ntitle: Draft\n---\n');
+    await waitFor(() => seen.length > 0);
+    await sleep(300);
+
+    assert.deepStrictEqual(seen, ['post.md']);
+  } finally {
+    watcher.close();
+  }
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { compileWhere, parseWhere } = require('../lib/where');
+
+// Function to check an expression against frontmatter data
+function matches(expression, data, context) {
+  return compileWhere(expression)(data, context);
+}
+
+test('comparisons read numbers, booleans, dates and bare words', () => {
+  assert.strictEqual(matches('draft == true', { draft: true }), true);
+  assert.strictEqual(matches('category: forex', { category: 'forex' }), true);
+  assert.strictEqual(matches('rating > 3', { rating: 4 }), true);
+  assert.strictEqual(matches('rating > 3', { rating: '2' }), false);
+  assert.strictEqual(matches('date >= 2024-01-01 and date < 2025-01-01', { date: new Date('2024-06-01') }), true);
+  assert.strictEqual(matches('date >= 2024-01-01', { date: new Date('2023-12-31') }), false);
+});
+
+test('lists, contains and regexes', () => {
+  assert.strictEqual(matches('category in [forex, crypto]', { category: 'crypto' }), true);
+  assert.strictEqual(matches('category not in [forex, crypto]', { category: 'crypto' }), false);
+  assert.strictEqual(matches('tags contains "seo"', { tags: ['seo', 'ads'] }), true);
+  assert.strictEqual(matches('title =~ /^how to/i', { title: 'How to trade' }), true);
+  assert.strictEqual(matches('title !~ /^how to/i', { title: 'How to trade' }), false);
+});
+
+test('and binds tighter than or, and not negates', () => {
+  assert.strictEqual(matches('a or b and c', { a: true, b: false, c: false }), true);
+  assert.strictEqual(matches('(a or b) and c', { a: true, b: false, c: false }), false);
+  assert.strictEqual(matches('tags exists and not aiKeywords exists', { tags: ['x'] }), true);
+  assert.strictEqual(matches('!draft && featured', { draft: false, featured: true }), true);
+});
+
+test('missing fields never equal anything', () => {
+  assert.strictEqual(matches('status == draft', {}), false);
+  assert.strictEqual(matches('status != draft', {}), true);
+  assert.strictEqual(matches('rating < 3', { rating: null }), false);
+});
+
+test('nested paths and the $file and $name fields', () => {
+  assert.strictEqual(matches('seo.title exists', { seo: { title: 'T' } }), true);
+  assert.strictEqual(matches('images[0].src =~ /\\.png$/', { images: [{ src: 'a.png' }] }), true);
+  assert.strictEqual(matches('$name == post.md', {}, { file: '/site/content/post.md' }), true);
+});
+
+test('several expressions must all match', () => {
+  const predicate = compileWhere(['draft == false', 'rating >= 3']);
+  assert.strictEqual(predicate({ draft: false, rating: 3 }), true);
+  assert.strictEqual(predicate({ draft: false, rating: 2 }), false);
+  assert.strictEqual(predicate.source, '(draft == false) and (rating >= 3)');
+});
+
+test('invalid expressions are rejected', () => {
+  assert.throws(() => parseWhere('rating >'));
+  assert.throws(() => parseWhere('(draft == true'));
+  assert.throws(() => parseWhere('title =~ /[/'));
+});
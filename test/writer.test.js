@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { readSnapshot, findConflict, createWriter } = require('../lib/writer');
+const { makeSite } = require('./helpers');
+
+// Function to write a file in a temp folder of the test t and return its path
+function makeFile(t, content) {
+  return path.join(makeSite(t, { 'post.md': content }), 'post.md');
+}
+
+// Function to change a file behind the writer's back, with a newer mtime
+function editElsewhere(file, content) {
+  fs.writeFileSync(file, content);
+  const later = new Date(Date.now() + 5000);
+  fs.utimesSync(file, later, later);
+}
+
+test('an unchanged file is written', t => {
+  const file = makeFile(t, 'old\n');
+  const outcome = createWriter().write(readSnapshot(file), 'new\n');
+
+  assert.deepStrictEqual(outcome, { written: true, staged: false, conflict: null });
+  assert.strictEqual(fs.readFileSync(file, 'utf8'), 'new\n');
+  assert.deepStrictEqual(fs.readdirSync(path.dirname(file)), ['post.md']);
+});
+
+test('a file saved since it was read is left alone', t => {
+  const file = makeFile(t, 'old\n');
+  const snapshot = readSnapshot(file);
+  editElsewhere(file, 'someone else\n');
+
+  const outcome = createWriter().write(snapshot, 'new\n');
+
+  assert.strictEqual(outcome.written, false);
+  assert.ok(outcome.conflict);
+  assert.strictEqual(fs.readFileSync(file, 'utf8'), 'someone else\n');
+});
+
+test('a newer mtime with the same content is not a conflict', t => {
+  const file = makeFile(t, 'old\n');
+  const snapshot = readSnapshot(file);
+  editElsewhere(file, 'old\n');
+
+  assert.strictEqual(findConflict(snapshot), null);
+});
+
+test('a deleted file is a conflict', t => {
+  const file = makeFile(t, 'old\n');
+  const snapshot = readSnapshot(file);
+  fs.unlinkSync(file);
+
+  assert.ok(findConflict(snapshot));
+});
+
+test('a transaction writes nothing when one staged file has changed', t => {
+  const first = makeFile(t, 'one\n');
+  const second = makeFile(t, 'two\n');
+  const writer = createWriter({ transaction: true });
+
+  writer.write(readSnapshot(first), 'ONE\n');
+  const secondSnapshot = readSnapshot(second);
+  writer.write(secondSnapshot, 'TWO\n');
+  editElsewhere(second, 'edited\n');
+
+  const result = writer.commit();
+
+  assert.strictEqual(result.committed, false);
+  assert.deepStrictEqual(result.conflicts.map(conflict => conflict.path), [second]);
+  assert.strictEqual(fs.readFileSync(first, 'utf8'), 'one\n');
+  assert.strictEqual(fs.readFileSync(second, 'utf8'), 'edited\n');
+});
+
+test('a transaction writes every staged file on commit', t => {
+  const first = makeFile(t, 'one\n');
+  const second = makeFile(t, 'two\n');
+  const writer = createWriter({ transaction: true });
+
+  assert.strictEqual(writer.write(readSnapshot(first), 'ONE\n').staged, true);
+  writer.write(readSnapshot(second), 'TWO\n');
+  assert.strictEqual(fs.readFileSync(first, 'utf8'), 'one\n');
+
+  const result = writer.commit();
+
+  assert.strictEqual(result.committed, true);
+  assert.deepStrictEqual(result.written, [first, second]);
+  assert.strictEqual(fs.readFileSync(second, 'utf8'), 'TWO\n');
+});
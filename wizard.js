@@ -4,6 +4,10 @@ const inquirer = require('inquirer');
 const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
+const { loadCliConfig } = require('./lib/config');
+const { compileWhere } = require('./lib/where');
+const { DEFAULT_EXTENSIONS } = require('./lib/file-types');
+const YAML = require('yaml');
 
 // Try to import chalk for colorful output
 let chalk;
@@ -31,6 +35,25 @@ try {
   process.exit(1);
 }
 
+// Load prompt defaults from .frontmatterrc (the wizard section and --profile apply)
+let config;
+try {
+  config = loadCliConfig('wizard');
+} catch (error) {
+  console.log(chalk.red(`Error: ${error.message}`));
+  process.exit(1);
+}
+const defaults = config.options;
+
+// Pass the same config file and profile on to frontmatter-array.js
+const configArgs = [];
+if (config.configPath) {
+  configArgs.push('--config', config.configPath);
+}
+if (config.profile) {
+  configArgs.push('--profile', config.profile);
+}
+
 // Welcome message
 console.log(chalk.bold('\n🧙‍♂️ FRONTMATTER WIZARD 🧙‍♂️'));
 console.log(chalk.cyan('This wizard will help you run the frontmatter-array.js script with the right options.\n'));
@@ -45,6 +68,66 @@ const OPERATION_MODES = {
   FIELD_OPERATIONS: 'field-operations'
 };
 
+// Function to check a --where expression as it is typed
+function validateWhere(input) {
+  try {
+    compileWhere(input);
+    return true;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+// Function to turn field operations (recipe steps such as { rename: { from, to } })
+// into frontmatter-array.js arguments. A single operation is passed as its flag.
+// Several go into a recipe file, together with the mode's conversion when
+// there is one, since the flags hold only one operation of each kind and
+// always run in the same order.
+async function fieldOperationArgs(steps, conversion = null) {
+  if (steps.length === 0) {
+    return [];
+  }
+
+  if (steps.length === 1 || !conversion) {
+    return steps.flatMap(step => {
+      if (step.default) return ['--add-field', step.default.field, step.default.value];
+      if (step.remove) return ['--remove-field', step.remove];
+      return ['--rename-field', step.rename.from, step.rename.to];
+    });
+  }
+
+  return recipeArgs([...conversion, ...steps]);
+}
+
+// Function to save recipe steps to a file the user picks and return the
+// arguments that run it
+async function recipeArgs(steps) {
+  const { recipePath, overwrite } = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'recipePath',
+      message: 'These steps run as a recipe. Save the recipe as:',
+      default: 'frontmatter.recipe.yml',
+      validate: (input) => input ? true : 'A file name is required'
+    },
+    {
+      type: 'confirm',
+      name: 'overwrite',
+      message: (answers) => `${answers.recipePath} exists. Overwrite it?`,
+      default: false,
+      when: (answers) => fs.existsSync(answers.recipePath)
+    }
+  ]);
+
+  if (overwrite === false) {
+    return recipeArgs(steps);
+  }
+
+  fs.writeFileSync(recipePath, YAML.stringify({ steps }), 'utf8');
+  console.log(chalk.green(`Saved recipe to ${recipePath}`));
+  return ['--recipe', recipePath];
+}
+
 // Main wizard function
 async function runWizard() {
   try {
@@ -89,7 +172,7 @@ async function runWizard() {
         type: 'input',
         name: 'directoryPath',
         message: 'Enter the directory path to process:',
-        default: './content',
+        default: defaults.directory || './content',
         validate: (input) => {
           if (!input) return 'Directory path is required';
           if (!fs.existsSync(input)) return 'Directory does not exist';
@@ -109,7 +192,7 @@ async function runWizard() {
         type: 'input',
         name: 'fields',
         message: 'Enter frontmatter fields to process (comma-separated):',
-        default: 'aiKeywords',
+        default: (defaults.fields || ['aiKeywords']).join(','),
         validate: (input) => input ? true : 'At least one field is required'
       }
     ]);
@@ -117,16 +200,17 @@ async function runWizard() {
     commandArgs.push('--fields', fields);
 
     // Step 5: Additional options based on operation type
+    let delimiter = defaults.delimiter || ',';
     if (operationType === OPERATION_MODES.TO_ARRAY || operationType === OPERATION_MODES.TO_STRING) {
-      const { delimiter } = await inquirer.prompt([
+      ({ delimiter } = await inquirer.prompt([
         {
           type: 'input',
           name: 'delimiter',
           message: 'Enter delimiter character:',
-          default: ',',
+          default: defaults.delimiter || ',',
           validate: (input) => input ? true : 'Delimiter is required'
         }
-      ]);
+      ]));
 
       commandArgs.push('--delimiter', delimiter);
     }
@@ -155,7 +239,7 @@ async function runWizard() {
       {
         type: 'confirm',
         name: 'useFileFiltering',
-        message: 'Do you want to filter files by extension or pattern?',
+        message: 'Do you want to filter files by extension, pattern or frontmatter values?',
         default: false
       }
     ]);
@@ -166,13 +250,20 @@ async function runWizard() {
           type: 'input',
           name: 'extensions',
           message: 'Enter file extensions to process (comma-separated):',
-          default: '.md,.markdown'
+          default: defaults.extension || DEFAULT_EXTENSIONS
         },
         {
           type: 'input',
           name: 'pattern',
           message: 'Enter regex pattern to match filenames (optional):',
-          default: ''
+          default: defaults.pattern ? defaults.pattern.source : ''
+        },
+        {
+          type: 'input',
+          name: 'where',
+          message: 'Only files whose frontmatter matches (optional, e.g. draft == true):',
+          default: typeof defaults.where === 'string' ? defaults.where : '',
+          validate: validateWhere
         }
       ]);
 
@@ -181,6 +272,10 @@ async function runWizard() {
       if (fileFilteringAnswers.pattern) {
         commandArgs.push('--pattern', fileFilteringAnswers.pattern);
       }
+
+      if (fileFilteringAnswers.where) {
+        commandArgs.push('--where', fileFilteringAnswers.where);
+      }
     }
 
     // Step 8: Field operations
@@ -207,6 +302,7 @@ async function runWizard() {
         }
       ]);
 
+      const steps = [];
       for (const operation of fieldOperations) {
         if (operation === 'add') {
           const { fieldName, fieldValue } = await inquirer.prompt([
@@ -224,7 +320,7 @@ async function runWizard() {
             }
           ]);
 
-          commandArgs.push('--add-field', fieldName, fieldValue);
+          steps.push({ default: { field: fieldName, value: fieldValue } });
         } else if (operation === 'remove') {
           const { fieldName } = await inquirer.prompt([
             {
@@ -235,7 +331,7 @@ async function runWizard() {
             }
           ]);
 
-          commandArgs.push('--remove-field', fieldName);
+          steps.push({ remove: fieldName });
         } else if (operation === 'rename') {
           const { oldFieldName, newFieldName } = await inquirer.prompt([
             {
@@ -252,9 +348,22 @@ async function runWizard() {
             }
           ]);
 
-          commandArgs.push('--rename-field', oldFieldName, newFieldName);
+          steps.push({ rename: { from: oldFieldName, to: newFieldName } });
+        }
+      }
+
+      // With a recipe, the mode's conversion becomes its first steps
+      let conversion = null;
+      if (operationType === OPERATION_MODES.TO_ARRAY || operationType === OPERATION_MODES.TO_STRING) {
+        conversion = [{ [operationType]: { fields, delimiter } }];
+        if (operationType === OPERATION_MODES.TO_ARRAY && commonOptions.includes('--unique-values')) {
+          conversion.push({ unique: fields });
+        }
+        if (operationType === OPERATION_MODES.TO_ARRAY && commonOptions.includes('--sort-arrays')) {
+          conversion.push({ sort: fields });
         }
       }
+      commandArgs.push(...await fieldOperationArgs(steps, conversion));
     }
 
     // Step 9: Output format
@@ -264,16 +373,21 @@ async function runWizard() {
         name: 'outputFormat',
         message: 'Select output format for frontmatter:',
         choices: [
-          { name: 'YAML (default)', value: 'yaml' },
+          { name: 'Keep each file\'s format (default)', value: 'keep' },
+          { name: 'YAML (---)', value: 'yaml' },
+          { name: 'TOML (+++)', value: 'toml' },
           { name: 'JSON', value: 'json' }
         ],
-        default: 'yaml'
+        default: defaults.outputFormat || 'keep'
       }
     ]);
 
-    commandArgs.push('--output-format', outputFormat);
+    if (outputFormat !== 'keep') {
+      commandArgs.push('--output-format', outputFormat);
+    }
 
     // Step 10: Confirm and run
+    commandArgs.push(...configArgs);
     console.log(chalk.cyan('\nCommand to run:'));
     console.log(chalk.yellow(`frontmatter-array.js ${commandArgs.join(' ')}`));
 
@@ -306,7 +420,7 @@ async function handleFieldOperations() {
         type: 'input',
         name: 'directoryPath',
         message: 'Enter the directory path to process:',
-        default: './content',
+        default: defaults.directory || './content',
         validate: (input) => {
           if (!input) return 'Directory path is required';
           if (!fs.existsSync(input)) return 'Directory does not exist';
@@ -367,17 +481,14 @@ async function handleFieldOperations() {
         }
       ]);
 
-      commandArgs.push('--add-field', fieldName);
-      
-      if (fieldType === 'empty') {
-        commandArgs.push('');
-      } else if (fieldType === 'array') {
-        // Set mode to ensure array conversion
-        commandArgs.push(fieldValue);
-        commandArgs.push('--mode', 'to-array');
-        commandArgs.push('--fields', fieldName);
+      if (fieldType === 'array') {
+        // The value is added as text and then split, which takes two steps
+        commandArgs.push(...await recipeArgs([
+          { default: { field: fieldName, value: fieldValue } },
+          { 'to-array': { fields: fieldName, delimiter: ',' } }
+        ]));
       } else {
-        commandArgs.push(fieldValue);
+        commandArgs.push('--add-field', fieldName, fieldType === 'empty' ? '' : fieldValue);
       }
     }
     
@@ -410,11 +521,13 @@ async function handleFieldOperations() {
         }
       ]);
 
-      commandArgs.push('--rename-field', oldFieldName, newFieldName);
-      
-      // If also updating the value, we need to add the field after renaming
       if (updateValue) {
-        commandArgs.push('--add-field', newFieldName, newValue);
+        commandArgs.push(...await recipeArgs([
+          { rename: { from: oldFieldName, to: newFieldName } },
+          { set: { field: newFieldName, value: newValue } }
+        ]));
+      } else {
+        commandArgs.push('--rename-field', oldFieldName, newFieldName);
       }
     }
     
@@ -464,7 +577,7 @@ async function handleFieldOperations() {
       {
         type: 'confirm',
         name: 'useFileFiltering',
-        message: 'Do you want to filter files by extension or pattern?',
+        message: 'Do you want to filter files by extension, pattern or frontmatter values?',
         default: false
       }
     ]);
@@ -475,13 +588,20 @@ async function handleFieldOperations() {
           type: 'input',
           name: 'extensions',
           message: 'Enter file extensions to process (comma-separated):',
-          default: '.md,.markdown'
+          default: defaults.extension || DEFAULT_EXTENSIONS
         },
         {
           type: 'input',
           name: 'pattern',
           message: 'Enter regex pattern to match filenames (optional):',
-          default: ''
+          default: defaults.pattern ? defaults.pattern.source : ''
+        },
+        {
+          type: 'input',
+          name: 'where',
+          message: 'Only files whose frontmatter matches (optional, e.g. draft == true):',
+          default: typeof defaults.where === 'string' ? defaults.where : '',
+          validate: validateWhere
         }
       ]);
 
@@ -490,6 +610,10 @@ async function handleFieldOperations() {
       if (fileFilteringAnswers.pattern) {
         commandArgs.push('--pattern', fileFilteringAnswers.pattern);
       }
+
+      if (fileFilteringAnswers.where) {
+        commandArgs.push('--where', fileFilteringAnswers.where);
+      }
     }
 
     // Output format
@@ -499,16 +623,21 @@ async function handleFieldOperations() {
         name: 'outputFormat',
         message: 'Select output format for frontmatter:',
         choices: [
-          { name: 'YAML (default)', value: 'yaml' },
+          { name: 'Keep each file\'s format (default)', value: 'keep' },
+          { name: 'YAML (---)', value: 'yaml' },
+          { name: 'TOML (+++)', value: 'toml' },
           { name: 'JSON', value: 'json' }
         ],
-        default: 'yaml'
+        default: defaults.outputFormat || 'keep'
       }
     ]);
 
-    commandArgs.push('--output-format', outputFormat);
+    if (outputFormat !== 'keep') {
+      commandArgs.push('--output-format', outputFormat);
+    }
 
     // Confirm and run
+    commandArgs.push(...configArgs);
     console.log(chalk.cyan('\nCommand to run:'));
     console.log(chalk.yellow(`frontmatter-array.js ${commandArgs.join(' ')}`));
 
@@ -555,6 +684,7 @@ async function handleCopyFrontmatter() {
         type: 'input',
         name: 'sourceDir',
         message: 'Enter the source directory (containing frontmatter to copy):',
+        default: defaults.sourceFrontmatterDir,
         validate: (input) => {
           if (!input) return 'Source directory is required';
           if (!fs.existsSync(input)) return 'Source directory does not exist';
@@ -565,6 +695,7 @@ async function handleCopyFrontmatter() {
         type: 'input',
         name: 'targetDir',
         message: 'Enter the target directory (where frontmatter will be copied to):',
+        default: defaults.targetContentDir,
         validate: (input) => {
           if (!input) return 'Target directory is required';
           if (!fs.existsSync(input)) return 'Target directory does not exist';
@@ -575,7 +706,7 @@ async function handleCopyFrontmatter() {
         type: 'input',
         name: 'frontmatterFields',
         message: 'Enter frontmatter fields to copy (comma-separated, leave empty for all fields):',
-        default: ''
+        default: (defaults.frontmatterFields || []).join(',')
       },
       {
         type: 'checkbox',
@@ -591,17 +722,19 @@ async function handleCopyFrontmatter() {
         type: 'input',
         name: 'extensions',
         message: 'Enter file extensions to process (comma-separated):',
-        default: '.md,.markdown'
+        default: defaults.extension || DEFAULT_EXTENSIONS
       },
       {
         type: 'list',
         name: 'outputFormat',
         message: 'Select output format for frontmatter:',
         choices: [
-          { name: 'YAML (default)', value: 'yaml' },
+          { name: 'Keep each file\'s format (default)', value: 'keep' },
+          { name: 'YAML (---)', value: 'yaml' },
+          { name: 'TOML (+++)', value: 'toml' },
           { name: 'JSON', value: 'json' }
         ],
-        default: 'yaml'
+        default: defaults.outputFormat || 'keep'
       }
     ]);
 
@@ -617,9 +750,12 @@ async function handleCopyFrontmatter() {
 
     commandArgs.push(...answers.options);
     commandArgs.push('--extension', answers.extensions);
-    commandArgs.push('--output-format', answers.outputFormat);
+    if (answers.outputFormat !== 'keep') {
+      commandArgs.push('--output-format', answers.outputFormat);
+    }
 
     // Confirm and run
+    commandArgs.push(...configArgs);
     console.log(chalk.cyan('\nCommand to run:'));
     console.log(chalk.yellow(`frontmatter-array.js ${commandArgs.join(' ')}`));
 